@@ -0,0 +1,49 @@
+// scripts/backfill-release-hashes.js
+// Compute SHA-256 checksums of releases uploaded before the update checker, so installed
+// copies can be recognized by hash. Files missing from disk are skipped.
+// Usage: node scripts/backfill-release-hashes.js
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const config = require(path.join(__dirname, '..', 'src', 'config', 'database'));
+const ModRelease = require(path.join(__dirname, '..', 'src', 'models', 'ModRelease'));
+const Mod = require(path.join(__dirname, '..', 'src', 'models', 'Mod.model'));
+const { hashFile } = require(path.join(__dirname, '..', 'src', 'services', 'file.service'));
+
+const backfill = async () => {
+  await mongoose.connect(config.mongoURI, config.options);
+
+  const cursor = ModRelease.find({ 'file.sha256': { $exists: false }, 'file.path': { $exists: true } })
+    .select('mod version file.path')
+    .lean()
+    .cursor();
+
+  let hashed = 0;
+  let missing = 0;
+
+  for await (const release of cursor) {
+    if (!fs.existsSync(release.file.path)) {
+      missing += 1;
+      continue;
+    }
+
+    const sha256 = await hashFile(release.file.path);
+    await ModRelease.updateOne({ _id: release._id }, { 'file.sha256': sha256 });
+    await Mod.updateOne(
+      { _id: release.mod, modVersion: release.version },
+      { 'file.sha256': sha256 }
+    );
+    hashed += 1;
+  }
+
+  console.log(`Hashed ${hashed} release(s), ${missing} file(s) missing from disk`);
+
+  await mongoose.disconnect();
+};
+
+backfill().catch(error => {
+  console.error('Release hash backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+// scripts/migrate-embedded-reviews.js
+// One-off migration: move reviews embedded in mods/bundles into the reviews collection.
+// Usage: node scripts/migrate-embedded-reviews.js
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const config = require(path.join(__dirname, '..', 'src', 'config', 'database'));
+const Review = require(path.join(__dirname, '..', 'src', 'models', 'Review'));
+require(path.join(__dirname, '..', 'src', 'models', 'Mod.model'));
+require(path.join(__dirname, '..', 'src', 'models', 'Bundle'));
+
+const SOURCES = [
+  { targetType: 'Mod', collection: 'mods' },
+  { targetType: 'Bundle', collection: 'bundles' }
+];
+
+const migrate = async () => {
+  await mongoose.connect(config.mongoURI, config.options);
+
+  for (const { targetType, collection } of SOURCES) {
+    const cursor = mongoose.connection.collection(collection)
+      .find({ 'reviews.0': { $exists: true } }, { projection: { reviews: 1 } });
+
+    let items = 0;
+    let reviews = 0;
+
+    for await (const doc of cursor) {
+      for (const embedded of doc.reviews) {
+        if (!embedded.user || !embedded.rating) continue;
+
+        await Review.updateOne(
+          { target: doc._id, user: embedded.user },
+          {
+            $setOnInsert: {
+              targetType,
+              target: doc._id,
+              user: embedded.user,
+              rating: embedded.rating,
+              title: embedded.title,
+              comment: embedded.comment,
+              createdAt: embedded.createdAt || new Date()
+            }
+          },
+          { upsert: true }
+        );
+        reviews += 1;
+      }
+
+      await Review.calcRatings(targetType, doc._id);
+      await mongoose.connection.collection(collection).updateOne({ _id: doc._id }, { $unset: { reviews: '' } });
+      items += 1;
+    }
+
+    console.log(`${targetType}: migrated ${reviews} review(s) from ${items} document(s)`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(error => {
+  console.error('Review migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+// scripts/migrate-fs-compatibility.js
+// One-off migration: turn the single Mod.fsVersion into a compatibility matrix entry.
+// Usage: node scripts/migrate-fs-compatibility.js
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const config = require(path.join(__dirname, '..', 'src', 'config', 'database'));
+require(path.join(__dirname, '..', 'src', 'models', 'Mod.model'));
+
+const migrate = async () => {
+  await mongoose.connect(config.mongoURI, config.options);
+
+  const mods = mongoose.connection.collection('mods');
+  const cursor = mods.find(
+    { fsVersion: { $exists: true } },
+    { projection: { fsVersion: 1, modVersion: 1, compatibility: 1 } }
+  );
+
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const update = { $unset: { fsVersion: '' } };
+
+    // Mods that already have a matrix only lose the old field
+    if (!doc.compatibility || !doc.compatibility.length) {
+      update.$set = {
+        compatibility: [{
+          _id: new mongoose.Types.ObjectId(),
+          game: doc.fsVersion,
+          status: 'untested',
+          modVersion: doc.modVersion
+        }]
+      };
+    }
+
+    await mods.updateOne({ _id: doc._id }, update);
+    migrated += 1;
+  }
+
+  console.log(`Migrated fsVersion of ${migrated} mod(s)`);
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(error => {
+  console.error('Compatibility migration failed:', error);
+  process.exit(1);
+});
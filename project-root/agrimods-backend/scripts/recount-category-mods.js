@@ -0,0 +1,25 @@
+// scripts/recount-category-mods.js
+// Rebuild Category.modCount from the mods collection (run once after deploying count maintenance).
+// Usage: node scripts/recount-category-mods.js
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const config = require(path.join(__dirname, '..', 'src', 'config', 'database'));
+const Category = require(path.join(__dirname, '..', 'src', 'models', 'category.model'));
+require(path.join(__dirname, '..', 'src', 'models', 'Mod.model'));
+
+const recount = async () => {
+  await mongoose.connect(config.mongoURI, config.options);
+
+  const categories = await Category.find().select('_id').lean();
+  await Category.calcModCount(categories.map(category => category._id));
+  console.log(`Recounted mods of ${categories.length} categor${categories.length === 1 ? 'y' : 'ies'}`);
+
+  await mongoose.disconnect();
+};
+
+recount().catch(error => {
+  console.error('Category recount failed:', error);
+  process.exit(1);
+});
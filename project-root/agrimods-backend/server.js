@@ -13,6 +13,7 @@ const {
 // ✅ IMPORT APP AND CONFIG USING path.join (from version 1)
 const app = require(path.join(__dirname, 'src', 'app'));
 const config = require(path.join(__dirname, 'src', 'config', 'database'));
+const { startScheduler, stopScheduler } = require(path.join(__dirname, 'src', 'services', 'scheduler.service'));
 
 // ✅ MOUNT ROUTES (if needed at server level - usually done in app.js)
 // const authRoutes = require('./src/routes/auth.routes');
@@ -102,6 +103,9 @@ async function startServer() {
     server = app.listen(PORT, () => {
       console.log(`🚀 Server running in ${NODE_ENV} mode on port ${PORT}`); // ✅ Using constant
       console.log(`🌐 API Base URL: http://localhost:${PORT}/api/v1`);
+
+      // Background jobs (upload cleanup, ...)
+      startScheduler();
       
       // Log extra info in development
       if (NODE_ENV === ENVIRONMENTS.DEVELOPMENT) {
@@ -140,6 +144,7 @@ async function startServer() {
 // ==================== 🔄 GRACEFUL SHUTDOWN FUNCTION (enhanced) ====================
 function gracefulShutdown(signal) {
   console.log(`🔄 Received ${signal}. Starting graceful shutdown...`);
+  stopScheduler();
   
   if (server) {
     server.close((err) => {
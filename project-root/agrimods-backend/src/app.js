@@ -19,7 +19,8 @@ const {
   RATE_LIMIT, 
   JWT, 
   PAGINATION,
-  FILE_UPLOAD
+  FILE_UPLOAD,
+  UPDATE_CHECK
 } = require('./utils/constants');
 const AppError = require('./utils/appError');
 
@@ -30,10 +31,19 @@ const paymentRoutes = require('./routes/payment.routes');
 const supportRoutes = require('./routes/support.routes');
 const affiliateRoutes = require('./routes/affiliate.routes');
 const downloadRoutes = require('./routes/download.routes');
+const uploadRoutes = require('./routes/upload.routes');
+const brandRoutes = require('./routes/brand.routes');
+const categoryRoutes = require('./routes/category.routes');
+const bundleRoutes = require('./routes/bundle.routes');
+const reportRoutes = require('./routes/report.routes');
+const dmcaRoutes = require('./routes/dmca.routes');
+const feedRoutes = require('./routes/feed.routes');
+const seoRoutes = require('./routes/seo.routes');
 
 // Import middleware
 const { protect } = require('./controllers/auth.controller');
 const globalErrorHandler = require('./controllers/error.controller');
+const { setLanguage } = require('./middleware/language.middleware');
 
 // ==================== 1. GLOBAL MIDDLEWARES ====================
 
@@ -56,11 +66,15 @@ const limiter = rateLimit({
     message: 'Too many requests from this IP, please try again in 15 minutes!'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  // Chunked uploads of large mods would exhaust the general limit
+  skip: (req) => req.method === 'PUT' && /^\/v1\/uploads\/[^/]+\/chunks\//.test(req.path)
 });
 app.use('/api', limiter);
 
 // Body parser, reading data from body into req.body - using constants for limits
+// (update checks send a manifest of every installed mod, so they get a larger limit)
+app.use('/api/v1/mods/updates/check', express.json({ limit: UPDATE_CHECK.MAX_BODY_SIZE }));
 app.use(express.json({ limit: process.env.JSON_LIMIT || '10kb' }));
 app.use(express.urlencoded({ 
   extended: true, 
@@ -83,10 +97,16 @@ app.use(hpp({
     'maxGroupSize',
     'difficulty',
     'price',
+    'fsVersion',
+    'tags',
+    'brand',
     // Add more from constants if needed
   ]
 }));
 
+// Listing language (?lang= or Accept-Language)
+app.use(setLanguage);
+
 // Compress responses
 app.use(compression());
 
@@ -100,10 +120,19 @@ app.use('/api/v1/auth', authRoutes);
 
 // Protected routes
 app.use('/api/v1/mods', modRoutes);
+app.use('/api/v1/brands', brandRoutes);
+app.use('/api/v1/categories', categoryRoutes);
+app.use('/api/v1/bundles', bundleRoutes);
+app.use('/api/v1/reports', reportRoutes);
+app.use('/api/v1/dmca', dmcaRoutes);
+app.use('/api/v1/feeds', feedRoutes);
+app.use('/api/v1/seo', seoRoutes);
 app.use('/api/v1/payment', protect, paymentRoutes);
 app.use('/api/v1/support', protect, supportRoutes);
 app.use('/api/v1/affiliate', protect, affiliateRoutes);
+app.use('/api/v1/download', downloadRoutes.publicRouter);
 app.use('/api/v1/download', protect, downloadRoutes);
+app.use('/api/v1/uploads', protect, uploadRoutes);
 
 // Health check route - using constants
 app.get('/api/health', (req, res) => {
@@ -747,6 +747,31 @@ const protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Attach req.user when a valid token is sent, but let guests through
+const optionalAuth = async (req, res, next) => {
+  let token;
+  if (req.headers.authorization?.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies?.jwt) {
+    token = req.cookies.jwt;
+  }
+
+  if (!token) return next();
+
+  try {
+    const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+    const currentUser = await User.findById(decoded.id);
+
+    if (currentUser && !currentUser.changedPasswordAfter?.(decoded.iat)) {
+      req.user = currentUser;
+      res.locals.user = currentUser;
+    }
+  } catch (error) {
+    // Invalid or expired token: continue as a guest
+  }
+  next();
+};
+
 // ==================== EXPORT ALL FUNCTIONS ====================
 module.exports = {
   // Public
@@ -806,5 +831,6 @@ module.exports = {
   unlockAccount,
   
   // Middleware
-  protect
+  protect,
+  optionalAuth
 };
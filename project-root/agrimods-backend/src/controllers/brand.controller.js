@@ -0,0 +1,72 @@
+// src/controllers/brand.controller.js
+const catchAsync = require('../utils/catchAsync');
+const { parseBoolean } = require('../services/search.service');
+const {
+  findBrand,
+  listBrands,
+  getBrandDetail,
+  createBrand,
+  updateBrand,
+  deleteBrand
+} = require('../services/brand.service');
+
+// @desc    Get all brands with their mod counts
+// @route   GET /api/v1/brands?featured=true
+// @access  Public
+exports.getAllBrands = catchAsync(async (req, res, next) => {
+  const brands = await listBrands({ featured: parseBoolean(req.query.featured) });
+
+  res.status(200).json({
+    status: 'success',
+    results: brands.length,
+    data: brands
+  });
+});
+
+// @desc    Get a brand with its mod count and most downloaded mods
+// @route   GET /api/v1/brands/:idOrSlug
+// @access  Public
+exports.getBrand = catchAsync(async (req, res, next) => {
+  const brand = await getBrandDetail(req.params.idOrSlug, { language: req.language });
+
+  res.status(200).json({
+    status: 'success',
+    data: brand
+  });
+});
+
+// @desc    Create a brand
+// @route   POST /api/v1/brands
+// @access  Private (Admin)
+exports.createBrand = catchAsync(async (req, res, next) => {
+  const brand = await createBrand(req.body, req.file);
+
+  res.status(201).json({
+    status: 'success',
+    data: brand
+  });
+});
+
+// @desc    Update a brand
+// @route   PATCH /api/v1/brands/:idOrSlug
+// @access  Private (Admin)
+exports.updateBrand = catchAsync(async (req, res, next) => {
+  const brand = await updateBrand(await findBrand(req.params.idOrSlug), req.body, req.file);
+
+  res.status(200).json({
+    status: 'success',
+    data: brand
+  });
+});
+
+// @desc    Delete a brand (its mods and bundles are unlinked)
+// @route   DELETE /api/v1/brands/:idOrSlug
+// @access  Private (Admin)
+exports.deleteBrand = catchAsync(async (req, res, next) => {
+  await deleteBrand(await findBrand(req.params.idOrSlug));
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
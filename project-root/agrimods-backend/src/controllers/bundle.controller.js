@@ -0,0 +1,59 @@
+// src/controllers/bundle.controller.js
+const Bundle = require('../models/Bundle');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { localize } = require('../utils/i18n');
+const { resolveSlug } = require('../utils/slug');
+const { can } = require('../services/collaboration.service');
+
+// Load a bundle for the detail page, hiding unpublished bundles from other users
+const loadBundleDetail = async (req, bundleId) => {
+  const bundle = await Bundle.findById(bundleId)
+    .populate('author', 'name username avatar')
+    .populate('category', 'name translations')
+    .populate('brand', 'name slug logo country')
+    .populate('mods.mod', 'name slug coverImage compatibility modVersion');
+
+  if (!bundle) {
+    throw new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND');
+  }
+
+  if (bundle.status !== 'published' && !can(bundle, req.user, 'view')) {
+    throw new AppError('You don\'t have access to this bundle', 403, 'ACCESS_DENIED');
+  }
+
+  return bundle;
+};
+
+// @desc    Get single bundle
+// @route   GET /api/v1/bundles/:id
+// @access  Public
+exports.getBundle = catchAsync(async (req, res, next) => {
+  const bundle = await loadBundleDetail(req, req.params.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: localize(bundle, req.language, 'Bundle')
+  });
+});
+
+// @desc    Get single bundle by slug; an old slug resolves with a redirect hint to the current one
+// @route   GET /api/v1/bundles/by-slug/:slug
+// @access  Public
+exports.getBundleBySlug = catchAsync(async (req, res, next) => {
+  const resolved = await resolveSlug(Bundle, req.params.slug);
+
+  if (!resolved) {
+    return next(new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND'));
+  }
+
+  const bundle = await loadBundleDetail(req, resolved.id);
+  const canonicalUrl = `/api/v1/bundles/by-slug/${resolved.slug}`;
+  res.set('Link', `<${canonicalUrl}>; rel="canonical"`);
+
+  res.status(200).json({
+    status: 'success',
+    redirect: resolved.redirected ? { slug: resolved.slug, url: canonicalUrl } : undefined,
+    data: localize(bundle, req.language, 'Bundle')
+  });
+});
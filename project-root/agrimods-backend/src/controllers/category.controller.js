@@ -0,0 +1,85 @@
+// src/controllers/category.controller.js
+const catchAsync = require('../utils/catchAsync');
+const {
+  findCategory,
+  getCategoryTree,
+  getCategoryDetail,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+} = require('../services/category.service');
+
+// @desc    Get the nested category tree with mod counts
+// @route   GET /api/v1/categories
+// @access  Public
+exports.getCategoryTree = catchAsync(async (req, res, next) => {
+  const tree = await getCategoryTree(req.language);
+
+  res.status(200).json({
+    status: 'success',
+    results: tree.length,
+    data: tree
+  });
+});
+
+// @desc    Get a category with its breadcrumb and subcategories
+// @route   GET /api/v1/categories/:idOrSlug
+// @access  Public
+exports.getCategory = catchAsync(async (req, res, next) => {
+  const category = await getCategoryDetail(req.params.idOrSlug, req.language);
+
+  res.status(200).json({
+    status: 'success',
+    data: category
+  });
+});
+
+// @desc    Create a category
+// @route   POST /api/v1/categories
+// @access  Private (Admin)
+exports.createCategory = catchAsync(async (req, res, next) => {
+  const category = await createCategory(req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: category
+  });
+});
+
+// @desc    Update a category; a new parent moves its whole subtree
+// @route   PATCH /api/v1/categories/:idOrSlug
+// @access  Private (Admin)
+exports.updateCategory = catchAsync(async (req, res, next) => {
+  const category = await updateCategory(await findCategory(req.params.idOrSlug), req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: category
+  });
+});
+
+// @desc    Reorder the subcategories of a parent (parent null for root categories)
+// @route   PATCH /api/v1/categories/reorder
+// @access  Private (Admin)
+exports.reorderCategories = catchAsync(async (req, res, next) => {
+  const categories = await reorderCategories(req.body.parent, req.body.order);
+
+  res.status(200).json({
+    status: 'success',
+    results: categories.length,
+    data: categories
+  });
+});
+
+// @desc    Delete an empty category
+// @route   DELETE /api/v1/categories/:idOrSlug
+// @access  Private (Admin)
+exports.deleteCategory = catchAsync(async (req, res, next) => {
+  await deleteCategory(await findCategory(req.params.idOrSlug));
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
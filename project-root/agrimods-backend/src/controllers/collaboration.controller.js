@@ -0,0 +1,159 @@
+// src/controllers/collaboration.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const {
+  getRole,
+  assertCan,
+  listCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  requestOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  getIncomingTransfers
+} = require('../services/collaboration.service');
+
+const loadMod = async (req) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  return mod;
+};
+
+// @desc    Get the mod team (owner, maintainers, contributors) with revenue shares
+// @route   GET /api/v1/mods/:id/collaborators
+// @access  Private (Mod team or Admin)
+exports.getCollaborators = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  assertCan(mod, req.user, 'view', 'You don\'t have access to this mod');
+
+  const team = await listCollaborators(mod);
+
+  res.status(200).json({
+    status: 'success',
+    data: team
+  });
+});
+
+// @desc    Add a collaborator by userId or email
+// @route   POST /api/v1/mods/:id/collaborators
+// @access  Private (Owner or Admin)
+exports.addCollaborator = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  assertCan(mod, req.user, 'manage', 'Only the owner can manage the mod team');
+
+  const collaborator = await addCollaborator(mod, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: collaborator
+  });
+});
+
+// @desc    Change a collaborator's role or revenue share
+// @route   PATCH /api/v1/mods/:id/collaborators/:userId
+// @access  Private (Owner or Admin)
+exports.updateCollaborator = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  assertCan(mod, req.user, 'manage', 'Only the owner can manage the mod team');
+
+  const collaborator = await updateCollaborator(mod, req.params.userId, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: collaborator
+  });
+});
+
+// @desc    Remove a collaborator (collaborators may remove themselves)
+// @route   DELETE /api/v1/mods/:id/collaborators/:userId
+// @access  Private (Owner, Admin or the collaborator)
+exports.removeCollaborator = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  if (req.params.userId !== req.user.id) {
+    assertCan(mod, req.user, 'manage', 'Only the owner can manage the mod team');
+  }
+
+  await removeCollaborator(mod, req.params.userId);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Offer ownership of a mod to another user (by userId or email)
+// @route   POST /api/v1/mods/:id/ownership/transfer
+// @access  Private (Owner or Admin)
+exports.requestOwnershipTransfer = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  assertCan(mod, req.user, 'manage', 'Only the owner can transfer a mod');
+
+  const transfer = await requestOwnershipTransfer(mod, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Ownership transfer requested. It completes when the recipient accepts.',
+    data: transfer
+  });
+});
+
+// @desc    Withdraw a pending ownership transfer
+// @route   DELETE /api/v1/mods/:id/ownership/transfer
+// @access  Private (Owner or Admin)
+exports.cancelOwnershipTransfer = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  assertCan(mod, req.user, 'manage', 'Only the owner can transfer a mod');
+
+  await cancelOwnershipTransfer(mod);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Accept ownership of a mod
+// @route   POST /api/v1/mods/:id/ownership/accept
+// @access  Private (Transfer recipient)
+exports.acceptOwnershipTransfer = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  await acceptOwnershipTransfer(mod, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'You are now the owner of this mod',
+    data: { mod: mod._id, role: getRole(mod, req.user.id) }
+  });
+});
+
+// @desc    Decline ownership of a mod
+// @route   POST /api/v1/mods/:id/ownership/decline
+// @access  Private (Transfer recipient)
+exports.declineOwnershipTransfer = catchAsync(async (req, res, next) => {
+  const mod = await loadMod(req);
+  await cancelOwnershipTransfer(mod, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Ownership transfer declined'
+  });
+});
+
+// @desc    Get ownership transfers offered to the current user
+// @route   GET /api/v1/mods/ownership/incoming
+// @access  Private
+exports.getIncomingTransfers = catchAsync(async (req, res, next) => {
+  const mods = await getIncomingTransfers(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: mods.length,
+    data: mods
+  });
+});
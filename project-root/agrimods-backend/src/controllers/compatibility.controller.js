@@ -0,0 +1,40 @@
+// src/controllers/compatibility.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { assertCan } = require('../services/collaboration.service');
+const { setModCompatibility, bulkMarkCompatibility } = require('../services/compatibility.service');
+
+// @desc    Replace the compatibility matrix of a mod
+//          ([{ game, minPatch, maxPatch, status, modVersion, note }])
+// @route   PUT /api/v1/mods/:id/compatibility
+// @access  Private (Owner, Maintainer or Admin)
+exports.setCompatibility = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+  assertCan(mod, req.user, 'edit');
+
+  const compatibility = await setModCompatibility(mod, req.body.compatibility, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: compatibility
+  });
+});
+
+// @desc    Mark many mods after a game patch ({ game, patch, status, modIds | worksWith, note }).
+//          Authors can mark the mods they maintain; admins can select mods by an earlier patch.
+// @route   POST /api/v1/mods/compatibility/bulk
+// @access  Private (Owner, Maintainer or Admin)
+exports.bulkMarkCompatibility = catchAsync(async (req, res, next) => {
+  const { updated, skipped } = await bulkMarkCompatibility(req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${updated.length} mod(s) marked ${req.body.status || 'tested'} for ${req.body.game} ${req.body.patch}`,
+    data: { updated, skipped }
+  });
+});
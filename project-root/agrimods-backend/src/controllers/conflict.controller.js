@@ -0,0 +1,34 @@
+// src/controllers/conflict.controller.js
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { findConflicts } = require('../services/conflict.service');
+
+// @desc    Check a list of mods for conflicting store items and specializations
+// @route   POST /api/v1/mods/conflicts
+// @access  Public
+exports.checkConflicts = catchAsync(async (req, res, next) => {
+  const { mods } = req.body;
+
+  if (!Array.isArray(mods) || mods.length < 2) {
+    return next(new AppError('Please provide at least two mod ids', 400, 'MISSING_FIELDS'));
+  }
+
+  const report = await findConflicts(mods);
+
+  res.status(200).json({
+    status: 'success',
+    data: report
+  });
+});
+
+// @desc    Check the current user's purchased mods for conflicts
+// @route   GET /api/v1/mods/conflicts/mine
+// @access  Private
+exports.checkMyConflicts = catchAsync(async (req, res, next) => {
+  const report = await findConflicts(req.user.purchasedMods || []);
+
+  res.status(200).json({
+    status: 'success',
+    data: report
+  });
+});
@@ -0,0 +1,71 @@
+// src/controllers/dependency.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { normalizeDependencies, resolveDependencies } = require('../services/dependency.service');
+const { parseBoolean } = require('../services/search.service');
+const { can } = require('../services/collaboration.service');
+
+// @desc    Resolve the dependency tree of a mod
+// @route   GET /api/v1/mods/:id/dependencies?optional=true
+// @access  Public
+exports.getModDependencies = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id).select('status author collaborators');
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  if (mod.status !== 'approved' && !can(mod, req.user, 'view')) {
+    return next(new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED'));
+  }
+
+  const resolution = await resolveDependencies(mod._id, {
+    includeOptional: parseBoolean(req.query.optional) === true
+  });
+
+  // File paths are internal; the client only needs ids and versions
+  resolution.packages = resolution.packages.map(({ file, ...pkg }) => ({ ...pkg, size: file?.size }));
+
+  res.status(200).json({
+    status: 'success',
+    data: resolution
+  });
+});
+
+// @desc    Replace the dependency declarations of a mod
+// @route   PUT /api/v1/mods/:id/dependencies
+// @access  Private (Owner, Maintainer or Admin)
+exports.updateModDependencies = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  if (!can(mod, req.user, 'edit')) {
+    return next(new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED'));
+  }
+
+  const { dependencies, requiredDlcs } = await normalizeDependencies(
+    mod._id,
+    req.body.dependencies || [],
+    req.body.requiredDlcs || []
+  );
+
+  mod.dependencies = dependencies;
+  mod.requiredDlcs = requiredDlcs;
+  await mod.save();
+
+  const resolution = await resolveDependencies(mod._id, { includeOptional: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Dependencies updated',
+    data: {
+      dependencies: mod.dependencies,
+      requiredDlcs: mod.requiredDlcs,
+      warnings: resolution.warnings
+    }
+  });
+});
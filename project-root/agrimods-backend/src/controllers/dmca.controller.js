@@ -0,0 +1,119 @@
+// src/controllers/dmca.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { can, assertCan } = require('../services/collaboration.service');
+const { isStaff } = require('../services/moderation.service');
+const {
+  findClaim,
+  fileClaim,
+  getModClaims,
+  submitCounterNotice,
+  resolveClaim,
+  listClaims
+} = require('../services/dmca.service');
+
+// @desc    File a DMCA takedown notice against a mod (suspends its downloads)
+// @route   POST /api/v1/mods/:id/dmca
+// @access  Private
+exports.createDmcaClaim = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id).select('name author status');
+
+  if (!mod || !['approved', 'suspended'].includes(mod.status)) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  const claim = await fileClaim(mod, req.user, req.body, req.ip);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Your notice has been received. Downloads of the mod are suspended while it is reviewed.',
+    data: { id: claim._id, status: claim.status }
+  });
+});
+
+// @desc    Get copyright claims against a mod
+// @route   GET /api/v1/mods/:id/dmca
+// @access  Private (Mod team or Admin/Moderator)
+exports.getModDmcaClaims = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id).select('author collaborators');
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+  if (!can(mod, req.user, 'view') && !isStaff(req.user)) {
+    return next(new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED'));
+  }
+
+  const claims = await getModClaims(mod._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: claims.length,
+    data: claims
+  });
+});
+
+// @desc    Answer a claim with a counter-notice
+// @route   POST /api/v1/dmca/:claimId/counter-notice
+// @access  Private (Owner)
+exports.submitCounterNotice = catchAsync(async (req, res, next) => {
+  const claim = await findClaim(req.params.claimId);
+  const mod = await Mod.findById(claim.mod).select('name author collaborators');
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+  assertCan(mod, req.user, 'manage', 'Only the owner can answer a copyright claim');
+
+  await submitCounterNotice(claim, mod, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Counter-notice sent. Downloads will be restored on ${claim.restoreAfter.toISOString()} unless the claimant files a court action.`,
+    data: claim
+  });
+});
+
+// @desc    Get the DMCA claim queue (open, counter-noticed and upheld by default)
+// @route   GET /api/v1/dmca?status=&mod=
+// @access  Private (Admin/Moderator)
+exports.getDmcaClaims = catchAsync(async (req, res, next) => {
+  const claims = await listClaims(req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: claims.length,
+    data: claims
+  });
+});
+
+// @desc    Get a DMCA claim with claimant and counter-notice details
+// @route   GET /api/v1/dmca/:claimId
+// @access  Private (Admin/Moderator)
+exports.getDmcaClaim = catchAsync(async (req, res, next) => {
+  const claim = await findClaim(req.params.claimId);
+  await claim.populate([
+    { path: 'mod', select: 'name slug author status' },
+    { path: 'resolution.by', select: 'name username' }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: claim
+  });
+});
+
+// @desc    Record a decision on a claim (upheld, rejected, withdrawn, restored)
+// @route   PATCH /api/v1/dmca/:claimId
+// @access  Private (Admin/Moderator)
+exports.updateDmcaClaim = catchAsync(async (req, res, next) => {
+  const claim = await findClaim(req.params.claimId);
+  await resolveClaim(claim, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Claim ${claim.status}`,
+    data: claim
+  });
+});
@@ -2,9 +2,18 @@ const path = require('path');
 const fs = require('fs');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
-const Mod = require('../models/Mod');
+const logger = require('../utils/logger');
+const Mod = require('../models/Mod.model');
 const User = require('../models/User');
 const Download = require('../models/Download');
+const { getTrending } = require('../services/trending.service');
+const { assertDownloadable } = require('../services/dmca.service');
+const { downloadName } = require('../services/release.service');
+const {
+  issueDownloadToken,
+  redeemDownloadToken,
+  revokeDownloadToken
+} = require('../services/downloadToken.service');
 
 // Verify user has access to mod
 const verifyModAccess = async (userId, modId) => {
@@ -35,6 +44,9 @@ exports.downloadMod = catchAsync(async (req, res, next) => {
     return next(new AppError('Mod not found', 404));
   }
   
+  // Downloads are suspended while a copyright claim is open
+  await assertDownloadable(mod._id);
+  
   // Verify file exists
   const filePath = path.join(__dirname, '../../uploads/mods', mod.fileUrl);
   if (!fs.existsSync(filePath)) {
@@ -105,76 +117,88 @@ exports.getPreviewVideo = catchAsync(async (req, res, next) => {
 
 });
 
-// download.controller.js should export:
-module.exports = {
-  // Public Downloads
-  downloadMod,
-  downloadBundle,
-  downloadResource,
-  previewFile,
-  
-  // Protected Downloads
-  downloadPremiumContent,
-  downloadPurchasedItems,
-  
-  // History
-  getDownloadHistory,
-  getDownloadDetails,
-  checkDownloadHistory,
-  removeFromHistory,
-  exportDownloadHistory,
-  
-  // Token
-  generateDownloadToken,
-  downloadWithToken,
-  revokeDownloadToken,
-  
-  // Batch
-  initiateBatchDownload,
-  getBatchDownloadStatus,
-  downloadBatchAsZip,
-  cancelBatchDownload,
-  
-  // Statistics
-  getUserDownloadStats,
-  getModDownloadStats,
-  getBundleDownloadStats,
-  getTrendingDownloads,
-  getRecentDownloads,
-  
-  // Limits
-  getDownloadLimits,
-  checkDownloadLimit,
-  requestLimitIncrease,
-  
-  // Resume
-  resumeDownload,
-  getResumeInfo,
-  
-  // Admin
-  getAllDownloads,
-  getGlobalDownloadStats,
-  getUserDownloadsByAdmin,
-  getModDownloadsByAdmin,
-  getSuspiciousDownloads,
-  blockUserFromDownloads,
-  unblockUserFromDownloads,
-  getBlockedUsers,
-  deleteDownloadRecord,
-  cleanupOldDownloads,
-  
-  // Webhooks
-  handleCDNWebhook,
-  handleAnalyticsWebhook,
-  
-  // Utility
-  checkDownloadPermission,
-  reportDownloadIssue,
-  getReportStatus,
-  requestDownloadAccess,
-  getAccessRequestStatus,
-  
-  // CDN
-  generateCDNUrl,
-  invalidateCDNUrl
-};
+// @desc    Get trending mods or bundles (time-decayed downloads, purchases and ratings)
+// @route   GET /api/v1/download/stats/trending?type=mod|bundle&fsVersion=FS25&category=&limit=20
+// @access  Public
+exports.getTrendingDownloads = catchAsync(async (req, res, next) => {
+  const { type, fsVersion, category, limit } = req.query;
+  const trending = await getTrending({ type, fsVersion, category, limit, language: req.language });
+
+  res.status(200).json({
+    status: 'success',
+    results: trending.length,
+    data: trending
+  });
+});
+
+// @desc    Create a signed download link for a mod (or one release) that works without the session cookie
+// @route   POST /api/v1/download/token  { modId, releaseId | version, maxUses, bindIp }
+// @access  Private
+exports.generateDownloadToken = catchAsync(async (req, res, next) => {
+  const { token, record } = await issueDownloadToken(req.user, req.body, req.ip);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      token,
+      url: `${req.protocol}://${req.get('host')}/api/v1/download/token/${token}`,
+      mod: record.mod,
+      release: record.release,
+      maxUses: record.maxUses,
+      ipBound: !!record.ip,
+      expiresAt: record.expiresAt
+    }
+  });
+});
+
+// @desc    Download using a signed download link (download managers, email links)
+// @route   GET /api/v1/download/token/:token
+// @access  Public (token-based auth)
+exports.downloadWithToken = catchAsync(async (req, res, next) => {
+  const { mod, release, token } = await redeemDownloadToken(req.params.token, req.ip);
+  const file = release ? release.file : mod.file;
+
+  // Further uses of a link are resumed or split requests of the same download
+  if (token.uses === 1) {
+    if (release) {
+      release.downloads += 1;
+      await release.save();
+    }
+    mod.downloads += 1;
+    await mod.save();
+
+    try {
+      await Download.create({
+        mod: mod._id,
+        user: token.user,
+        fileUrl: `/api/v1/download/token/${token._id}`,
+        fileName: downloadName(file),
+        fileSize: file.size || 0,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') || 'unknown',
+        sessionId: token._id.toString(),
+        status: 'completed'
+      });
+    } catch (error) {
+      logger.warn('Failed to record download', { modId: mod._id.toString(), error: error.message });
+    }
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.download(file.path, downloadName(file));
+});
+
+// @desc    Revoke a signed download link
+// @route   DELETE /api/v1/download/token/:token
+// @access  Private (Link owner or Admin)
+exports.revokeDownloadToken = catchAsync(async (req, res, next) => {
+  const record = await revokeDownloadToken(req.params.token, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revokedAt: record.revokedAt,
+      uses: record.uses
+    }
+  });
+});
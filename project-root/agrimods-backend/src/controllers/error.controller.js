@@ -12,6 +12,7 @@ const sendErrorDev = (err, res) => {
     status: err.status,
     error: err,
     message: err.message,
+    errorCode: err.errorCode,
     stack: err.stack
   });
 };
@@ -20,7 +21,8 @@ const sendErrorProd = (err, res) => {
   if (err.isOperational) {
     res.status(err.statusCode).json({
       status: err.status,
-      message: err.message
+      message: err.message,
+      errorCode: err.errorCode
     });
   } else {
     console.error('ERROR 💥', err);
@@ -0,0 +1,36 @@
+// src/controllers/feed.controller.js
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { FEEDS } = require('../utils/constants');
+const { renderFeed } = require('../utils/feed');
+const { getModFeed } = require('../services/feed.service');
+
+// @desc    Feed of newly published mods and updates (Atom, RSS 2.0 or JSON Feed).
+//          Filters: category, brand, fsVersion, author, type (published/updated), limit.
+//          Answers 304 to If-None-Match / If-Modified-Since while nothing changed.
+// @route   GET /api/v1/feeds/mods.:format
+// @access  Public
+exports.getModFeed = catchAsync(async (req, res, next) => {
+  const { format } = req.params;
+
+  if (!FEEDS.FORMATS[format]) {
+    return next(new AppError('Feed format not found', 404, 'FEED_FORMAT_NOT_FOUND'));
+  }
+
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const feed = await getModFeed(req.query, { language: req.language, baseUrl: origin });
+
+  res.set({
+    ETag: `W/"${format}-${feed.fingerprint}"`,
+    'Cache-Control': `public, max-age=${FEEDS.MAX_AGE}`,
+    Vary: 'Accept-Language'
+  });
+  if (feed.lastModified) res.set('Last-Modified', feed.lastModified.toUTCString());
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type(`${FEEDS.FORMATS[format]}; charset=utf-8`);
+  res.status(200).send(renderFeed({ ...feed, selfUrl: `${origin}${req.originalUrl}` }, format));
+});
@@ -1,36 +1,105 @@
 // src/controllers/mod.controller.js
+const crypto = require('crypto');
 const Mod = require('../models/Mod.model');
+const Download = require('../models/Download');
 // ✅ FIX 1: Correct case for Category import (or remove if unused)
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
-
-// @desc    Get all mods
-// @route   GET /api/v1/mods
-// @access  Public
-exports.getAllMods = catchAsync(async (req, res, next) => {
-  const page = parseInt(req.query.page, 10) || 1;
-  const limit = parseInt(req.query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
-
-  const query = {};
-  
-  if (req.query.category) query.category = req.query.category;
-  if (req.query.gameVersion) query.gameVersion = req.query.gameVersion;
-  if (req.query.search) {
-    query.name = { $regex: req.query.search, $options: 'i' };
+const logger = require('../utils/logger');
+const { parseModArchive } = require('../services/modDesc.service');
+const { searchMods, parseBoolean } = require('../services/search.service');
+const { deleteFile, streamZipArchive } = require('../services/file.service');
+const {
+  resolveDependencies,
+  splitBundlePackages,
+  buildDependencyReadme
+} = require('../services/dependency.service');
+const {
+  assertNewVersion,
+  createRelease,
+  findRelease,
+  deleteReleases,
+  downloadName
+} = require('../services/release.service');
+const { recordSubmission, deleteCase, transitionMod, isStaff } = require('../services/moderation.service');
+const { resolveBrandFields } = require('../services/brand.service');
+const { deleteScreenshotFiles } = require('../services/screenshot.service');
+const { localize, localizeAll, normalizeTranslations } = require('../utils/i18n');
+const { buildSlugFields, resolveSlug } = require('../utils/slug');
+const { can, isAdmin } = require('../services/collaboration.service');
+const { assertDownloadable, getSuspendedModIds, deleteModClaims } = require('../services/dmca.service');
+const { deleteModReports } = require('../services/report.service');
+const { deleteTargetReviews } = require('../services/review.service');
+const { normalizeKeywords } = require('../services/seo.service');
+const {
+  currentPrice,
+  assertNoActiveSale,
+  recordManualChange,
+  deleteItemPricing
+} = require('../services/pricing.service');
+const {
+  normalizeCompatibility,
+  defaultCompatibility,
+  addReleaseGame,
+  getReleasedVersions
+} = require('../services/compatibility.service');
+
+// Read modDesc.xml from an uploaded archive, discarding the upload if it is rejected.
+// For an existing mod the archive must also carry a version that wasn't released yet.
+const readUploadedModDesc = async (file, modId = null) => {
+  try {
+    const modDesc = await parseModArchive(file.path);
+    if (modId) await assertNewVersion(modId, modDesc.modVersion);
+    return modDesc;
+  } catch (error) {
+    await deleteFile(file.path).catch(() => {});
+    throw error;
   }
-  if (!req.user || !req.user.isAdmin) {
-    query.status = 'approved';
+};
+
+// Mod fields that are taken from modDesc.xml instead of the request body
+const buildModDescFields = (modDesc) => ({
+  modVersion: modDesc.modVersion,
+  multiplayer: modDesc.multiplayer,
+  modDesc: {
+    descVersion: modDesc.descVersion,
+    title: modDesc.title,
+    author: modDesc.author,
+    iconPath: modDesc.iconFilename,
+    parsedAt: new Date()
   }
+});
 
-  const mods = await Mod.find(query)
-    .populate('author', 'name username')
-    .populate('category', 'name')
-    .sort('-createdAt')
-    .limit(limit)
-    .skip(skip);
+// Log a completed download of a signed-in user (feeds recommendations)
+const recordDownload = async (req, mod, file) => {
+  if (!req.user) return;
+
+  try {
+    await Download.create({
+      mod: mod._id,
+      user: req.user.id,
+      fileUrl: req.originalUrl,
+      fileName: file.filename,
+      fileSize: file.size || 0,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || 'unknown',
+      sessionId: crypto.randomUUID(),
+      status: 'completed'
+    });
+  } catch (error) {
+    logger.warn('Failed to record download', { modId: mod._id.toString(), error: error.message });
+  }
+};
 
-  const total = await Mod.countDocuments(query);
+// @desc    Get all mods (full-text search with filters and facet counts)
+// @route   GET /api/v1/mods?search=&category=&fsVersion=&patch=&tested=&tags=&isFree=&multiplayer=
+//          &minPrice=&maxPrice=&minRating=&sortBy=&page=&limit=
+// @access  Public
+exports.getAllMods = catchAsync(async (req, res, next) => {
+  const { mods, page, limit, total, facets } = await searchMods(req.query, {
+    includeUnpublished: isAdmin(req.user),
+    language: req.language
+  });
 
   res.status(200).json({
     status: 'success',
@@ -41,34 +110,74 @@ exports.getAllMods = catchAsync(async (req, res, next) => {
       total,
       pages: Math.ceil(total / limit)
     },
-    data: mods
+    facets,
+    data: localizeAll(mods, req.language)
   });
 });
 
+// Staff and the mod's team may open and download unpublished mods; their visits aren't counted
+const isInsider = (mod, user) => isStaff(user) || can(mod, user, 'view');
+
+// Load a mod for the detail page, hiding unpublished mods from other users
+const loadModDetail = async (req, modId) => {
+  const mod = await Mod.findById(modId)
+    .populate('author', 'name username avatar')
+    .populate('category', 'name translations')
+    .populate('brand', 'name slug logo country')
+    .populate({
+      path: 'reviews',
+      select: '-helpfulVotes',
+      options: { sort: { helpfulCount: -1, createdAt: -1 }, limit: 5 },
+      populate: { path: 'user', select: 'name username avatar' }
+    });
+
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  const insider = isInsider(mod, req.user);
+  if (mod.status !== 'approved' && !insider) {
+    throw new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED');
+  }
+
+  if (!insider) {
+    mod.downloads += 1;
+    await mod.save();
+  }
+
+  return mod;
+};
+
 // @desc    Get single mod
 // @route   GET /api/v1/mods/:id
 // @access  Public
 exports.getMod = catchAsync(async (req, res, next) => {
-  const mod = await Mod.findById(req.params.id)
-    .populate('author', 'name username avatar')
-    .populate('category', 'name')
-    .populate('reviews');
+  const mod = await loadModDetail(req, req.params.id);
 
-  if (!mod) {
-    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
-  }
+  res.status(200).json({
+    status: 'success',
+    data: localize(mod, req.language)
+  });
+});
+
+// @desc    Get single mod by slug; an old slug resolves with a redirect hint to the current one
+// @route   GET /api/v1/mods/by-slug/:slug
+// @access  Public
+exports.getModBySlug = catchAsync(async (req, res, next) => {
+  const resolved = await resolveSlug(Mod, req.params.slug);
 
-  if (mod.status !== 'approved' && 
-      (!req.user || (req.user.id !== mod.author._id.toString() && !req.user.isAdmin))) {
-    return next(new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED'));
+  if (!resolved) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  mod.downloads += 1;
-  await mod.save();
+  const mod = await loadModDetail(req, resolved.id);
+  const canonicalUrl = `/api/v1/mods/by-slug/${resolved.slug}`;
+  res.set('Link', `<${canonicalUrl}>; rel="canonical"`);
 
   res.status(200).json({
     status: 'success',
-    data: mod
+    redirect: resolved.redirected ? { slug: resolved.slug, url: canonicalUrl } : undefined,
+    data: localize(mod, req.language)
   });
 });
 
@@ -80,28 +189,56 @@ exports.createMod = catchAsync(async (req, res, next) => {
     return next(new AppError('Please upload a mod file', 400, 'NO_FILE'));
   }
 
+  const modDesc = await readUploadedModDesc(req.file);
+
   const { name, description, category, gameVersion, tags } = req.body;
 
-  if (!name || !description || !category || !gameVersion) {
+  if (!category || !(description || modDesc.description)) {
+    await deleteFile(req.file.path).catch(() => {});
     return next(new AppError('Please provide all required fields', 400, 'MISSING_FIELDS'));
   }
 
-  const mod = await Mod.create({
-    name,
-    description,
+  let brandFields;
+  let translations;
+  let compatibility;
+  let metaKeywords;
+  try {
+    brandFields = await resolveBrandFields(req.body.brand);
+    translations = normalizeTranslations(req.body.translations);
+    compatibility = normalizeCompatibility(req.body.compatibility, [modDesc.modVersion]);
+    metaKeywords = normalizeKeywords(req.body.metaKeywords);
+  } catch (error) {
+    await deleteFile(req.file.path).catch(() => {});
+    throw error;
+  }
+
+  const mod = new Mod({
+    ...buildModDescFields(modDesc),
+    ...brandFields,
+    name: name || modDesc.title,
+    description: description || modDesc.description,
     category,
-    gameVersion,
+    gameVersion: gameVersion || modDesc.fsVersion,
     tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-    file: {
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    },
+    translations,
+    compatibility: compatibility || defaultCompatibility(modDesc),
+    metaTitle: req.body.metaTitle,
+    metaDescription: req.body.metaDescription,
+    metaKeywords,
     author: req.user.id,
     status: 'pending_review'
   });
 
+  await mod.validate();
+  await createRelease(mod, req.file, modDesc, {
+    changelog: req.body.changelog,
+    gameVersions: gameVersion,
+    scan: req.scanResult,
+    userId: req.user.id
+  });
+  await mod.save();
+  await recordSubmission(mod, req.user.id);
+
   res.status(201).json({
     status: 'success',
     message: 'Mod submitted for review',
@@ -109,188 +246,338 @@ exports.createMod = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Update mod
+// Fields the team may change with PATCH /mods/:id. Everything else is derived by the server
+// or has its own endpoint: files (releases), status (moderation), team, dependencies,
+// screenshots and sales.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'gameVersion', 'tags', 'brand', 'compatibility',
+  'isFree', 'price', 'currency', 'requirements', 'installationInstructions',
+  'translations', 'metaTitle', 'metaDescription', 'metaKeywords'
+];
+
+// Build the update of a mod from the editable fields in req.body and read the uploaded file, if any.
+// Returns the update and the parsed modDesc of the new file (or null).
+const prepareModUpdate = async (req, mod) => {
+  const update = Object.fromEntries(EDITABLE_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .map(field => [field, req.body[field]]));
+
+  // A direct price edit would be undone when the running sale ends
+  if (['price', 'isFree', 'currency'].some(field => update[field] !== undefined)) {
+    assertNoActiveSale(mod);
+  }
+
+  // Slugs follow the name; a rename keeps the old slug as an alias
+  if (update.name && update.name !== mod.name) {
+    Object.assign(update, await buildSlugFields(Mod, mod, update.name, mod.name));
+  }
+
+  // brandName always mirrors the linked brand
+  const brandFields = await resolveBrandFields(update.brand);
+  if (brandFields) Object.assign(update, brandFields);
+
+  // Replaces all translations; single languages go through PUT /:id/translations/:lang
+  if (update.translations !== undefined) {
+    update.translations = normalizeTranslations(update.translations);
+  }
+  if (update.metaKeywords !== undefined) {
+    update.metaKeywords = normalizeKeywords(update.metaKeywords);
+  }
+
+  const modDesc = req.file ? await readUploadedModDesc(req.file, mod._id) : null;
+
+  // Replaces the whole matrix; bulk patch marking goes through POST /compatibility/bulk
+  if (update.compatibility !== undefined) {
+    const versions = await getReleasedVersions(mod._id);
+    if (modDesc) versions.push(modDesc.modVersion);
+    update.compatibility = normalizeCompatibility(update.compatibility, versions);
+  }
+
+  return { update, modDesc };
+};
+
+// @desc    Load a mod the current user may edit (runs before the upload is accepted)
 // @route   PATCH /api/v1/mods/:id
-// @access  Private (Author or Admin)
-exports.updateMod = catchAsync(async (req, res, next) => {
+// @access  Private (Owner, Maintainer or Admin)
+exports.loadEditableMod = catchAsync(async (req, res, next) => {
   const mod = await Mod.findById(req.params.id);
 
   if (!mod) {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  if (mod.author._id.toString() !== req.user.id && !req.user.isAdmin) {
+  if (!can(mod, req.user, 'edit')) {
     return next(new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED'));
   }
 
-  if (req.file) {
-    req.body.file = {
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    };
+  req.mod = mod;
+  next();
+});
+
+// @desc    Update mod
+// @route   PATCH /api/v1/mods/:id
+// @access  Private (Owner, Maintainer or Admin)
+exports.updateMod = catchAsync(async (req, res, next) => {
+  const { mod } = req;
+  const previousPrice = currentPrice(mod, 'Mod');
+
+  let update;
+  let modDesc;
+  try {
+    ({ update, modDesc } = await prepareModUpdate(req, mod));
+  } catch (error) {
+    if (req.file) await deleteFile(req.file.path).catch(() => {});
+    throw error;
+  }
+
+  // A new file is published as a new release; older releases stay downloadable
+  if (modDesc) {
+    await createRelease(mod, req.file, modDesc, {
+      changelog: req.body.changelog,
+      gameVersions: req.body.gameVersions,
+      scan: req.scanResult,
+      userId: req.user.id
+    });
+
+    // A file for another game generation adds it to the matrix
+    if (update.compatibility === undefined) {
+      addReleaseGame(mod, modDesc);
+      update.compatibility = mod.compatibility.toObject();
+    }
+
+    Object.assign(update, buildModDescFields(modDesc), {
+      file: mod.file,
+      changelog: mod.changelog,
+      scan: mod.scan
+    });
   }
 
-  const updatedMod = await Mod.findByIdAndUpdate(
+  let updatedMod = await Mod.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    update,
     { new: true, runValidators: true }
   );
 
+  await recordManualChange(updatedMod, 'Mod', previousPrice, req.user.id);
+
+  // A public mod whose new file the safety scan flagged goes back to the moderators
+  if (modDesc && req.scanResult?.status === 'flagged' && updatedMod.status === 'approved') {
+    ({ mod: updatedMod } = await transitionMod(updatedMod, 'pending_review', {
+      user: req.user,
+      system: true,
+      note: `Version ${modDesc.modVersion} was flagged by the safety scan`
+    }));
+  }
+
   res.status(200).json({
     status: 'success',
     data: updatedMod
   });
 });
 
-// @desc    Delete mod
-// @route   DELETE /api/v1/mods/:id
-// @access  Private (Author or Admin)
-exports.deleteMod = catchAsync(async (req, res, next) => {
+// @desc    Add or replace the translation of a mod listing in one language
+// @route   PUT /api/v1/mods/:id/translations/:lang
+// @access  Private (Mod team or Admin)
+exports.setModTranslation = catchAsync(async (req, res, next) => {
   const mod = await Mod.findById(req.params.id);
 
   if (!mod) {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  if (mod.author._id.toString() !== req.user.id && !req.user.isAdmin) {
-    return next(new AppError('You don\'t have permission to delete this mod', 403, 'ACCESS_DENIED'));
+  if (!can(mod, req.user, 'content')) {
+    return next(new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED'));
   }
 
-  await Mod.findByIdAndDelete(req.params.id);
+  const language = req.params.lang.toLowerCase();
+  const translation = normalizeTranslations({ [language]: req.body })[language];
 
-  res.status(204).json({
+  if (!Object.keys(translation).length) {
+    return next(new AppError('Please provide at least one translated field', 400, 'MISSING_FIELDS'));
+  }
+
+  if (!mod.translations) mod.translations = new Map();
+  mod.translations.set(language, translation);
+  await mod.save();
+
+  res.status(200).json({
     status: 'success',
-    message: 'Mod deleted successfully'
+    data: {
+      language,
+      translation: mod.translations.get(language)
+    }
   });
 });
 
-// @desc    Download mod
-// @route   GET /api/v1/mods/:id/download
-// @access  Public
-exports.downloadMod = catchAsync(async (req, res, next) => {
+// @desc    Remove the translation of a mod listing in one language
+// @route   DELETE /api/v1/mods/:id/translations/:lang
+// @access  Private (Mod team or Admin)
+exports.deleteModTranslation = catchAsync(async (req, res, next) => {
   const mod = await Mod.findById(req.params.id);
 
   if (!mod) {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  if (mod.status !== 'approved') {
-    return next(new AppError('Mod is not available for download', 403, 'MOD_NOT_PUBLISHED'));
+  if (!can(mod, req.user, 'content')) {
+    return next(new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED'));
   }
 
-  mod.downloads += 1;
+  const language = req.params.lang.toLowerCase();
+  if (!mod.translations || !mod.translations.has(language)) {
+    return next(new AppError('Translation not found', 404, 'TRANSLATION_NOT_FOUND'));
+  }
+
+  mod.translations.delete(language);
   await mod.save();
 
-  // ⚠️ Note: On Render, files are ephemeral. Consider using S3/Cloudinary for production.
-  res.download(mod.file.path, mod.file.filename);
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
 });
 
-// @desc    Rate mod
-// @route   POST /api/v1/mods/:id/rate
-// @access  Private
-exports.rateMod = catchAsync(async (req, res, next) => {
-  const { rating, review } = req.body;
-
+// @desc    Delete mod
+// @route   DELETE /api/v1/mods/:id
+// @access  Private (Owner or Admin)
+exports.deleteMod = catchAsync(async (req, res, next) => {
   const mod = await Mod.findById(req.params.id);
 
   if (!mod) {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  const existingReview = mod.reviews?.find(r => r.user?.toString() === req.user.id);
-
-  if (existingReview) {
-    return next(new AppError('You already rated this mod', 400, 'ALREADY_REVIEWED'));
+  if (!can(mod, req.user, 'manage')) {
+    return next(new AppError('You don\'t have permission to delete this mod', 403, 'ACCESS_DENIED'));
   }
 
-  mod.reviews = mod.reviews || [];
-  mod.reviews.push({
-    user: req.user.id,
-    rating: parseInt(rating),
-    title: review?.substring(0, 100) || '',
-    comment: review,
-    createdAt: new Date()
-  });
-
-  const totalRating = mod.reviews.reduce((sum, r) => sum + (r.rating || 0), 0);
-  mod.ratingsAverage = totalRating / mod.reviews.length;
-  mod.ratingsQuantity = mod.reviews.length;
-
-  await mod.save();
+  await deleteReleases(mod._id);
+  await deleteScreenshotFiles(mod.screenshots);
+  await deleteCase(mod._id);
+  await deleteModReports(mod._id);
+  await deleteModClaims(mod._id);
+  await deleteTargetReviews('Mod', mod._id);
+  await deleteItemPricing('Mod', mod._id);
+  await Mod.findByIdAndDelete(req.params.id);
 
-  res.status(200).json({
+  res.status(204).json({
     status: 'success',
-    message: 'Review added successfully',
-    data: {
-      rating,
-      review,
-      averageRating: mod.ratingsAverage
-    }
+    message: 'Mod deleted successfully'
   });
 });
 
-// ✅ FIX 2: ADD MISSING addScreenshots FUNCTION
-// @desc    Add screenshots to mod
-// @route   POST /api/v1/mods/:id/screenshots
-// @access  Private (Author or Admin)
-exports.addScreenshots = catchAsync(async (req, res, next) => {
+// @desc    Download mod (latest file, or a specific release)
+// @route   GET /api/v1/mods/:id/download?version=1.0.0.0
+// @route   GET /api/v1/mods/:id/releases/:releaseId/download
+// @route   GET /api/v1/mods/:id/download?withDependencies=true&optional=true
+// @access  Public
+exports.downloadMod = catchAsync(async (req, res, next) => {
   const mod = await Mod.findById(req.params.id);
 
   if (!mod) {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  if (mod.author._id.toString() !== req.user.id && !req.user.isAdmin) {
-    return next(new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED'));
+  const insider = isInsider(mod, req.user);
+  if (mod.status !== 'approved' && !insider) {
+    return next(new AppError('Mod is not available for download', 403, 'MOD_NOT_PUBLISHED'));
   }
 
-  if (!req.files || req.files.length === 0) {
-    return next(new AppError('Please upload at least one image', 400, 'NO_FILES'));
+  await assertDownloadable(mod._id);
+
+  let file = mod.file;
+
+  if (req.params.releaseId || req.query.version) {
+    const release = await findRelease(mod._id, {
+      releaseId: req.params.releaseId,
+      version: req.query.version
+    });
+
+    if (release.status === 'withdrawn') {
+      return next(new AppError(
+        `Version ${release.version} was withdrawn: ${release.withdrawReason}`,
+        410,
+        'RELEASE_WITHDRAWN'
+      ));
+    }
+
+    if (!insider) {
+      release.downloads += 1;
+      await release.save();
+    }
+    file = release.file;
   }
 
-  const screenshots = req.files.map(file => ({
-    url: file.path,
-    filename: file.filename,
-    size: file.size,
-    mimetype: file.mimetype
-  }));
+  if (!insider) {
+    mod.downloads += 1;
+    await mod.save();
+    await recordDownload(req, mod, file);
+  }
 
-  mod.screenshots = mod.screenshots || [];
-  mod.screenshots.push(...screenshots);
-  await mod.save();
+  // Bundle the mod with every free dependency it needs into one archive
+  if (parseBoolean(req.query.withDependencies)) {
+    const resolution = await resolveDependencies(mod._id, {
+      includeOptional: parseBoolean(req.query.optional) === true
+    });
+    const suspended = await getSuspendedModIds(resolution.packages.map(pkg => pkg.mod));
+    resolution.packages.forEach(pkg => {
+      if (suspended.includes(`${pkg.mod}`)) pkg.suspended = true;
+    });
+    const { bundled } = splitBundlePackages(resolution.packages);
+
+    if (!insider) {
+      await Mod.updateMany(
+        { _id: { $in: bundled.map(pkg => pkg.mod) } },
+        { $inc: { downloads: 1 } }
+      );
+    }
 
-  res.status(200).json({
-    status: 'success',
-    message: 'Screenshots added successfully',
-    data: { screenshots: mod.screenshots }
-  });
+    return streamZipArchive(res, [
+      { path: file.path, name: downloadName(file) },
+      ...bundled.map(pkg => ({ path: pkg.file.path, name: downloadName(pkg.file) })),
+      { content: buildDependencyReadme(mod, resolution), name: 'README_AGRIMODS.txt' }
+    ], `${mod.slug || mod._id}-with-dependencies.zip`);
+  }
+
+  // ⚠️ Note: On Render, files are ephemeral. Consider using S3/Cloudinary for production.
+  res.download(file.path, downloadName(file));
 });
 
 // ==================== ADMIN ROUTES ====================
 
-// @desc    Get all mods (including pending)
-// @route   GET /api/v1/mods/admin/all
+// @desc    Get all mods (including pending), with safety scan results
+// @route   GET /api/v1/mods/admin/all?status=&scanStatus=flagged
 // @access  Private (Admin only)
 exports.getAllModsAdmin = catchAsync(async (req, res, next) => {
-  const mods = await Mod.find()
+  const query = {};
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.scanStatus) query['scan.status'] = req.query.scanStatus;
+
+  const mods = await Mod.find(query)
     .populate('author', 'name email')
     .populate('category', 'name')
     .sort('-createdAt');
 
+  const scanSummary = await Mod.aggregate([
+    { $group: { _id: '$scan.status', count: { $sum: 1 } } }
+  ]);
+
   res.status(200).json({
     status: 'success',
     results: mods.length,
+    scanSummary: scanSummary.reduce((summary, bucket) => {
+      summary[bucket._id || 'unscanned'] = bucket.count;
+      return summary;
+    }, {}),
     data: mods
   });
 });
 
-// @desc    Approve/reject mod
+// @desc    Approve, reject or request changes (recorded in the moderation history)
 // @route   PATCH /api/v1/mods/admin/:id/status
-// @access  Private (Admin only)
+// @access  Private (Admin/Moderator)
 exports.updateModStatus = catchAsync(async (req, res, next) => {
-  const { status, rejectionReason } = req.body;
+  const { status, note, rejectionReason } = req.body;
 
   const mod = await Mod.findById(req.params.id);
 
@@ -298,19 +585,14 @@ exports.updateModStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
   }
 
-  if (!['approved', 'rejected', 'pending_review', 'published'].includes(status)) {
-    return next(new AppError('Invalid status', 400, 'INVALID_STATUS'));
-  }
-
-  mod.status = status;
-  if (rejectionReason) mod.rejectionReason = rejectionReason;
-  if (status === 'approved' && !mod.publishedAt) mod.publishedAt = new Date();
-
-  await mod.save();
+  await transitionMod(mod, status, {
+    user: req.user,
+    note: note || rejectionReason
+  });
 
   res.status(200).json({
     status: 'success',
-    message: `Mod ${status}`,
+    message: `Mod ${mod.status}`,
     data: mod
   });
 });
@@ -323,6 +605,7 @@ exports.getModStats = catchAsync(async (req, res, next) => {
   const approvedMods = await Mod.countDocuments({ status: 'approved' });
   const pendingMods = await Mod.countDocuments({ status: 'pending_review' });
   const rejectedMods = await Mod.countDocuments({ status: 'rejected' });
+  const changesRequestedMods = await Mod.countDocuments({ status: 'changes_requested' });
 
   const totalDownloads = await Mod.aggregate([
     { $group: { _id: null, total: { $sum: '$downloads' } } }
@@ -335,6 +618,7 @@ exports.getModStats = catchAsync(async (req, res, next) => {
       approvedMods,
       pendingMods,
       rejectedMods,
+      changesRequestedMods,
       totalDownloads: totalDownloads[0]?.total || 0
     }
   });
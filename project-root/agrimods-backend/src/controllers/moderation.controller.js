@@ -0,0 +1,161 @@
+// src/controllers/moderation.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { COLLABORATION } = require('../utils/constants');
+const { can, getRole } = require('../services/collaboration.service');
+const {
+  isStaff,
+  getCase,
+  transitionMod,
+  schedulePublish,
+  assignReviewer,
+  updateChecklist,
+  addComment,
+  buildThreads,
+  getQueue
+} = require('../services/moderation.service');
+
+// Load a mod that the current user may discuss with reviewers (mod team or staff)
+const getModeratedMod = async (req) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  if (!can(mod, req.user, 'view') && !isStaff(req.user)) {
+    throw new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED');
+  }
+
+  return mod;
+};
+
+// @desc    Get the review queue (oldest submission first)
+// @route   GET /api/v1/mods/admin/moderation/queue?assigned=me|none
+// @access  Private (Admin/Moderator)
+exports.getModerationQueue = catchAsync(async (req, res, next) => {
+  const queue = await getQueue({
+    reviewerId: req.query.assigned === 'me' ? req.user.id : undefined,
+    unassigned: req.query.assigned === 'none'
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: queue.length,
+    data: queue
+  });
+});
+
+// @desc    Get the moderation case of a mod (checklist, comment threads, history)
+// @route   GET /api/v1/mods/:id/moderation
+// @access  Private (Mod team or Admin/Moderator)
+exports.getModeration = catchAsync(async (req, res, next) => {
+  const mod = await getModeratedMod(req);
+  const moderation = await getCase(mod);
+
+  await moderation.populate([
+    { path: 'reviewer', select: 'name username' },
+    { path: 'comments.author', select: 'name username avatar' },
+    { path: 'history.by', select: 'name username' }
+  ]);
+
+  const { comments, ...data } = moderation.toObject();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      ...data,
+      status: mod.status,
+      threads: buildThreads(comments)
+    }
+  });
+});
+
+// @desc    Add a comment to the review thread
+// @route   POST /api/v1/mods/:id/moderation/comments
+// @access  Private (Mod team or Admin/Moderator)
+exports.addModerationComment = catchAsync(async (req, res, next) => {
+  const mod = await getModeratedMod(req);
+  const comment = await addComment(mod, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: comment
+  });
+});
+
+// @desc    Resubmit a mod for review after changes were requested or it was rejected
+// @route   POST /api/v1/mods/:id/resubmit
+// @access  Private (Owner or Maintainer)
+exports.resubmitMod = catchAsync(async (req, res, next) => {
+  const mod = await getModeratedMod(req);
+
+  if (!COLLABORATION.PERMISSIONS.edit.includes(getRole(mod, req.user.id))) {
+    return next(new AppError('Only the owner or a maintainer can resubmit a mod', 403, 'ACCESS_DENIED'));
+  }
+
+  const { moderation } = await transitionMod(mod, 'pending_review', {
+    user: req.user,
+    note: req.body.note
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Mod resubmitted for review',
+    data: { status: mod.status, round: moderation.round, submittedAt: moderation.submittedAt }
+  });
+});
+
+// @desc    Set or move the publish date of a mod (it stays hidden until then)
+// @route   PATCH /api/v1/mods/:id/schedule
+// @access  Private (Owner, Maintainer or Admin/Moderator)
+exports.scheduleMod = catchAsync(async (req, res, next) => {
+  const mod = await getModeratedMod(req);
+
+  if (!can(mod, req.user, 'edit') && !isStaff(req.user)) {
+    return next(new AppError('You don\'t have permission to schedule this mod', 403, 'ACCESS_DENIED'));
+  }
+  await schedulePublish(mod, req.body.publishAt, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: { status: mod.status, publishAt: mod.publishAt }
+  });
+});
+
+// @desc    Assign a reviewer (defaults to the current user)
+// @route   PATCH /api/v1/mods/admin/:id/moderation/assign
+// @access  Private (Admin/Moderator)
+exports.assignModReviewer = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  const moderation = await assignReviewer(mod, req.body.reviewerId || req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { reviewer: moderation.reviewer, assignedAt: moderation.assignedAt }
+  });
+});
+
+// @desc    Update review checklist items
+// @route   PATCH /api/v1/mods/admin/:id/moderation/checklist
+// @access  Private (Admin/Moderator)
+exports.updateModChecklist = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  const moderation = await updateChecklist(mod, req.body.items, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: moderation.checklist
+  });
+});
@@ -0,0 +1,97 @@
+// src/controllers/pricing.controller.js
+const catchAsync = require('../utils/catchAsync');
+const { assertCan } = require('../services/collaboration.service');
+const {
+  loadItem,
+  assertVisible,
+  getPricing,
+  getPriceHistory,
+  listSales,
+  createSale,
+  findSale,
+  cancelSale
+} = require('../services/pricing.service');
+
+// Set which kind of item the nested pricing routes belong to ('Mod' or 'Bundle')
+exports.setPriceTarget = (itemType) => (req, res, next) => {
+  req.priceItemType = itemType;
+  next();
+};
+
+// Load the item and make sure the current user may manage its prices
+const loadManagedItem = async (req) => {
+  const item = await loadItem(req.priceItemType, req.params.id);
+  assertCan(item, req.user, 'edit', 'You don\'t have permission to change the price of this item');
+  return item;
+};
+
+// @desc    Current price, running sale and lowest price of the last 30 days
+// @route   GET /api/v1/mods/:id/pricing
+// @access  Public
+exports.getPricing = catchAsync(async (req, res, next) => {
+  const item = await loadItem(req.priceItemType, req.params.id);
+  assertVisible(item, req.priceItemType, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: await getPricing(item, req.priceItemType)
+  });
+});
+
+// @desc    Full price history
+// @route   GET /api/v1/mods/:id/pricing/history
+// @access  Public
+exports.getPriceHistory = catchAsync(async (req, res, next) => {
+  const item = await loadItem(req.priceItemType, req.params.id);
+  assertVisible(item, req.priceItemType, req.user);
+
+  const history = await getPriceHistory(item, req.priceItemType);
+
+  res.status(200).json({
+    status: 'success',
+    results: history.length,
+    data: history
+  });
+});
+
+// @desc    Planned, running and past sales
+// @route   GET /api/v1/mods/:id/pricing/sales
+// @access  Private (Owner, Maintainer or Admin)
+exports.getSales = catchAsync(async (req, res, next) => {
+  const item = await loadManagedItem(req);
+  const sales = await listSales(item, req.priceItemType);
+
+  res.status(200).json({
+    status: 'success',
+    results: sales.length,
+    data: sales
+  });
+});
+
+// @desc    Schedule a sale ({ price, startsAt, endsAt, label })
+// @route   POST /api/v1/mods/:id/pricing/sales
+// @access  Private (Owner, Maintainer or Admin)
+exports.createSale = catchAsync(async (req, res, next) => {
+  const item = await loadManagedItem(req);
+  const sale = await createSale(item, req.priceItemType, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: sale.status === 'active' ? 'Sale started' : 'Sale scheduled',
+    data: sale
+  });
+});
+
+// @desc    Cancel a planned sale or end a running one early
+// @route   DELETE /api/v1/mods/:id/pricing/sales/:saleId
+// @access  Private (Owner, Maintainer or Admin)
+exports.cancelSale = catchAsync(async (req, res, next) => {
+  const item = await loadManagedItem(req);
+  const sale = await cancelSale(await findSale(item, req.priceItemType, req.params.saleId), req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Sale cancelled',
+    data: sale
+  });
+});
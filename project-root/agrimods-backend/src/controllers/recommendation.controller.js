@@ -0,0 +1,47 @@
+// src/controllers/recommendation.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { RECOMMENDATIONS } = require('../utils/constants');
+const { getSimilarMods, getRecommendationsForUser } = require('../services/recommendation.service');
+const { localize } = require('../utils/i18n');
+
+const parseLimit = (value) => Math.min(parseInt(value, 10) || 10, RECOMMENDATIONS.MAX_ITEMS);
+
+// Localize the mod of each recommendation item
+const localizeItems = (items, language) => items.map(item => ({ ...item, mod: localize(item.mod, language) }));
+
+// @desc    Get mods often downloaded together with this one ("Players also downloaded")
+// @route   GET /api/v1/mods/:id/similar?limit=10
+// @access  Public
+exports.getSimilarMods = catchAsync(async (req, res, next) => {
+  const mod = await Mod.exists({ _id: req.params.id, status: 'approved' });
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  const { items, computedAt } = await getSimilarMods(mod._id, parseLimit(req.query.limit));
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    computedAt,
+    data: localizeItems(items, req.language)
+  });
+});
+
+// @desc    Get personal mod recommendations for the home page
+// @route   GET /api/v1/mods/recommended?limit=10
+// @access  Private
+exports.getRecommendedMods = catchAsync(async (req, res, next) => {
+  const { items, computedAt, fallback } = await getRecommendationsForUser(req.user, parseLimit(req.query.limit));
+
+  res.status(200).json({
+    status: 'success',
+    results: items.length,
+    computedAt,
+    fallback,
+    data: localizeItems(items, req.language)
+  });
+});
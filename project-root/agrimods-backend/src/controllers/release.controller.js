@@ -0,0 +1,121 @@
+// src/controllers/release.controller.js
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { findRelease, withdrawRelease, restoreRelease } = require('../services/release.service');
+const { can, assertCan } = require('../services/collaboration.service');
+const { checkInstalledMods } = require('../services/updateCheck.service');
+
+// Load a mod and make sure the current user may see it
+const getVisibleMod = async (req) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  if (mod.status !== 'approved' && !can(mod, req.user, 'view')) {
+    throw new AppError('You don\'t have access to this mod', 403, 'ACCESS_DENIED');
+  }
+
+  return mod;
+};
+
+// @desc    Get release history of a mod
+// @route   GET /api/v1/mods/:id/releases
+// @access  Public
+exports.getModReleases = catchAsync(async (req, res, next) => {
+  const mod = await getVisibleMod(req);
+
+  const releases = await ModRelease.getHistory(mod._id)
+    .select('-file.path -contents.files')
+    .populate('uploadedBy', 'name username');
+
+  res.status(200).json({
+    status: 'success',
+    results: releases.length,
+    data: {
+      currentVersion: mod.modVersion,
+      releases
+    }
+  });
+});
+
+// @desc    Get single release of a mod
+// @route   GET /api/v1/mods/:id/releases/:releaseId
+// @access  Public
+exports.getModRelease = catchAsync(async (req, res, next) => {
+  const mod = await getVisibleMod(req);
+  const release = await findRelease(mod._id, { releaseId: req.params.releaseId });
+
+  const data = release.toObject();
+  if (data.file) delete data.file.path;
+
+  res.status(200).json({
+    status: 'success',
+    data
+  });
+});
+
+// @desc    Withdraw a broken release (rolls the mod back if it was the current one)
+// @route   POST /api/v1/mods/:id/releases/:releaseId/withdraw
+// @access  Private (Owner, Maintainer or Admin)
+exports.withdrawModRelease = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+  assertCan(mod, req.user, 'edit');
+
+  const release = await findRelease(mod._id, { releaseId: req.params.releaseId });
+  await withdrawRelease(mod, release, req.user, req.body.reason);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Version ${release.version} withdrawn`,
+    data: {
+      currentVersion: mod.modVersion,
+      release
+    }
+  });
+});
+
+// @desc    Make a withdrawn release available again
+// @route   POST /api/v1/mods/:id/releases/:releaseId/restore
+// @access  Private (Owner, Maintainer or Admin)
+exports.restoreModRelease = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+  assertCan(mod, req.user, 'edit');
+
+  const release = await findRelease(mod._id, { releaseId: req.params.releaseId });
+  await restoreRelease(mod, release);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      currentVersion: mod.modVersion,
+      release
+    }
+  });
+});
+
+// @desc    Check installed mods for updates
+//          ({ mods: [{ filename: 'FS22_MyMod.zip', version: '1.0.0.0', sha256 }] })
+// @route   POST /api/v1/mods/updates/check
+// @access  Public
+exports.checkForUpdates = catchAsync(async (req, res, next) => {
+  const { summary, results } = await checkInstalledMods(req.body.mods);
+
+  res.status(200).json({
+    status: 'success',
+    results: results.length,
+    summary,
+    data: results
+  });
+});
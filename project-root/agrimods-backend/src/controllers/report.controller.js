@@ -0,0 +1,114 @@
+// src/controllers/report.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const {
+  findReport,
+  fileReport,
+  listReports,
+  getReportDetail,
+  updateReport,
+  hideReportedMod,
+  resolveReport,
+  getUserReports
+} = require('../services/report.service');
+
+// @desc    Report a mod (stolen, broken, malicious, ...) with evidence links
+// @route   POST /api/v1/mods/:id/reports
+// @access  Private
+exports.createReport = catchAsync(async (req, res, next) => {
+  const mod = await Mod.findById(req.params.id).select('author collaborators status');
+
+  if (!mod || !['approved', 'suspended'].includes(mod.status)) {
+    return next(new AppError('Mod not found', 404, 'MOD_NOT_FOUND'));
+  }
+
+  const report = await fileReport(mod, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Thank you. Our moderators will look into your report.',
+    data: report
+  });
+});
+
+// @desc    Get reports filed by the current user
+// @route   GET /api/v1/reports/mine
+// @access  Private
+exports.getMyReports = catchAsync(async (req, res, next) => {
+  const reports = await getUserReports(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    data: reports
+  });
+});
+
+// @desc    Get the report queue (most urgent first)
+// @route   GET /api/v1/reports?status=&category=&priority=&assigned=me|none&mod=&page=&limit=
+// @access  Private (Admin/Moderator)
+exports.getReports = catchAsync(async (req, res, next) => {
+  const { reports, total, page, pages } = await listReports({ ...req.query, userId: req.user.id });
+
+  res.status(200).json({
+    status: 'success',
+    results: reports.length,
+    pagination: { total, page, pages },
+    data: reports
+  });
+});
+
+// @desc    Get a report with its triage history and other open reports of the mod
+// @route   GET /api/v1/reports/:reportId
+// @access  Private (Admin/Moderator)
+exports.getReport = catchAsync(async (req, res, next) => {
+  const report = await findReport(req.params.reportId);
+  const detail = await getReportDetail(report);
+
+  res.status(200).json({
+    status: 'success',
+    data: detail
+  });
+});
+
+// @desc    Triage a report (status, priority, assignee)
+// @route   PATCH /api/v1/reports/:reportId
+// @access  Private (Admin/Moderator)
+exports.updateReport = catchAsync(async (req, res, next) => {
+  const report = await findReport(req.params.reportId);
+  await updateReport(report, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: report
+  });
+});
+
+// @desc    Hide the reported mod pending investigation
+// @route   POST /api/v1/reports/:reportId/hide
+// @access  Private (Admin/Moderator)
+exports.hideReportedMod = catchAsync(async (req, res, next) => {
+  const report = await findReport(req.params.reportId);
+  const { mod } = await hideReportedMod(report, req.user, req.body.note);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Mod hidden pending investigation',
+    data: { report, modStatus: mod.status }
+  });
+});
+
+// @desc    Close a report with an outcome (no_action, mod_restored, mod_removed)
+// @route   POST /api/v1/reports/:reportId/resolve
+// @access  Private (Admin/Moderator)
+exports.resolveReport = catchAsync(async (req, res, next) => {
+  const report = await findReport(req.params.reportId);
+  const { mod } = await resolveReport(report, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    message: `Report ${report.status}`,
+    data: { report, modStatus: mod?.status }
+  });
+});
@@ -0,0 +1,114 @@
+// src/controllers/review.controller.js
+const catchAsync = require('../utils/catchAsync');
+const {
+  loadTarget,
+  listReviews,
+  findReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  setHelpfulVote,
+  setAuthorReply
+} = require('../services/review.service');
+
+// Set which kind of item the nested review routes belong to ('Mod' or 'Bundle')
+exports.setReviewTarget = (targetType) => (req, res, next) => {
+  req.reviewTargetType = targetType;
+  next();
+};
+
+// @desc    Get reviews (?sort=helpful|recent|highest|lowest&verified=true&page=&limit=)
+// @route   GET /api/v1/mods/:id/reviews
+// @access  Public
+exports.getReviews = catchAsync(async (req, res, next) => {
+  const { reviews, total, page, limit } = await listReviews(req.reviewTargetType, req.params.id, req.query);
+
+  res.status(200).json({
+    status: 'success',
+    results: reviews.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: reviews
+  });
+});
+
+// @desc    Create review
+// @route   POST /api/v1/mods/:id/reviews
+// @access  Private
+exports.createReview = catchAsync(async (req, res, next) => {
+  const target = await loadTarget(req.reviewTargetType, req.params.id);
+  const review = await createReview(req.reviewTargetType, target, req.user, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Review added successfully',
+    data: review
+  });
+});
+
+// @desc    Edit own review
+// @route   PATCH /api/v1/mods/:id/reviews/:reviewId
+// @access  Private (Review author)
+exports.updateReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.reviewTargetType, req.params.id, req.params.reviewId);
+  await updateReview(review, req.user, req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: review
+  });
+});
+
+// @desc    Delete review
+// @route   DELETE /api/v1/mods/:id/reviews/:reviewId
+// @access  Private (Review author or Admin)
+exports.deleteReview = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.reviewTargetType, req.params.id, req.params.reviewId);
+  await deleteReview(review, req.user);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Mark review as helpful
+// @route   POST /api/v1/mods/:id/reviews/:reviewId/helpful
+// @access  Private
+exports.markHelpful = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.reviewTargetType, req.params.id, req.params.reviewId);
+  const helpfulCount = await setHelpfulVote(review, req.user.id, true);
+
+  res.status(200).json({
+    status: 'success',
+    data: { helpfulCount }
+  });
+});
+
+// @desc    Remove helpful mark
+// @route   DELETE /api/v1/mods/:id/reviews/:reviewId/helpful
+// @access  Private
+exports.unmarkHelpful = catchAsync(async (req, res, next) => {
+  const review = await findReview(req.reviewTargetType, req.params.id, req.params.reviewId);
+  const helpfulCount = await setHelpfulVote(review, req.user.id, false);
+
+  res.status(200).json({
+    status: 'success',
+    data: { helpfulCount }
+  });
+});
+
+// @desc    Post or edit the author's public reply (empty body removes it)
+// @route   PUT /api/v1/mods/:id/reviews/:reviewId/reply
+// @access  Private (Owner or Maintainer)
+exports.replyToReview = catchAsync(async (req, res, next) => {
+  const target = await loadTarget(req.reviewTargetType, req.params.id);
+  const review = await findReview(req.reviewTargetType, target._id, req.params.reviewId);
+  const authorReply = await setAuthorReply(review, target, req.user, req.body.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: authorReply || null
+  });
+});
@@ -0,0 +1,105 @@
+// src/controllers/screenshot.controller.js
+const Mod = require('../models/Mod.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const {
+  addScreenshots,
+  reorderScreenshots,
+  updateScreenshotCaption,
+  setCoverScreenshot,
+  removeScreenshot
+} = require('../services/screenshot.service');
+const { deleteMultipleFiles } = require('../services/file.service');
+const { can } = require('../services/collaboration.service');
+
+// Load a mod and make sure the current user may edit its gallery
+const getEditableMod = async (req) => {
+  const mod = await Mod.findById(req.params.id);
+
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  if (!can(mod, req.user, 'content')) {
+    throw new AppError('You don\'t have permission to update this mod', 403, 'ACCESS_DENIED');
+  }
+
+  return mod;
+};
+
+// @desc    Add screenshots to mod (converted to WebP thumbnail/gallery/full sizes)
+// @route   POST /api/v1/mods/:id/screenshots
+// @access  Private (Mod team or Admin)
+exports.addScreenshots = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one image', 400, 'NO_FILES'));
+  }
+
+  let mod;
+  try {
+    mod = await getEditableMod(req);
+  } catch (error) {
+    await deleteMultipleFiles(req.files.map(file => file.path));
+    throw error;
+  }
+
+  const screenshots = await addScreenshots(mod, req.files);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Screenshots added successfully',
+    data: { screenshots, coverImage: mod.coverImage }
+  });
+});
+
+// @desc    Reorder screenshots
+// @route   PATCH /api/v1/mods/:id/screenshots/order
+// @access  Private (Mod team or Admin)
+exports.reorderScreenshots = catchAsync(async (req, res, next) => {
+  const mod = await getEditableMod(req);
+  const screenshots = await reorderScreenshots(mod, req.body.order);
+
+  res.status(200).json({
+    status: 'success',
+    data: { screenshots }
+  });
+});
+
+// @desc    Update a screenshot caption
+// @route   PATCH /api/v1/mods/:id/screenshots/:screenshotId
+// @access  Private (Mod team or Admin)
+exports.updateScreenshot = catchAsync(async (req, res, next) => {
+  const mod = await getEditableMod(req);
+  const screenshot = await updateScreenshotCaption(mod, req.params.screenshotId, req.body.caption);
+
+  res.status(200).json({
+    status: 'success',
+    data: screenshot
+  });
+});
+
+// @desc    Use a screenshot as the cover image
+// @route   PATCH /api/v1/mods/:id/screenshots/:screenshotId/cover
+// @access  Private (Mod team or Admin)
+exports.setCoverScreenshot = catchAsync(async (req, res, next) => {
+  const mod = await getEditableMod(req);
+  const coverImage = await setCoverScreenshot(mod, req.params.screenshotId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { coverImage }
+  });
+});
+
+// @desc    Delete a screenshot and its files
+// @route   DELETE /api/v1/mods/:id/screenshots/:screenshotId
+// @access  Private (Mod team or Admin)
+exports.deleteScreenshot = catchAsync(async (req, res, next) => {
+  const mod = await getEditableMod(req);
+  const screenshots = await removeScreenshot(mod, req.params.screenshotId);
+
+  res.status(200).json({
+    status: 'success',
+    data: { screenshots, coverImage: mod.coverImage }
+  });
+});
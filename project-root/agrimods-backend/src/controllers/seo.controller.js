@@ -0,0 +1,49 @@
+// src/controllers/seo.controller.js
+const catchAsync = require('../utils/catchAsync');
+const { CACHE } = require('../utils/constants');
+const { renderSitemapIndex, renderUrlSet } = require('../utils/sitemap');
+const { getSitemapIndex, getSitemapUrls, getSharePreview } = require('../services/seo.service');
+
+const originOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// @desc    Sitemap index listing the sitemap files of mods, bundles, categories and brands
+// @route   GET /api/v1/seo/sitemap.xml
+// @access  Public
+exports.getSitemapIndex = catchAsync(async (req, res, next) => {
+  const sitemaps = await getSitemapIndex();
+  const base = `${originOf(req)}/api/v1/seo/sitemaps`;
+
+  res.set('Cache-Control', `public, max-age=${CACHE.LONG}`);
+  res.type('application/xml');
+  res.status(200).send(renderSitemapIndex(sitemaps.map(({ section, page, lastmod }) => ({
+    loc: `${base}/${section}-${page}.xml`,
+    lastmod
+  }))));
+});
+
+// @desc    One sitemap file (e.g. mods-1.xml)
+// @route   GET /api/v1/seo/sitemaps/:section-:page.xml
+// @access  Public
+exports.getSitemap = catchAsync(async (req, res, next) => {
+  const urls = await getSitemapUrls(req.params.section, req.params.page, originOf(req));
+
+  res.set('Cache-Control', `public, max-age=${CACHE.LONG}`);
+  res.type('application/xml');
+  res.status(200).send(renderUrlSet(urls));
+});
+
+// @desc    OpenGraph / Twitter card metadata of a mod, bundle, category or brand page
+// @route   GET /api/v1/seo/meta/:type/:slug
+// @access  Public
+exports.getSharePreview = catchAsync(async (req, res, next) => {
+  const preview = await getSharePreview(req.params.type, req.params.slug, {
+    language: req.language,
+    baseUrl: originOf(req)
+  });
+
+  res.set('Cache-Control', `public, max-age=${CACHE.SHORT}`);
+  res.status(200).json({
+    status: 'success',
+    data: preview
+  });
+});
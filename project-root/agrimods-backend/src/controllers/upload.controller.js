@@ -0,0 +1,85 @@
+// src/controllers/upload.controller.js
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const {
+  createSession,
+  findSession,
+  getProgress,
+  saveChunk,
+  finalizeSession,
+  deleteSession
+} = require('../services/upload.service');
+
+// @desc    Start a resumable upload session
+// @route   POST /api/v1/uploads
+// @access  Private
+exports.createUploadSession = catchAsync(async (req, res, next) => {
+  const session = await createSession(req.user.id, req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: getProgress(session)
+  });
+});
+
+// @desc    Get received offset and missing chunks of an upload
+// @route   GET /api/v1/uploads/:id
+// @access  Private
+exports.getUploadSession = catchAsync(async (req, res, next) => {
+  const session = await findSession(req.params.id, req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: getProgress(session)
+  });
+});
+
+// @desc    Upload one numbered chunk (raw application/octet-stream body)
+// @route   PUT /api/v1/uploads/:id/chunks/:index
+// @access  Private
+exports.uploadChunk = catchAsync(async (req, res, next) => {
+  if (!Buffer.isBuffer(req.body)) {
+    return next(new AppError('Chunk must be sent as application/octet-stream', 415, 'INVALID_CONTENT_TYPE'));
+  }
+
+  const session = await findSession(req.params.id, req.user.id);
+  const updated = await saveChunk(session, Number(req.params.index), req.body);
+
+  res.status(200).json({
+    status: 'success',
+    data: getProgress(updated)
+  });
+});
+
+// @desc    Assemble the chunks and verify the SHA-256 checksum
+// @route   POST /api/v1/uploads/:id/complete
+// @access  Private
+exports.completeUpload = catchAsync(async (req, res, next) => {
+  const session = await findSession(req.params.id, req.user.id);
+  await finalizeSession(session, req.body.checksum);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Upload complete. Pass uploadId when creating or updating the mod.',
+    data: {
+      uploadId: session._id,
+      originalName: session.originalName,
+      size: session.size,
+      checksum: session.checksum,
+      expiresAt: session.expiresAt
+    }
+  });
+});
+
+// @desc    Cancel an upload and discard its data
+// @route   DELETE /api/v1/uploads/:id
+// @access  Private
+exports.cancelUpload = catchAsync(async (req, res, next) => {
+  const session = await findSession(req.params.id, req.user.id);
+  await deleteSession(session);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
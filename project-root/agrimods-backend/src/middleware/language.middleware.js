@@ -0,0 +1,10 @@
+// src/middleware/language.middleware.js
+const { resolveLanguage } = require('../utils/i18n');
+
+// Resolve the listing language from ?lang= or Accept-Language (falls back to the default language)
+exports.setLanguage = (req, res, next) => {
+  req.language = resolveLanguage(req);
+  res.vary('Accept-Language');
+  res.set('Content-Language', req.language);
+  next();
+};
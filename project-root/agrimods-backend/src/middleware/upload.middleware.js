@@ -3,13 +3,18 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { scanModArchive } = require('../services/scan.service');
+const { consumeSession } = require('../services/upload.service');
 
 // Ensure upload directories exist
 const uploadDirs = [
   'uploads/mods',
   'uploads/avatars',
   'uploads/screenshots',
-  'uploads/temp'
+  'uploads/logos',
+  'uploads/temp',
+  'uploads/chunks'
 ];
 
 uploadDirs.forEach(dir => {
@@ -56,6 +61,18 @@ const imageStorage = multer.diskStorage({
   }
 });
 
+// Storage for brand logos
+const logoStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/logos/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname);
+    cb(null, `logo-${uniqueSuffix}${ext}`);
+  }
+});
+
 // ==================== FILE FILTERS ====================
 
 // Filter for mod files
@@ -121,6 +138,15 @@ exports.uploadImages = multer({
   fileFilter: imageFileFilter
 }).array('images', 5);
 
+// Brand logo upload (max 2MB)
+exports.uploadLogo = multer({
+  storage: logoStorage,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  },
+  fileFilter: imageFileFilter
+}).single('logo');
+
 // Multiple file upload (for different purposes)
 exports.uploadMultiple = multer({
   storage: multer.diskStorage({
@@ -205,6 +231,53 @@ exports.requireFile = (req, res, next) => {
   next();
 };
 
+// Middleware to use a finalized chunked upload (req.body.uploadId) as the mod file
+exports.useUploadSession = async (req, res, next) => {
+  if (req.file || !req.body.uploadId) return next();
+
+  try {
+    req.file = await consumeSession(req.body.uploadId, req.user.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware to run the static safety scan on an uploaded mod archive.
+// Critical findings reject the upload; anything else is attached as req.scanResult for moderators.
+exports.scanModUpload = async (req, res, next) => {
+  if (!req.file) return next();
+
+  let result;
+  try {
+    result = await scanModArchive(req.file.path);
+  } catch (error) {
+    exports.deleteFile(req.file.path);
+    return next(error);
+  }
+
+  if (result.status === 'rejected') {
+    exports.deleteFile(req.file.path);
+
+    const critical = result.findings.filter(finding => finding.severity === 'critical');
+    logger.securityEvent('mod_upload_rejected', {
+      severity: 'high',
+      userId: req.user?.id,
+      file: req.file.originalname,
+      findings: critical
+    });
+
+    const summary = critical
+      .slice(0, 5)
+      .map(finding => finding.entry ? `${finding.type} (${finding.entry})` : finding.type)
+      .join(', ');
+    return next(new AppError(`Upload rejected by safety scan: ${summary}`, 422, 'SCAN_REJECTED'));
+  }
+
+  req.scanResult = result;
+  next();
+};
+
 // Middleware to validate file size (custom)
 exports.validateFileSize = (maxSizeMB) => {
   return (req, res, next) => {
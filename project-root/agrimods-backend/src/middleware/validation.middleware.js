@@ -8,6 +8,7 @@ const {
 } = require('express-validator');
 const logger = require('../utils/logger');
 const { isValidObjectId } = require('../utils/helpers');
+const { COMPATIBILITY, FS_VERSIONS } = require('../utils/constants');
 
 // ======================
 // 🔒 SECURITY VALIDATORS (CRITICAL)
@@ -250,13 +251,21 @@ const validateCreateMod = () => {
     body('isFree').optional().isBoolean(),
     body('compatibility')
       .optional()
-      .isArray().withMessage('Compatibility must be an array')
+      .isArray({ max: COMPATIBILITY.MAX_ENTRIES }).withMessage('Compatibility must be an array')
       .custom(compat => {
-        if (compat && compat.some(item => typeof item !== 'string' || item.length > 50)) {
-          throw new Error('Compatibility items must be strings under 50 characters');
+        if (compat && compat.some(item => !item || !FS_VERSIONS.includes(item.game))) {
+          throw new Error(`Each compatibility entry needs a game (${FS_VERSIONS.join(', ')})`);
         }
         return true;
-      })
+      }),
+    body('metaTitle')
+      .optional()
+      .trim()
+      .isLength({ max: 70 }).withMessage('Meta title cannot exceed 70 characters'),
+    body('metaDescription')
+      .optional()
+      .trim()
+      .isLength({ max: 160 }).withMessage('Meta description cannot exceed 160 characters')
   ];
 };
 
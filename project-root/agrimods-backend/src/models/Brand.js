@@ -0,0 +1,64 @@
+// src/models/Brand.js
+const mongoose = require('mongoose');
+
+// Tractor / equipment manufacturer (IMT, IMR, Zmaj, ...)
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Brand must have a name'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Brand name cannot exceed 60 characters']
+  },
+
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+
+  logo: String,
+
+  // ISO 3166-1 alpha-2 country code
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a 2-letter ISO code']
+  },
+
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  website: String,
+
+  // Shown in the front page "Featured Brands" section
+  featured: {
+    type: Boolean,
+    default: false
+  },
+
+  order: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+brandSchema.pre('save', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '');
+  }
+  next();
+});
+
+// Indexes
+brandSchema.index({ featured: 1, order: 1 });
+
+module.exports = mongoose.model('Brand', brandSchema);
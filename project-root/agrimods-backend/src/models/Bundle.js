@@ -1,5 +1,6 @@
 // src/models/bundle.model.js
 const mongoose = require('mongoose');
+const { buildSlugFields } = require('../utils/slug');
 
 const bundleSchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,12 @@ const bundleSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Previous slugs; they resolve to this bundle with a redirect hint
+  slugHistory: [{
+    type: String,
+    lowercase: true
+  }],
+  
   description: {
     type: String,
     required: [true, 'Bundle must have a description'],
@@ -46,6 +53,18 @@ const bundleSchema = new mongoose.Schema({
     uppercase: true
   },
   
+  // Running sale (see PriceSchedule); salePrice holds the sale price meanwhile
+  sale: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceSchedule'
+    },
+    label: String,
+    regularPrice: Number,
+    startedAt: Date,
+    endsAt: Date
+  },
+  
   discount: {
     type: Number,
     default: 0,
@@ -78,12 +97,30 @@ const bundleSchema = new mongoose.Schema({
     order: Number
   }],
   
+  // Per-language texts keyed by language code (de, sr, hr, ...); base fields are English
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({
+      name: { type: String, trim: true },
+      shortDescription: { type: String, maxlength: [200, 'Short description cannot exceed 200 characters'] },
+      description: String,
+      metaTitle: { type: String, trim: true },
+      metaDescription: { type: String, trim: true }
+    }, { _id: false })
+  },
+  
   // Category
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
   },
   
+  // Manufacturer the bundle is built around
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand'
+  },
+  
   tags: [{
     type: String,
     trim: true,
@@ -138,25 +175,6 @@ const bundleSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Reviews
-  reviews: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5
-    },
-    title: String,
-    comment: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  
   // Purchase Requirements
   requirements: {
     type: String,
@@ -181,15 +199,20 @@ const bundleSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Create slug from name before saving
-bundleSchema.pre('save', function(next) {
-  if (!this.slug && this.name) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+// Create a unique slug, and a new one (keeping the old as alias) when the bundle is renamed
+bundleSchema.pre('save', async function() {
+  if (this.name && (!this.slug || this.isModified('name'))) {
+    Object.assign(this, await buildSlugFields(this.constructor, this, this.name, this.$locals.storedName));
   }
-  
+  this.$locals.storedName = this.name;
+});
+
+// Remember the stored name so a rename can be told from a letter case change
+bundleSchema.post('init', function() {
+  this.$locals.storedName = this.name;
+});
+
+bundleSchema.pre('save', function(next) {
   // Calculate discount
   if (this.salePrice && this.originalPrice) {
     this.discount = Math.round(((this.originalPrice - this.salePrice) / this.originalPrice) * 100);
@@ -198,36 +221,6 @@ bundleSchema.pre('save', function(next) {
   next();
 });
 
-// Calculate average rating before saving
-bundleSchema.pre('save', async function(next) {
-  if (this.reviews.length > 0) {
-    const total = this.reviews.reduce((sum, review) => sum + review.rating, 0);
-    this.averageRating = total / this.reviews.length;
-    this.ratingsQuantity = this.reviews.length;
-  }
-  next();
-});
-
-// Add review method
-bundleSchema.methods.addReview = async function(userId, rating, title, comment) {
-  // Check if user already reviewed
-  const existingReview = this.reviews.find(r => r.user.toString() === userId.toString());
-  
-  if (existingReview) {
-    throw new Error('You have already reviewed this bundle');
-  }
-  
-  this.reviews.push({
-    user: userId,
-    rating,
-    title,
-    comment,
-    createdAt: new Date()
-  });
-  
-  await this.save();
-};
-
 // Increment sales method
 bundleSchema.methods.incrementSales = async function(amount) {
   this.totalSales += 1;
@@ -241,6 +234,14 @@ bundleSchema.methods.incrementDownloads = async function() {
   await this.save();
 };
 
+// Virtual populate for reviews (ratings are kept up to date by the Review model)
+bundleSchema.virtual('reviews', {
+  ref: 'Review',
+  foreignField: 'target',
+  localField: '_id',
+  match: { targetType: 'Bundle' }
+});
+
 // Virtual for current price
 bundleSchema.virtual('currentPrice').get(function() {
   return this.salePrice || this.originalPrice;
@@ -258,8 +259,10 @@ bundleSchema.virtual('modCount').get(function() {
 
 // Index for faster queries
 bundleSchema.index({ slug: 1 });
+bundleSchema.index({ slugHistory: 1 });
 bundleSchema.index({ status: 1 });
 bundleSchema.index({ category: 1 });
+bundleSchema.index({ brand: 1 });
 bundleSchema.index({ author: 1 });
 bundleSchema.index({ isFeatured: 1 });
 bundleSchema.index({ createdAt: -1 });
@@ -0,0 +1,120 @@
+// src/models/DmcaClaim.js
+const mongoose = require('mongoose');
+
+// Formal DMCA takedown notice against a mod and the uploader's counter-notice.
+// Downloads of the mod are suspended while the claim is open, counter-noticed or upheld.
+const dmcaClaimSchema = new mongoose.Schema({
+  mod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mod',
+    required: [true, 'Claim must belong to a mod']
+  },
+
+  // Set when the claimant was logged in
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Address the notice was sent from (abuse limits)
+  ipAddress: String,
+
+  claimant: {
+    name: {
+      type: String,
+      required: [true, 'Please provide your full legal name'],
+      trim: true
+    },
+    company: String,
+    email: {
+      type: String,
+      required: [true, 'Please provide a contact email'],
+      lowercase: true,
+      trim: true
+    },
+    address: {
+      type: String,
+      required: [true, 'Please provide a postal address'],
+      trim: true
+    },
+    phone: String
+  },
+
+  // Description of the copyrighted work and where the original can be found
+  copyrightedWork: {
+    type: String,
+    required: [true, 'Please identify the copyrighted work'],
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+
+  originalUrls: [String],
+
+  // What in the mod infringes (files, models, textures, ...)
+  infringingMaterial: {
+    type: String,
+    required: [true, 'Please identify the infringing material'],
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+
+  // Statements required by 17 U.S.C. § 512(c)(3)
+  goodFaith: {
+    type: Boolean,
+    required: true
+  },
+  accurateUnderPenaltyOfPerjury: {
+    type: Boolean,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: [true, 'Please sign the notice with your full name'],
+    trim: true
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'counter_noticed', 'upheld', 'rejected', 'withdrawn', 'restored'],
+    default: 'open'
+  },
+
+  // Counter-notice by the mod owner (17 U.S.C. § 512(g)(3))
+  counterNotice: {
+    name: String,
+    email: String,
+    address: String,
+    phone: String,
+    statement: {
+      type: String,
+      maxlength: [5000, 'Statement cannot exceed 5000 characters']
+    },
+    consentToJurisdiction: Boolean,
+    signature: String,
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date
+  },
+
+  // Downloads are restored after this date unless the claimant goes to court
+  restoreAfter: Date,
+
+  resolution: {
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dmcaClaimSchema.index({ mod: 1, status: 1 });
+dmcaClaimSchema.index({ submittedBy: 1, createdAt: -1 });
+dmcaClaimSchema.index({ ipAddress: 1, createdAt: -1 });
+dmcaClaimSchema.index({ status: 1, restoreAfter: 1 });
+
+module.exports = mongoose.model('DmcaClaim', dmcaClaimSchema);
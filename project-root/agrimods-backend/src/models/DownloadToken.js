@@ -0,0 +1,56 @@
+// src/models/DownloadToken.js
+const mongoose = require('mongoose');
+
+// Server side state of a signed download link: who it was issued to, what it downloads
+// and how often it may still be used. The link itself is never stored.
+const downloadTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Download token must belong to a user']
+  },
+
+  mod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mod',
+    required: [true, 'Download token must belong to a mod']
+  },
+
+  // Specific release; the mod's current file when unset
+  release: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModRelease'
+  },
+
+  // Only this address may use the link (optional)
+  ip: String,
+
+  maxUses: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  uses: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Download token must expire']
+  },
+
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+downloadTokenSchema.index({ user: 1, createdAt: -1 });
+// Expired tokens are useless; let MongoDB remove them
+downloadTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('DownloadToken', downloadTokenSchema);
@@ -1,5 +1,6 @@
 // src/models/Mod.model.js
 const mongoose = require('mongoose');
+const { buildSlugFields } = require('../utils/slug');
 
 const modSchema = new mongoose.Schema({
   name: {
@@ -16,6 +17,12 @@ const modSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Previous slugs; they resolve to this mod with a redirect hint
+  slugHistory: [{
+    type: String,
+    lowercase: true
+  }],
+  
   description: {
     type: String,
     required: [true, 'Mod must have a description'],
@@ -34,10 +41,49 @@ const modSchema = new mongoose.Schema({
     trim: true
   },
   
-  fsVersion: {
-    type: String,
-    enum: ['FS19', 'FS22', 'FS25'],
-    default: 'FS22'
+  // Compatibility matrix: one entry per game generation and patch range.
+  // A missing minPatch/maxPatch leaves that end of the range open.
+  compatibility: [{
+    game: {
+      type: String,
+      enum: ['FS19', 'FS22', 'FS25'],
+      required: true
+    },
+    minPatch: String,
+    maxPatch: String,
+    // Zero-padded patch versions for range queries, kept in sync by compatibility.service
+    minPatchKey: String,
+    maxPatchKey: String,
+    status: {
+      type: String,
+      enum: ['tested', 'untested', 'broken'],
+      default: 'untested'
+    },
+    // Mod file version the entry was checked with
+    modVersion: String,
+    note: {
+      type: String,
+      maxlength: [300, 'Compatibility note cannot exceed 300 characters']
+    },
+    testedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    testedAt: Date
+  }],
+  
+  multiplayer: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Values read from the archive's modDesc.xml
+  modDesc: {
+    descVersion: Number,
+    title: String,
+    author: String,
+    iconPath: String,
+    parsedAt: Date
   },
   
   category: {
@@ -51,18 +97,33 @@ const modSchema = new mongoose.Schema({
     path: String,
     size: Number,
     mimetype: String,
+    originalName: String,
+    sha256: String,
     uploadedAt: {
       type: Date,
       default: Date.now
     }
   },
   
+  // Processed WebP renditions; url is the full size
   screenshots: [{
     url: String,
-    caption: String,
+    sizes: {
+      thumbnail: String,
+      gallery: String,
+      full: String
+    },
+    width: Number,
+    height: Number,
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Caption cannot exceed 200 characters']
+    },
     order: Number
   }],
   
+  // Gallery size of the screenshot chosen as cover
   coverImage: String,
   
   author: {
@@ -77,6 +138,60 @@ const modSchema = new mongoose.Schema({
     lowercase: true
   }],
   
+  // Team members besides the owner (author)
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['maintainer', 'contributor'],
+      default: 'contributor'
+    },
+    // Percentage of paid mod revenue; the owner receives the remainder
+    revenueShare: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Pending ownership transfer; the recipient has to accept it
+  ownershipTransfer: {
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    expiresAt: Date
+  },
+  
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand'
+  },
+  
+  // Copy of brand.name (IMT, Zmaj, ...), included in text search
+  brandName: {
+    type: String,
+    trim: true
+  },
+  
   downloads: {
     type: Number,
     default: 0
@@ -94,32 +209,43 @@ const modSchema = new mongoose.Schema({
     default: 0
   },
   
-  reviews: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5
-    },
-    title: String,
-    comment: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  
   status: {
     type: String,
-    enum: ['draft', 'pending_review', 'approved', 'rejected', 'published', 'unpublished', 'archived'],
+    enum: ['draft', 'pending_review', 'changes_requested', 'scheduled', 'approved', 'rejected', 'published', 'unpublished', 'archived', 'suspended'],
     default: 'pending_review'
   },
   
   rejectionReason: String,
   
+  // Embargo: an approved mod stays scheduled (hidden) until this moment
+  publishAt: Date,
+  
+  publishedAt: Date,
+  
+  // Result of the static safety scan of the current file
+  scan: {
+    status: {
+      type: String,
+      enum: ['clean', 'flagged', 'rejected']
+    },
+    findings: [{
+      severity: {
+        type: String,
+        enum: ['warning', 'critical']
+      },
+      type: { type: String },
+      entry: String,
+      detail: String
+    }],
+    stats: {
+      entries: Number,
+      compressedSize: Number,
+      uncompressedSize: Number,
+      compressionRatio: Number
+    },
+    scannedAt: Date
+  },
+  
   isFree: {
     type: Boolean,
     default: true
@@ -136,38 +262,180 @@ const modSchema = new mongoose.Schema({
     uppercase: true
   },
   
+  // Running sale (see PriceSchedule); price holds the sale price meanwhile
+  sale: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceSchedule'
+    },
+    label: String,
+    regularPrice: Number,
+    startedAt: Date,
+    endsAt: Date
+  },
+  
   requirements: String,
+
+  // Other mods this mod needs (or works with), with accepted version ranges
+  dependencies: [{
+    mod: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mod',
+      required: [true, 'Dependency must reference a mod']
+    },
+    type: {
+      type: String,
+      enum: ['required', 'optional'],
+      default: 'required'
+    },
+    versionRange: {
+      type: String,
+      trim: true,
+      default: '*'
+    },
+    note: String
+  }],
+
+  // Official DLCs / expansions needed to run the mod
+  requiredDlcs: [{
+    type: String,
+    trim: true
+  }],
+
   installationInstructions: String,
   changelog: String,
   
+  // Per-language texts keyed by language code (de, sr, hr, ...); base fields are English
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({
+      name: { type: String, trim: true, maxlength: [100, 'Mod name cannot exceed 100 characters'] },
+      description: { type: String, maxlength: [5000, 'Description cannot exceed 5000 characters'] },
+      installationInstructions: String,
+      changelog: String,
+      metaTitle: { type: String, trim: true, maxlength: [70, 'Meta title cannot exceed 70 characters'] },
+      metaDescription: { type: String, trim: true, maxlength: [160, 'Meta description cannot exceed 160 characters'] }
+    }, { _id: false })
+  },
+  
   featured: {
     type: Boolean,
     default: false
   },
   
-  featuredUntil: Date
+  featuredUntil: Date,
+  
+  // SEO (search results and link previews); name and description are used when empty
+  metaTitle: {
+    type: String,
+    trim: true,
+    maxlength: [70, 'Meta title cannot exceed 70 characters']
+  },
+  
+  metaDescription: {
+    type: String,
+    trim: true,
+    maxlength: [160, 'Meta description cannot exceed 160 characters']
+  },
+  
+  metaKeywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }]
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
 
-// Create slug
-modSchema.pre('save', function(next) {
-  if (!this.slug && this.name) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/(^-|-$)/g, '');
+// Create a unique slug, and a new one (keeping the old as alias) when the mod is renamed
+modSchema.pre('save', async function() {
+  if (this.name && (!this.slug || this.isModified('name'))) {
+    Object.assign(this, await buildSlugFields(this.constructor, this, this.name, this.$locals.storedName));
   }
+  this.$locals.storedName = this.name;
+});
+
+// Remember the stored category and name so category mod counts can be corrected and renames detected
+modSchema.post('init', function() {
+  this.$locals.storedCategory = this.category;
+  this.$locals.storedName = this.name;
+});
+
+modSchema.pre('save', function(next) {
+  this.$locals.recountCategories = this.isNew || this.isModified('category') || this.isModified('status');
   next();
 });
 
+// Keep Category.modCount in sync after every write that can change it
+modSchema.post('save', async function() {
+  if (!this.$locals.recountCategories) return;
+
+  await mongoose.model('Category').calcModCount([this.$locals.storedCategory, this.category]);
+  this.$locals.storedCategory = this.category;
+});
+
+modSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const touchesCount = ['category', 'status'].some(field =>
+    update[field] !== undefined || (update.$set && update.$set[field] !== undefined)
+  );
+
+  if (touchesCount) {
+    this._storedMod = await this.model.findOne(this.getFilter()).select('category').lean();
+  }
+});
+
+modSchema.post('findOneAndUpdate', async function(doc) {
+  if (!this._storedMod || !doc) return;
+  await mongoose.model('Category').calcModCount([this._storedMod.category, doc.category]);
+});
+
+modSchema.post('findOneAndDelete', async function(doc) {
+  if (doc) await mongoose.model('Category').calcModCount([doc.category]);
+});
+
+modSchema.post('deleteOne', { document: true, query: false }, function() {
+  return mongoose.model('Category').calcModCount([this.category]);
+});
+
+// Virtual populate for release history
+modSchema.virtual('releases', {
+  ref: 'ModRelease',
+  foreignField: 'mod',
+  localField: '_id'
+});
+
+// Virtual populate for reviews
+modSchema.virtual('reviews', {
+  ref: 'Review',
+  foreignField: 'target',
+  localField: '_id',
+  match: { targetType: 'Mod' }
+});
+
 // Indexes
 modSchema.index({ slug: 1 });
+modSchema.index({ slugHistory: 1 });
 modSchema.index({ status: 1 });
 modSchema.index({ category: 1 });
 modSchema.index({ author: 1 });
+modSchema.index({ 'collaborators.user': 1 });
+modSchema.index({ 'ownershipTransfer.to': 1 });
 modSchema.index({ createdAt: -1 });
+modSchema.index({ 'compatibility.game': 1, status: 1 });
+modSchema.index({ 'dependencies.mod': 1 });
+modSchema.index({ 'scan.status': 1 });
+modSchema.index({ status: 1, publishAt: 1 });
+modSchema.index({ status: 1, publishedAt: -1 });
+modSchema.index({ brand: 1, status: 1 });
+modSchema.index(
+  { name: 'text', description: 'text', tags: 'text', brandName: 'text' },
+  {
+    name: 'mod_text_search',
+    weights: { name: 10, brandName: 5, tags: 5, description: 1 }
+  }
+);
 
 module.exports = mongoose.model('Mod', modSchema);
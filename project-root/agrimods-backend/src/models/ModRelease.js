@@ -0,0 +1,118 @@
+// src/models/ModRelease.js
+const mongoose = require('mongoose');
+
+const modReleaseSchema = new mongoose.Schema({
+  mod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mod',
+    required: [true, 'Release must belong to a mod']
+  },
+
+  version: {
+    type: String,
+    required: [true, 'Release must have a version'],
+    trim: true
+  },
+
+  file: {
+    filename: String,
+    path: String,
+    size: Number,
+    mimetype: String,
+    // Name of the uploaded archive ("FS22_MyMod.zip") and its checksum,
+    // used to recognize installed copies
+    originalName: String,
+    sha256: String
+  },
+
+  // Lowercased archive name without extension ("fs22_mymod"), the game's mod name
+  modName: String,
+
+  changelog: {
+    type: String,
+    maxlength: [5000, 'Changelog cannot exceed 5000 characters']
+  },
+
+  // Game compatibility
+  fsVersion: {
+    type: String,
+    enum: ['FS19', 'FS22', 'FS25']
+  },
+
+  descVersion: Number,
+
+  gameVersions: [{
+    type: String,
+    trim: true
+  }],
+
+  // Index of the archive, used for conflict detection between mods
+  contents: {
+    files: [String],
+    storeItems: [String],
+    specializations: [String],
+    vehicleTypes: [String]
+  },
+
+  scanStatus: {
+    type: String,
+    enum: ['clean', 'flagged', 'rejected']
+  },
+
+  // Withdrawn releases (broken or pulled by the mod team) can't be downloaded
+  status: {
+    type: String,
+    enum: ['active', 'withdrawn'],
+    default: 'active'
+  },
+
+  withdrawnAt: Date,
+
+  withdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  withdrawReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  downloads: {
+    type: Number,
+    default: 0
+  },
+
+  releasedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get release history for a mod (newest first)
+modReleaseSchema.statics.getHistory = function(modId) {
+  return this.find({ mod: modId }).sort('-releasedAt');
+};
+
+// Static method to get the latest active release for a mod
+modReleaseSchema.statics.getLatest = function(modId) {
+  return this.findOne({ mod: modId, status: { $ne: 'withdrawn' } }).sort('-releasedAt');
+};
+
+// Indexes
+modReleaseSchema.index({ mod: 1, version: 1 }, { unique: true });
+modReleaseSchema.index({ mod: 1, releasedAt: -1 });
+modReleaseSchema.index({ releasedAt: -1 });
+modReleaseSchema.index({ 'file.sha256': 1 });
+modReleaseSchema.index({ modName: 1 });
+modReleaseSchema.index({ 'contents.storeItems': 1 });
+modReleaseSchema.index({ 'contents.specializations': 1 });
+
+module.exports = mongoose.model('ModRelease', modReleaseSchema);
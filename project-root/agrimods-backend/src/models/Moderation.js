@@ -0,0 +1,99 @@
+// src/models/Moderation.js
+const mongoose = require('mongoose');
+
+// Review case of a mod: assignment, checklist, reviewer-author thread and status history
+const moderationSchema = new mongoose.Schema({
+  mod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mod',
+    required: [true, 'Moderation case must belong to a mod'],
+    unique: true
+  },
+
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  assignedAt: Date,
+
+  // When the mod last entered the review queue
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Incremented on every resubmission
+  round: {
+    type: Number,
+    default: 1
+  },
+
+  checklist: [{
+    key: {
+      type: String,
+      required: true
+    },
+    label: String,
+    passed: {
+      type: Boolean,
+      default: null
+    },
+    note: String,
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedAt: Date
+  }],
+
+  comments: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['reviewer', 'author'],
+      required: true
+    },
+    body: {
+      type: String,
+      required: [true, 'Comment cannot be empty'],
+      maxlength: [5000, 'Comment cannot exceed 5000 characters']
+    },
+    // Comment this one replies to
+    parent: mongoose.Schema.Types.ObjectId,
+    round: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  history: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+moderationSchema.index({ reviewer: 1 });
+moderationSchema.index({ submittedAt: 1 });
+
+module.exports = mongoose.model('Moderation', moderationSchema);
@@ -0,0 +1,56 @@
+// src/models/PriceHistory.js
+const mongoose = require('mongoose');
+
+// Price a mod or bundle was sold at from effectiveAt until the next entry
+const priceHistorySchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['Mod', 'Bundle'],
+    required: [true, 'Price entry must have an item type']
+  },
+
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: [true, 'Price entry must belong to a mod or bundle']
+  },
+
+  price: {
+    type: Number,
+    required: [true, 'Price entry must have a price'],
+    min: 0
+  },
+
+  currency: {
+    type: String,
+    uppercase: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['initial', 'manual', 'sale_start', 'sale_end'],
+    required: true
+  },
+
+  sale: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSchedule'
+  },
+
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  effectiveAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+priceHistorySchema.index({ itemType: 1, item: 1, effectiveAt: -1 });
+
+module.exports = mongoose.model('PriceHistory', priceHistorySchema);
@@ -0,0 +1,73 @@
+// src/models/PriceSchedule.js
+const mongoose = require('mongoose');
+
+// Timed sale price of a paid mod or bundle. While active the sale price replaces the
+// item's price; the previous price is restored when the sale ends or is cancelled.
+const priceScheduleSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['Mod', 'Bundle'],
+    required: [true, 'Sale must have an item type']
+  },
+
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: [true, 'Sale must belong to a mod or bundle']
+  },
+
+  price: {
+    type: Number,
+    required: [true, 'Sale must have a price'],
+    min: [0, 'Price cannot be negative']
+  },
+
+  // Shown with the price ("Weekend sale")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Label cannot exceed 60 characters']
+  },
+
+  startsAt: {
+    type: Date,
+    required: [true, 'Sale must have a start time']
+  },
+
+  endsAt: {
+    type: Date,
+    required: [true, 'Sale must have an end time']
+  },
+
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended', 'cancelled'],
+    default: 'scheduled'
+  },
+
+  // Price field value before the sale started, restored afterwards
+  // (Mod.price, or Bundle.salePrice which may be unset)
+  previousPrice: Number,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  activatedAt: Date,
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+priceScheduleSchema.index({ itemType: 1, item: 1, startsAt: -1 });
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.model('PriceSchedule', priceScheduleSchema);
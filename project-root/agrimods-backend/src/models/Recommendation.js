@@ -0,0 +1,40 @@
+// src/models/Recommendation.js
+const mongoose = require('mongoose');
+
+// Precomputed recommendations, rebuilt by the scheduler:
+// - similar:  mods downloaded together with `key` (a mod id)
+// - personal: suggestions for `key` (a user id)
+const recommendationSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['similar', 'personal'],
+    required: true
+  },
+
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  items: [{
+    _id: false,
+    mod: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Mod'
+    },
+    score: Number,
+    // Number of players that got both mods (similar only)
+    together: Number
+  }],
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+recommendationSchema.index({ kind: 1, key: 1 }, { unique: true });
+recommendationSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('Recommendation', recommendationSchema);
@@ -0,0 +1,99 @@
+// src/models/Report.js
+const mongoose = require('mongoose');
+
+// Abuse report filed by a user against a mod, triaged by moderators
+const reportSchema = new mongoose.Schema({
+  mod: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mod',
+    required: [true, 'Report must belong to a mod']
+  },
+
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Report must have a reporter']
+  },
+
+  category: {
+    type: String,
+    enum: ['stolen', 'broken', 'malicious', 'inappropriate', 'spam', 'other'],
+    required: [true, 'Please choose a report category']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Please describe the problem'],
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+
+  // Links to original work, screenshots, logs, ...
+  evidence: [{
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Evidence note cannot exceed 500 characters']
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['open', 'investigating', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'normal', 'high', 'critical'],
+    default: 'normal'
+  },
+
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  outcome: {
+    action: {
+      type: String,
+      enum: ['no_action', 'mod_restored', 'mod_removed']
+    },
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+
+  // Triage trail: status changes, hiding, assignment
+  history: [{
+    action: {
+      type: String,
+      required: true
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+reportSchema.index({ status: 1, priority: 1, createdAt: 1 });
+reportSchema.index({ mod: 1, status: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,112 @@
+// src/models/Review.js
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  // Reviewed item (a mod or a bundle)
+  targetType: {
+    type: String,
+    enum: ['Mod', 'Bundle'],
+    required: [true, 'Review must have a target type']
+  },
+
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: [true, 'Review must belong to a mod or bundle']
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must belong to a user']
+  },
+
+  rating: {
+    type: Number,
+    required: [true, 'Review must have a rating'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+
+  // Reviewer bought the item
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  helpfulCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Single public reply by the mod/bundle author
+  authorReply: {
+    body: {
+      type: String,
+      maxlength: [2000, 'Reply cannot exceed 2000 characters']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date,
+    updatedAt: Date
+  },
+
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+// Rating fields kept on the reviewed documents
+const RATING_FIELDS = {
+  Mod: { average: 'ratingsAverage', quantity: 'ratingsQuantity' },
+  Bundle: { average: 'averageRating', quantity: 'ratingsQuantity' }
+};
+
+// Static method to recompute the rating of a mod or bundle from its reviews
+reviewSchema.statics.calcRatings = async function(targetType, targetId) {
+  const [stats] = await this.aggregate([
+    { $match: { targetType, target: targetId } },
+    { $group: { _id: '$target', quantity: { $sum: 1 }, average: { $avg: '$rating' } } }
+  ]);
+
+  const fields = RATING_FIELDS[targetType];
+  await mongoose.model(targetType).findByIdAndUpdate(targetId, {
+    [fields.average]: stats ? Math.round(stats.average * 10) / 10 : 0,
+    [fields.quantity]: stats ? stats.quantity : 0
+  });
+};
+
+// Keep ratings in sync after every write
+reviewSchema.post('save', function() {
+  return this.constructor.calcRatings(this.targetType, this.target);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, function() {
+  return this.constructor.calcRatings(this.targetType, this.target);
+});
+
+// Indexes
+reviewSchema.index({ target: 1, user: 1 }, { unique: true });
+reviewSchema.index({ target: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,50 @@
+// src/models/TrendingScore.js
+const mongoose = require('mongoose');
+
+// Precomputed time-decayed popularity of a mod or bundle, rebuilt by the scheduler
+const trendingScoreSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['Mod', 'Bundle'],
+    required: true
+  },
+
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    required: true
+  },
+
+  // Copied from the item so rankings can be filtered without a lookup
+  fsVersions: [String],
+
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+
+  score: {
+    type: Number,
+    default: 0
+  },
+
+  // Decayed contribution of each signal
+  signals: {
+    downloads: Number,
+    purchases: Number,
+    ratings: Number
+  },
+
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+trendingScoreSchema.index({ itemType: 1, item: 1 }, { unique: true });
+trendingScoreSchema.index({ itemType: 1, fsVersions: 1, category: 1, score: -1 });
+trendingScoreSchema.index({ itemType: 1, score: -1 });
+trendingScoreSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model('TrendingScore', trendingScoreSchema);
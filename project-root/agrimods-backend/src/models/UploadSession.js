@@ -0,0 +1,64 @@
+// src/models/UploadSession.js
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Upload session must belong to a user']
+  },
+
+  originalName: {
+    type: String,
+    required: [true, 'Upload session must have a file name'],
+    trim: true
+  },
+
+  size: {
+    type: Number,
+    required: [true, 'Upload session must have a file size'],
+    min: 1
+  },
+
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+
+  receivedChunks: [Number],
+
+  status: {
+    type: String,
+    enum: ['uploading', 'completed', 'consumed'],
+    default: 'uploading'
+  },
+
+  // Assembled file, set once the upload is finalized
+  file: {
+    filename: String,
+    path: String,
+    size: Number,
+    mimetype: String
+  },
+
+  checksum: String,
+
+  // Pushed forward on every chunk; expired sessions are garbage-collected
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+uploadSessionSchema.index({ user: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
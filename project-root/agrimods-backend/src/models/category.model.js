@@ -17,6 +17,15 @@ const categorySchema = new mongoose.Schema({
   
   description: String,
   
+  // Per-language texts keyed by language code (de, sr, hr, ...); base fields are English
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({
+      name: { type: String, trim: true },
+      description: String
+    }, { _id: false })
+  },
+  
   icon: String,
   
   parent: {
@@ -47,4 +56,17 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Recalculate modCount (public mods directly in the category) for the given categories
+categorySchema.statics.calcModCount = async function(categoryIds) {
+  const ids = [...new Set(categoryIds.filter(Boolean).map(id => id.toString()))];
+
+  await Promise.all(ids.map(async (id) => {
+    const modCount = await mongoose.model('Mod').countDocuments({ category: id, status: 'approved' });
+    await this.updateOne({ _id: id }, { modCount });
+  }));
+};
+
+// Indexes
+categorySchema.index({ parent: 1, order: 1 });
+
 module.exports = mongoose.model('Category', categorySchema);
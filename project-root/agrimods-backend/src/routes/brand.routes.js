@@ -0,0 +1,37 @@
+// src/routes/brand.routes.js
+const express = require('express');
+const router = express.Router();
+const brandController = require('../controllers/brand.controller');
+const { protect, restrictTo } = require('../controllers/auth.controller');
+const { uploadLogo, handleMulterError } = require('../middleware/upload.middleware');
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/v1/brands
+// @desc    Get all brands with mod counts
+// @access  Public
+router.get('/', brandController.getAllBrands);
+
+// @route   GET /api/v1/brands/:idOrSlug
+// @desc    Get brand detail with mod count and top mods
+// @access  Public
+router.get('/:idOrSlug', brandController.getBrand);
+
+// ==================== ADMIN ROUTES ====================
+
+// @route   POST /api/v1/brands
+// @desc    Create a brand
+// @access  Private (Admin)
+router.post('/', protect, restrictTo('admin'), uploadLogo, handleMulterError, brandController.createBrand);
+
+// @route   PATCH /api/v1/brands/:idOrSlug
+// @desc    Update a brand
+// @access  Private (Admin)
+router.patch('/:idOrSlug', protect, restrictTo('admin'), uploadLogo, handleMulterError, brandController.updateBrand);
+
+// @route   DELETE /api/v1/brands/:idOrSlug
+// @desc    Delete a brand
+// @access  Private (Admin)
+router.delete('/:idOrSlug', protect, restrictTo('admin'), brandController.deleteBrand);
+
+module.exports = router;
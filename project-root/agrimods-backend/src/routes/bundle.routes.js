@@ -0,0 +1,26 @@
+// src/routes/bundle.routes.js
+const express = require('express');
+const router = express.Router();
+const bundleController = require('../controllers/bundle.controller');
+const pricingController = require('../controllers/pricing.controller');
+const pricingRoutes = require('./pricing.routes');
+const { optionalAuth } = require('../controllers/auth.controller');
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/v1/bundles/by-slug/:slug
+// @desc    Get single bundle by current or previous slug
+// @access  Public
+router.get('/by-slug/:slug', optionalAuth, bundleController.getBundleBySlug);
+
+// @route   GET /api/v1/bundles/:id
+// @desc    Get single bundle
+// @access  Public
+router.get('/:id', optionalAuth, bundleController.getBundle);
+
+// @route   /api/v1/bundles/:id/pricing
+// @desc    Bundle price, price history and scheduled sales
+// @access  Public / Private
+router.use('/:id/pricing', pricingController.setPriceTarget('Bundle'), pricingRoutes);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// src/routes/category.routes.js
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/category.controller');
+const { protect, restrictTo } = require('../controllers/auth.controller');
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/v1/categories
+// @desc    Get nested category tree with mod counts
+// @access  Public
+router.get('/', categoryController.getCategoryTree);
+
+// @route   GET /api/v1/categories/:idOrSlug
+// @desc    Get category detail with breadcrumb and subcategories
+// @access  Public
+router.get('/:idOrSlug', categoryController.getCategory);
+
+// ==================== ADMIN ROUTES ====================
+
+// @route   POST /api/v1/categories
+// @desc    Create a category
+// @access  Private (Admin)
+router.post('/', protect, restrictTo('admin'), categoryController.createCategory);
+
+// @route   PATCH /api/v1/categories/reorder
+// @desc    Reorder sibling categories
+// @access  Private (Admin)
+router.patch('/reorder', protect, restrictTo('admin'), categoryController.reorderCategories);
+
+// @route   PATCH /api/v1/categories/:idOrSlug
+// @desc    Update or move a category
+// @access  Private (Admin)
+router.patch('/:idOrSlug', protect, restrictTo('admin'), categoryController.updateCategory);
+
+// @route   DELETE /api/v1/categories/:idOrSlug
+// @desc    Delete an empty category
+// @access  Private (Admin)
+router.delete('/:idOrSlug', protect, restrictTo('admin'), categoryController.deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// src/routes/dmca.routes.js
+const express = require('express');
+const router = express.Router();
+const dmcaController = require('../controllers/dmca.controller');
+const { protect, restrictTo } = require('../controllers/auth.controller');
+
+// Notices are filed through POST /api/v1/mods/:id/dmca
+
+router.use(protect);
+
+// @route   POST /api/v1/dmca/:claimId/counter-notice
+// @desc    Answer a claim with a counter-notice
+// @access  Private (Owner)
+router.post('/:claimId/counter-notice', dmcaController.submitCounterNotice);
+
+// ==================== MODERATOR ROUTES ====================
+
+// @route   GET /api/v1/dmca
+// @desc    Get the DMCA claim queue
+// @access  Private (Admin/Moderator)
+router.get('/', restrictTo('admin', 'moderator'), dmcaController.getDmcaClaims);
+
+// @route   GET /api/v1/dmca/:claimId
+// @desc    Get a DMCA claim
+// @access  Private (Admin/Moderator)
+router.get('/:claimId', restrictTo('admin', 'moderator'), dmcaController.getDmcaClaim);
+
+// @route   PATCH /api/v1/dmca/:claimId
+// @desc    Uphold, reject, withdraw or restore a claim
+// @access  Private (Admin/Moderator)
+router.patch('/:claimId', restrictTo('admin', 'moderator'), dmcaController.updateDmcaClaim);
+
+module.exports = router;
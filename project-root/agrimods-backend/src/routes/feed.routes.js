@@ -0,0 +1,13 @@
+// src/routes/feed.routes.js
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feed.controller');
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/v1/feeds/mods.atom | mods.rss | mods.json
+// @desc    Newly published mods and updates as Atom, RSS 2.0 or JSON Feed
+// @access  Public
+router.get('/mods.:format', feedController.getModFeed);
+
+module.exports = router;
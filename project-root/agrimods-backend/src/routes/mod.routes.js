@@ -2,7 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const modController = require('../controllers/mod.controller');
-const { protect } = require('../controllers/auth.controller');
+const releaseController = require('../controllers/release.controller');
+const dependencyController = require('../controllers/dependency.controller');
+const conflictController = require('../controllers/conflict.controller');
+const moderationController = require('../controllers/moderation.controller');
+const reviewController = require('../controllers/review.controller');
+const reviewRoutes = require('./review.routes');
+const pricingController = require('../controllers/pricing.controller');
+const pricingRoutes = require('./pricing.routes');
+const recommendationController = require('../controllers/recommendation.controller');
+const screenshotController = require('../controllers/screenshot.controller');
+const collaborationController = require('../controllers/collaboration.controller');
+const reportController = require('../controllers/report.controller');
+const dmcaController = require('../controllers/dmca.controller');
+const compatibilityController = require('../controllers/compatibility.controller');
+const { protect, optionalAuth } = require('../controllers/auth.controller');
 const { restrictTo } = require('../controllers/auth.controller');
 
 // ✅ IMPORT UPLOAD MIDDLEWARE - ONLY ONCE!
@@ -10,7 +24,9 @@ const {
   uploadMod, 
   uploadImages, 
   handleMulterError,
-  requireFile 
+  requireFile,
+  scanModUpload,
+  useUploadSession
 } = require('../middleware/upload.middleware');
 
 // ==================== PUBLIC ROUTES ====================
@@ -20,59 +36,259 @@ const {
 // @access  Public
 router.get('/', modController.getAllMods);
 
+// @route   POST /api/v1/mods/conflicts
+// @desc    Check a list of mods for conflicts
+// @access  Public
+router.post('/conflicts', conflictController.checkConflicts);
+
+// @route   GET /api/v1/mods/conflicts/mine
+// @desc    Check the current user's purchased mods for conflicts
+// @access  Private
+router.get('/conflicts/mine', protect, conflictController.checkMyConflicts);
+
+// @route   POST /api/v1/mods/updates/check
+// @desc    Check a manifest of installed mod files for updates
+// @access  Public
+router.post('/updates/check', releaseController.checkForUpdates);
+
+// @route   POST /api/v1/mods/compatibility/bulk
+// @desc    Mark many mods compatible (or broken) with a game patch
+// @access  Private (Owner, Maintainer or Admin)
+router.post('/compatibility/bulk', protect, compatibilityController.bulkMarkCompatibility);
+
+// @route   GET /api/v1/mods/ownership/incoming
+// @desc    Get ownership transfers offered to the current user
+// @access  Private
+router.get('/ownership/incoming', protect, collaborationController.getIncomingTransfers);
+
+// @route   GET /api/v1/mods/recommended
+// @desc    Get personal recommendations ("Recommended for you")
+// @access  Private
+router.get('/recommended', protect, recommendationController.getRecommendedMods);
+
+// @route   GET /api/v1/mods/by-slug/:slug
+// @desc    Get single mod by current or previous slug
+// @access  Public
+router.get('/by-slug/:slug', optionalAuth, modController.getModBySlug);
+
 // @route   GET /api/v1/mods/:id
 // @desc    Get single mod
 // @access  Public
-router.get('/:id', modController.getMod);
+router.get('/:id', optionalAuth, modController.getMod);
 
 // @route   GET /api/v1/mods/:id/download
 // @desc    Download mod
 // @access  Public
-router.get('/:id/download', modController.downloadMod);
+router.get('/:id/download', optionalAuth, modController.downloadMod);
+
+// @route   GET /api/v1/mods/:id/releases
+// @desc    Get release history of a mod
+// @access  Public
+router.get('/:id/releases', optionalAuth, releaseController.getModReleases);
+
+// @route   GET /api/v1/mods/:id/releases/:releaseId
+// @desc    Get single release of a mod
+// @access  Public
+router.get('/:id/releases/:releaseId', optionalAuth, releaseController.getModRelease);
+
+// @route   GET /api/v1/mods/:id/releases/:releaseId/download
+// @desc    Download a specific release of a mod
+// @access  Public
+router.get('/:id/releases/:releaseId/download', optionalAuth, modController.downloadMod);
+
+// @route   GET /api/v1/mods/:id/dependencies
+// @desc    Resolve the dependency tree of a mod
+// @access  Public
+router.get('/:id/dependencies', optionalAuth, dependencyController.getModDependencies);
+
+// @route   /api/v1/mods/:id/reviews
+// @desc    Mod reviews (list, create, edit, helpful votes, author reply)
+// @access  Public / Private
+router.use('/:id/reviews', reviewController.setReviewTarget('Mod'), reviewRoutes);
+
+// @route   /api/v1/mods/:id/pricing
+// @desc    Mod price, price history and scheduled sales
+// @access  Public / Private
+router.use('/:id/pricing', pricingController.setPriceTarget('Mod'), pricingRoutes);
+
+// @route   GET /api/v1/mods/:id/similar
+// @desc    Get mods players also downloaded
+// @access  Public
+router.get('/:id/similar', recommendationController.getSimilarMods);
 
 // @route   POST /api/v1/mods/:id/rate
-// @desc    Rate mod
+// @desc    Rate mod (same as creating a review)
 // @access  Private
-router.post('/:id/rate', protect, modController.rateMod);
+router.post('/:id/rate', protect, reviewController.setReviewTarget('Mod'), reviewController.createReview);
 
 // ==================== PROTECTED ROUTES ====================
 
 // @route   POST /api/v1/mods
-// @desc    Create new mod
+// @desc    Create new mod (multipart modFile, or uploadId of a finalized chunked upload)
 // @access  Private
 router.post('/', 
   protect, 
   uploadMod, 
   handleMulterError, 
+  useUploadSession,
   requireFile, 
+  scanModUpload,
   modController.createMod
 );
 
 // @route   PATCH /api/v1/mods/:id
 // @desc    Update mod
-// @access  Private (Author or Admin)
+// @access  Private (Owner, Maintainer or Admin)
 router.patch('/:id', 
   protect, 
+  modController.loadEditableMod,
   uploadMod, 
   handleMulterError, 
+  useUploadSession,
+  scanModUpload,
   modController.updateMod
 );
 
 // @route   DELETE /api/v1/mods/:id
 // @desc    Delete mod
-// @access  Private (Author or Admin)
+// @access  Private (Owner or Admin)
 router.delete('/:id', protect, modController.deleteMod);
 
+// @route   POST /api/v1/mods/:id/reports
+// @desc    Report a mod to the moderators
+// @access  Private
+router.post('/:id/reports', protect, reportController.createReport);
+
+// @route   POST /api/v1/mods/:id/dmca
+// @desc    File a DMCA takedown notice (suspends downloads while the claim is open)
+// @access  Private
+router.post('/:id/dmca', protect, dmcaController.createDmcaClaim);
+
+// @route   GET /api/v1/mods/:id/dmca
+// @desc    Get copyright claims against a mod
+// @access  Private (Mod team or Admin/Moderator)
+router.get('/:id/dmca', protect, dmcaController.getModDmcaClaims);
+
+// @route   GET /api/v1/mods/:id/collaborators
+// @desc    Get mod team with roles and revenue shares
+// @access  Private (Mod team or Admin)
+router.get('/:id/collaborators', protect, collaborationController.getCollaborators);
+
+// @route   POST /api/v1/mods/:id/collaborators
+// @desc    Add a maintainer or contributor
+// @access  Private (Owner or Admin)
+router.post('/:id/collaborators', protect, collaborationController.addCollaborator);
+
+// @route   PATCH /api/v1/mods/:id/collaborators/:userId
+// @desc    Change collaborator role or revenue share
+// @access  Private (Owner or Admin)
+router.patch('/:id/collaborators/:userId', protect, collaborationController.updateCollaborator);
+
+// @route   DELETE /api/v1/mods/:id/collaborators/:userId
+// @desc    Remove a collaborator (or leave the team)
+// @access  Private (Owner, Admin or the collaborator)
+router.delete('/:id/collaborators/:userId', protect, collaborationController.removeCollaborator);
+
+// @route   POST /api/v1/mods/:id/ownership/transfer
+// @desc    Offer mod ownership to another user
+// @access  Private (Owner or Admin)
+router.post('/:id/ownership/transfer', protect, collaborationController.requestOwnershipTransfer);
+
+// @route   DELETE /api/v1/mods/:id/ownership/transfer
+// @desc    Withdraw a pending ownership transfer
+// @access  Private (Owner or Admin)
+router.delete('/:id/ownership/transfer', protect, collaborationController.cancelOwnershipTransfer);
+
+// @route   POST /api/v1/mods/:id/ownership/accept
+// @desc    Accept mod ownership
+// @access  Private (Transfer recipient)
+router.post('/:id/ownership/accept', protect, collaborationController.acceptOwnershipTransfer);
+
+// @route   POST /api/v1/mods/:id/ownership/decline
+// @desc    Decline mod ownership
+// @access  Private (Transfer recipient)
+router.post('/:id/ownership/decline', protect, collaborationController.declineOwnershipTransfer);
+
+// @route   PUT /api/v1/mods/:id/translations/:lang
+// @desc    Add or replace a listing translation (name, description, installation instructions, changelog)
+// @access  Private (Mod team or Admin)
+router.put('/:id/translations/:lang', protect, modController.setModTranslation);
+
+// @route   DELETE /api/v1/mods/:id/translations/:lang
+// @desc    Remove a listing translation
+// @access  Private (Mod team or Admin)
+router.delete('/:id/translations/:lang', protect, modController.deleteModTranslation);
+
+// @route   POST /api/v1/mods/:id/releases/:releaseId/withdraw
+// @desc    Withdraw a broken release
+// @access  Private (Owner, Maintainer or Admin)
+router.post('/:id/releases/:releaseId/withdraw', protect, releaseController.withdrawModRelease);
+
+// @route   POST /api/v1/mods/:id/releases/:releaseId/restore
+// @desc    Make a withdrawn release available again
+// @access  Private (Owner, Maintainer or Admin)
+router.post('/:id/releases/:releaseId/restore', protect, releaseController.restoreModRelease);
+
+// @route   PUT /api/v1/mods/:id/compatibility
+// @desc    Replace the compatibility matrix (games, patch ranges, tested status)
+// @access  Private (Owner, Maintainer or Admin)
+router.put('/:id/compatibility', protect, compatibilityController.setCompatibility);
+
+// @route   PUT /api/v1/mods/:id/dependencies
+// @desc    Replace mod dependency declarations
+// @access  Private (Owner, Maintainer or Admin)
+router.put('/:id/dependencies', protect, dependencyController.updateModDependencies);
+
+// @route   GET /api/v1/mods/:id/moderation
+// @desc    Get review checklist, comment threads and status history
+// @access  Private (Mod team or Admin/Moderator)
+router.get('/:id/moderation', protect, moderationController.getModeration);
+
+// @route   POST /api/v1/mods/:id/moderation/comments
+// @desc    Comment on the review thread
+// @access  Private (Mod team or Admin/Moderator)
+router.post('/:id/moderation/comments', protect, moderationController.addModerationComment);
+
+// @route   POST /api/v1/mods/:id/resubmit
+// @desc    Resubmit mod for review
+// @access  Private (Owner or Maintainer)
+router.post('/:id/resubmit', protect, moderationController.resubmitMod);
+
+// @route   PATCH /api/v1/mods/:id/schedule
+// @desc    Schedule mod publishing (embargo until publishAt)
+// @access  Private (Owner, Maintainer or Admin/Moderator)
+router.patch('/:id/schedule', protect, moderationController.scheduleMod);
+
 // @route   POST /api/v1/mods/:id/screenshots
 // @desc    Upload mod screenshots
-// @access  Private (Author or Admin)
+// @access  Private (Mod team or Admin)
 router.post('/:id/screenshots', 
   protect, 
   uploadImages, 
   handleMulterError, 
-  modController.addScreenshots
+  screenshotController.addScreenshots
 );
 
+// @route   PATCH /api/v1/mods/:id/screenshots/order
+// @desc    Reorder mod screenshots
+// @access  Private (Mod team or Admin)
+router.patch('/:id/screenshots/order', protect, screenshotController.reorderScreenshots);
+
+// @route   PATCH /api/v1/mods/:id/screenshots/:screenshotId
+// @desc    Update screenshot caption
+// @access  Private (Mod team or Admin)
+router.patch('/:id/screenshots/:screenshotId', protect, screenshotController.updateScreenshot);
+
+// @route   PATCH /api/v1/mods/:id/screenshots/:screenshotId/cover
+// @desc    Set screenshot as cover image
+// @access  Private (Mod team or Admin)
+router.patch('/:id/screenshots/:screenshotId/cover', protect, screenshotController.setCoverScreenshot);
+
+// @route   DELETE /api/v1/mods/:id/screenshots/:screenshotId
+// @desc    Delete a screenshot
+// @access  Private (Mod team or Admin)
+router.delete('/:id/screenshots/:screenshotId', protect, screenshotController.deleteScreenshot);
+
 // ==================== ADMIN ROUTES ====================
 
 // @route   GET /api/v1/mods/admin/all
@@ -80,10 +296,25 @@ router.post('/:id/screenshots',
 // @access  Private (Admin only)
 router.get('/admin/all', protect, restrictTo('admin', 'staff'), modController.getAllModsAdmin);
 
+// @route   GET /api/v1/mods/admin/moderation/queue
+// @desc    Get mods waiting for review, oldest first
+// @access  Private (Admin/Moderator)
+router.get('/admin/moderation/queue', protect, restrictTo('admin', 'moderator'), moderationController.getModerationQueue);
+
+// @route   PATCH /api/v1/mods/admin/:id/moderation/assign
+// @desc    Assign a reviewer
+// @access  Private (Admin/Moderator)
+router.patch('/admin/:id/moderation/assign', protect, restrictTo('admin', 'moderator'), moderationController.assignModReviewer);
+
+// @route   PATCH /api/v1/mods/admin/:id/moderation/checklist
+// @desc    Update review checklist
+// @access  Private (Admin/Moderator)
+router.patch('/admin/:id/moderation/checklist', protect, restrictTo('admin', 'moderator'), moderationController.updateModChecklist);
+
 // @route   PATCH /api/v1/mods/admin/:id/status
-// @desc    Approve/reject mod
-// @access  Private (Admin only)
-router.patch('/admin/:id/status', protect, restrictTo('admin'), modController.updateModStatus);
+// @desc    Approve/reject mod or request changes
+// @access  Private (Admin/Moderator)
+router.patch('/admin/:id/status', protect, restrictTo('admin', 'moderator'), modController.updateModStatus);
 
 // @route   GET /api/v1/mods/admin/stats
 // @desc    Get mod statistics
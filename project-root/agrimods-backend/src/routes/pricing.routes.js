@@ -0,0 +1,33 @@
+// src/routes/pricing.routes.js
+// Nested under an item router (e.g. /api/v1/mods/:id/pricing)
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const pricingController = require('../controllers/pricing.controller');
+const { protect, optionalAuth } = require('../controllers/auth.controller');
+
+// @route   GET /api/v1/mods/:id/pricing
+// @desc    Current price, running sale and lowest price of the last 30 days
+// @access  Public
+router.get('/', optionalAuth, pricingController.getPricing);
+
+// @route   GET /api/v1/mods/:id/pricing/history
+// @desc    Full price history
+// @access  Public
+router.get('/history', optionalAuth, pricingController.getPriceHistory);
+
+// @route   GET /api/v1/mods/:id/pricing/sales
+// @desc    Planned, running and past sales
+// @access  Private (Owner, Maintainer or Admin)
+router.get('/sales', protect, pricingController.getSales);
+
+// @route   POST /api/v1/mods/:id/pricing/sales
+// @desc    Schedule a sale
+// @access  Private (Owner, Maintainer or Admin)
+router.post('/sales', protect, pricingController.createSale);
+
+// @route   DELETE /api/v1/mods/:id/pricing/sales/:saleId
+// @desc    Cancel a planned sale or end a running one
+// @access  Private (Owner, Maintainer or Admin)
+router.delete('/sales/:saleId', protect, pricingController.cancelSale);
+
+module.exports = router;
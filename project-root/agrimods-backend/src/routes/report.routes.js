@@ -0,0 +1,45 @@
+// src/routes/report.routes.js
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/report.controller');
+const { protect, restrictTo } = require('../controllers/auth.controller');
+
+// Reports are filed through POST /api/v1/mods/:id/reports
+
+router.use(protect);
+
+// @route   GET /api/v1/reports/mine
+// @desc    Get reports filed by the current user
+// @access  Private
+router.get('/mine', reportController.getMyReports);
+
+// ==================== MODERATOR ROUTES ====================
+
+router.use(restrictTo('admin', 'moderator'));
+
+// @route   GET /api/v1/reports
+// @desc    Get the report queue (most urgent first)
+// @access  Private (Admin/Moderator)
+router.get('/', reportController.getReports);
+
+// @route   GET /api/v1/reports/:reportId
+// @desc    Get a report with its history
+// @access  Private (Admin/Moderator)
+router.get('/:reportId', reportController.getReport);
+
+// @route   PATCH /api/v1/reports/:reportId
+// @desc    Triage a report (status, priority, assignee)
+// @access  Private (Admin/Moderator)
+router.patch('/:reportId', reportController.updateReport);
+
+// @route   POST /api/v1/reports/:reportId/hide
+// @desc    Hide the reported mod pending investigation
+// @access  Private (Admin/Moderator)
+router.post('/:reportId/hide', reportController.hideReportedMod);
+
+// @route   POST /api/v1/reports/:reportId/resolve
+// @desc    Close a report with an outcome
+// @access  Private (Admin/Moderator)
+router.post('/:reportId/resolve', reportController.resolveReport);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// src/routes/review.routes.js
+// Nested under an item router (e.g. /api/v1/mods/:id/reviews)
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const reviewController = require('../controllers/review.controller');
+const { protect } = require('../controllers/auth.controller');
+
+// @route   GET /api/v1/mods/:id/reviews
+// @desc    Get reviews
+// @access  Public
+router.get('/', reviewController.getReviews);
+
+// @route   POST /api/v1/mods/:id/reviews
+// @desc    Create review
+// @access  Private
+router.post('/', protect, reviewController.createReview);
+
+// @route   PATCH /api/v1/mods/:id/reviews/:reviewId
+// @desc    Edit own review
+// @access  Private (Review author)
+router.patch('/:reviewId', protect, reviewController.updateReview);
+
+// @route   DELETE /api/v1/mods/:id/reviews/:reviewId
+// @desc    Delete review
+// @access  Private (Review author or Admin)
+router.delete('/:reviewId', protect, reviewController.deleteReview);
+
+// @route   POST /api/v1/mods/:id/reviews/:reviewId/helpful
+// @desc    Mark review as helpful
+// @access  Private
+router.post('/:reviewId/helpful', protect, reviewController.markHelpful);
+
+// @route   DELETE /api/v1/mods/:id/reviews/:reviewId/helpful
+// @desc    Remove helpful mark
+// @access  Private
+router.delete('/:reviewId/helpful', protect, reviewController.unmarkHelpful);
+
+// @route   PUT /api/v1/mods/:id/reviews/:reviewId/reply
+// @desc    Author reply to a review
+// @access  Private (Mod author)
+router.put('/:reviewId/reply', protect, reviewController.replyToReview);
+
+module.exports = router;
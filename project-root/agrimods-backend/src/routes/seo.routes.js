@@ -0,0 +1,23 @@
+// src/routes/seo.routes.js
+const express = require('express');
+const router = express.Router();
+const seoController = require('../controllers/seo.controller');
+
+// ==================== PUBLIC ROUTES ====================
+
+// @route   GET /api/v1/seo/sitemap.xml
+// @desc    Sitemap index
+// @access  Public
+router.get('/sitemap.xml', seoController.getSitemapIndex);
+
+// @route   GET /api/v1/seo/sitemaps/:section-:page.xml
+// @desc    Sitemap file of a section (mods, bundles, categories, brands)
+// @access  Public
+router.get('/sitemaps/:section-:page.xml', seoController.getSitemap);
+
+// @route   GET /api/v1/seo/meta/:type/:slug
+// @desc    Link preview (OpenGraph / Twitter card) metadata of a catalog page
+// @access  Public
+router.get('/meta/:type/:slug', seoController.getSharePreview);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// src/routes/upload.routes.js
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const uploadController = require('../controllers/upload.controller');
+const { UPLOAD_SESSION, RATE_LIMIT, HTTP_STATUS } = require('../utils/constants');
+
+// Raw body parser for chunk uploads
+const rawChunk = express.raw({
+  type: 'application/octet-stream',
+  limit: UPLOAD_SESSION.MAX_CHUNK_SIZE
+});
+
+// Chunks skip the general per-IP limit, so they are limited per user instead
+const chunkLimiter = rateLimit({
+  max: RATE_LIMIT.UPLOAD_CHUNK.MAX,
+  windowMs: RATE_LIMIT.UPLOAD_CHUNK.WINDOW_MS,
+  keyGenerator: (req) => req.user.id,
+  message: {
+    status: HTTP_STATUS.TOO_MANY_REQUESTS,
+    message: 'Too many upload chunks, please slow down and try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// @route   POST /api/v1/uploads
+// @desc    Start a resumable upload ({ filename, size, chunkSize })
+// @access  Private
+router.post('/', uploadController.createUploadSession);
+
+// @route   GET /api/v1/uploads/:id
+// @desc    Get received offset and missing chunks
+// @access  Private
+router.get('/:id', uploadController.getUploadSession);
+
+// @route   PUT /api/v1/uploads/:id/chunks/:index
+// @desc    Upload a numbered chunk
+// @access  Private
+router.put('/:id/chunks/:index', chunkLimiter, rawChunk, uploadController.uploadChunk);
+
+// @route   POST /api/v1/uploads/:id/complete
+// @desc    Finalize the upload with a SHA-256 checksum
+// @access  Private
+router.post('/:id/complete', uploadController.completeUpload);
+
+// @route   DELETE /api/v1/uploads/:id
+// @desc    Cancel an upload
+// @access  Private
+router.delete('/:id', uploadController.cancelUpload);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// src/services/archive.service.js
+const yauzl = require('yauzl');
+const AppError = require('../utils/appError');
+
+const invalidArchive = () => new AppError('Uploaded file is not a valid zip archive', 400, 'INVALID_ARCHIVE');
+
+// Read an entry's content; entries larger than maxBytes are refused
+const readEntryData = async (zipfile, entry, maxBytes) => {
+  if (entry.uncompressedSize > maxBytes) {
+    throw new AppError(`${entry.fileName} is too large to be read`, 400, 'INVALID_ARCHIVE');
+  }
+
+  try {
+    const chunks = [];
+    const stream = await zipfile.openReadStreamPromise(entry);
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (error) {
+    // Encrypted, corrupt or lying about its size
+    throw new AppError(`${entry.fileName} could not be read from the archive`, 400, 'INVALID_ARCHIVE');
+  }
+};
+
+// Open a zip archive without loading it into memory. Only the central directory is read
+// up front; entry contents are read on demand, one at a time.
+// Returns { entryCount, entries(), close() }: entries() yields
+// { name, size, compressedSize, attr, isDirectory, read(maxBytes) }.
+// Names are not validated (the safety scan reports unsafe ones); close() must always be called.
+const openArchive = async (filePath) => {
+  let zipfile;
+  try {
+    zipfile = await yauzl.openPromise(filePath, { autoClose: false, decodeStrings: false });
+  } catch (error) {
+    throw invalidArchive();
+  }
+
+  async function* entries() {
+    try {
+      for await (const entry of zipfile.eachEntry()) {
+        entry.fileName = yauzl.getFileNameLowLevel(
+          entry.generalPurposeBitFlag,
+          entry.fileNameRaw,
+          entry.extraFields,
+          false
+        );
+
+        yield {
+          name: entry.fileName,
+          size: entry.uncompressedSize,
+          compressedSize: entry.compressedSize,
+          attr: entry.externalFileAttributes,
+          isDirectory: entry.fileName.endsWith('/'),
+          read: (maxBytes) => readEntryData(zipfile, entry, maxBytes)
+        };
+      }
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      throw invalidArchive();
+    }
+  }
+
+  return {
+    entryCount: zipfile.entryCount,
+    entries,
+    close: () => zipfile.close()
+  };
+};
+
+// Public methods
+module.exports = {
+  openArchive
+};
@@ -0,0 +1,136 @@
+// src/services/brand.service.js
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Mod = require('../models/Mod.model');
+const Bundle = require('../models/Bundle');
+const AppError = require('../utils/appError');
+const { deleteFile } = require('./file.service');
+const { I18N } = require('../utils/constants');
+const { localizeAll } = require('../utils/i18n');
+
+// Fields an admin may set on a brand
+const BRAND_FIELDS = ['name', 'country', 'description', 'website', 'featured', 'order'];
+
+// Find a brand by id or slug
+const findBrand = async (idOrSlug) => {
+  const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: `${idOrSlug}`.toLowerCase() };
+
+  const brand = await Brand.findOne(filter);
+  if (!brand) {
+    throw new AppError('Brand not found', 404, 'BRAND_NOT_FOUND');
+  }
+  return brand;
+};
+
+// Number of public mods per brand
+const countModsByBrand = async (brandIds) => {
+  const counts = await Mod.aggregate([
+    { $match: { brand: { $in: brandIds }, status: 'approved' } },
+    { $group: { _id: '$brand', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// List brands with their mod counts
+const listBrands = async ({ featured } = {}) => {
+  const filter = {};
+  if (featured !== undefined) filter.featured = featured;
+
+  const brands = await Brand.find(filter).sort({ order: 1, name: 1 }).lean();
+  const counts = await countModsByBrand(brands.map(brand => brand._id));
+
+  return brands.map(brand => ({ ...brand, modCount: counts.get(brand._id.toString()) || 0 }));
+};
+
+// Brand detail with mod count and its most downloaded mods
+const getBrandDetail = async (idOrSlug, { limit = 12, language = I18N.DEFAULT_LANGUAGE } = {}) => {
+  const brand = await findBrand(idOrSlug);
+  const filter = { brand: brand._id, status: 'approved' };
+
+  const [modCount, topMods] = await Promise.all([
+    Mod.countDocuments(filter),
+    Mod.find(filter)
+      .select('name slug coverImage compatibility category downloads ratingsAverage isFree price currency translations')
+      .populate('category', 'name translations')
+      .sort({ downloads: -1 })
+      .limit(limit)
+      .lean()
+  ]);
+
+  return { ...brand.toObject(), modCount, topMods: localizeAll(topMods, language) };
+};
+
+// Pick brand fields from a request body
+const pickBrandFields = (body) => BRAND_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// Create a brand, optionally with an uploaded logo
+const createBrand = async (body, logoFile) => {
+  try {
+    return await Brand.create({
+      ...pickBrandFields(body),
+      logo: logoFile?.path
+    });
+  } catch (error) {
+    if (logoFile) await deleteFile(logoFile.path).catch(() => {});
+    throw error;
+  }
+};
+
+// Update a brand; a rename is copied to the denormalized Mod.brandName used by search
+const updateBrand = async (brand, body, logoFile) => {
+  const previousName = brand.name;
+  const previousLogo = brand.logo;
+
+  Object.assign(brand, pickBrandFields(body));
+  if (body.name && body.name !== previousName) {
+    brand.slug = undefined;
+  }
+  if (logoFile) brand.logo = logoFile.path;
+
+  await brand.save();
+
+  if (brand.name !== previousName) {
+    await Mod.updateMany({ brand: brand._id }, { brandName: brand.name });
+  }
+  if (logoFile && previousLogo) {
+    await deleteFile(previousLogo).catch(() => {});
+  }
+
+  return brand;
+};
+
+// Delete a brand and unlink its mods and bundles
+const deleteBrand = async (brand) => {
+  await Promise.all([
+    Mod.updateMany({ brand: brand._id }, { $unset: { brand: '', brandName: '' } }),
+    Bundle.updateMany({ brand: brand._id }, { $unset: { brand: '' } })
+  ]);
+  if (brand.logo) await deleteFile(brand.logo).catch(() => {});
+  await brand.deleteOne();
+};
+
+// Resolve a brand reference from a mod/bundle request body.
+// Returns the fields to store, or null when no brand was given.
+const resolveBrandFields = async (value) => {
+  if (value === undefined) return null;
+  if (value === null || value === '') return { brand: null, brandName: null };
+
+  const brand = await findBrand(value);
+  return { brand: brand._id, brandName: brand.name };
+};
+
+// Public methods
+module.exports = {
+  findBrand,
+  listBrands,
+  getBrandDetail,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+  resolveBrandFields
+};
@@ -0,0 +1,210 @@
+// src/services/category.service.js
+const mongoose = require('mongoose');
+const Category = require('../models/category.model');
+const Mod = require('../models/Mod.model');
+const AppError = require('../utils/appError');
+const { I18N } = require('../utils/constants');
+const { localize, normalizeTranslations } = require('../utils/i18n');
+
+// Fields an admin may set on a category (parent and order have their own handling)
+const CATEGORY_FIELDS = ['name', 'description', 'icon'];
+
+// Find a category by id or slug
+const findCategory = async (idOrSlug) => {
+  const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { _id: idOrSlug }
+    : { slug: `${idOrSlug}`.toLowerCase() };
+
+  const category = await Category.findOne(filter);
+  if (!category) {
+    throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+  return category;
+};
+
+// Map of parent id (null for roots) -> child categories
+const groupByParent = (categories) => {
+  const children = new Map();
+  categories.forEach(category => {
+    const key = category.parent ? category.parent.toString() : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(category);
+  });
+  return children;
+};
+
+// Ids of a category and all of its descendants
+const getDescendantIds = async (categoryId) => {
+  const categories = await Category.find().select('parent').lean();
+  const children = groupByParent(categories);
+
+  const ids = [];
+  const queue = [categoryId.toString()];
+  while (queue.length) {
+    const id = queue.shift();
+    if (ids.includes(id)) continue;
+    ids.push(id);
+    (children.get(id) || []).forEach(child => queue.push(child._id.toString()));
+  }
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Nested category tree. modCount counts mods directly in a category,
+// totalModCount includes all descendants.
+const getCategoryTree = async (language = I18N.DEFAULT_LANGUAGE) => {
+  const categories = await Category.find().sort({ order: 1, name: 1 }).lean();
+  const children = groupByParent(categories);
+
+  const buildNodes = (parentId) => (children.get(parentId) || []).map(category => {
+    const nodes = buildNodes(category._id.toString());
+    return {
+      ...localize(category, language, 'Category'),
+      totalModCount: nodes.reduce((sum, node) => sum + node.totalModCount, category.modCount || 0),
+      children: nodes
+    };
+  });
+
+  return buildNodes(null);
+};
+
+// Category detail with its breadcrumb and direct children
+const getCategoryDetail = async (idOrSlug, language = I18N.DEFAULT_LANGUAGE) => {
+  const category = await findCategory(idOrSlug);
+
+  const path = [];
+  let parentId = category.parent;
+  while (parentId) {
+    const parent = await Category.findById(parentId).select('name slug parent translations').lean();
+    if (!parent) break;
+    path.unshift(localize(parent, language, 'Category'));
+    parentId = parent.parent;
+  }
+
+  const children = await Category.find({ parent: category._id }).sort({ order: 1, name: 1 }).lean();
+
+  return {
+    ...localize(category, language, 'Category'),
+    path,
+    children: children.map(child => localize(child, language, 'Category'))
+  };
+};
+
+// Check that a category can be placed under parentId (exists and is not inside its own subtree)
+const assertValidParent = async (category, parentId) => {
+  if (!parentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    throw new AppError('Invalid parent category id', 400, 'INVALID_PARENT');
+  }
+
+  const parent = await Category.findById(parentId).select('_id');
+  if (!parent) {
+    throw new AppError('Parent category not found', 404, 'CATEGORY_NOT_FOUND');
+  }
+
+  if (category && (await getDescendantIds(category._id)).some(id => id.equals(parent._id))) {
+    throw new AppError('A category cannot be moved into its own subtree', 400, 'CATEGORY_CYCLE');
+  }
+
+  return parent._id;
+};
+
+// Next order value among the children of parentId
+const nextOrder = async (parentId) => {
+  const last = await Category.findOne({ parent: parentId || null }).sort({ order: -1 }).select('order').lean();
+  return last ? last.order + 1 : 0;
+};
+
+// Pick category fields from a request body
+const pickCategoryFields = (body) => {
+  const fields = CATEGORY_FIELDS.reduce((result, key) => {
+    if (body[key] !== undefined) result[key] = body[key];
+    return result;
+  }, {});
+
+  if (body.translations !== undefined) {
+    fields.translations = normalizeTranslations(body.translations, 'Category');
+  }
+  return fields;
+};
+
+// Create a category, appended after its siblings
+const createCategory = async (body) => {
+  const parent = await assertValidParent(null, body.parent);
+
+  return Category.create({
+    ...pickCategoryFields(body),
+    parent,
+    order: await nextOrder(parent)
+  });
+};
+
+// Update a category; changing parent moves the whole subtree
+const updateCategory = async (category, body) => {
+  Object.assign(category, pickCategoryFields(body));
+
+  if (body.name && category.isModified('name')) {
+    category.slug = undefined;
+  }
+
+  if (body.parent !== undefined) {
+    const parent = await assertValidParent(category, body.parent);
+    if (`${parent}` !== `${category.parent || null}`) {
+      category.parent = parent;
+      category.order = await nextOrder(parent);
+    }
+  }
+
+  await category.save();
+  return category;
+};
+
+// Reorder the children of a parent; categoryIds must list every sibling exactly once
+const reorderCategories = async (parentId, categoryIds) => {
+  const parent = await assertValidParent(null, parentId);
+  const siblings = await Category.find({ parent }).select('_id');
+
+  const ids = Array.isArray(categoryIds) ? categoryIds.map(id => `${id}`) : [];
+  const current = siblings.map(sibling => sibling._id.toString());
+
+  if (ids.length !== current.length || new Set(ids).size !== ids.length ||
+      !ids.every(id => current.includes(id))) {
+    throw new AppError('Order must list every sibling category id exactly once', 400, 'INVALID_ORDER');
+  }
+
+  await Category.bulkWrite(ids.map((id, index) => ({
+    updateOne: { filter: { _id: id }, update: { order: index } }
+  })));
+
+  return Category.find({ parent }).sort({ order: 1 }).lean();
+};
+
+// Delete an empty category (no subcategories and no mods)
+const deleteCategory = async (category) => {
+  const [hasChildren, hasMods] = await Promise.all([
+    Category.exists({ parent: category._id }),
+    Mod.exists({ category: category._id })
+  ]);
+
+  if (hasChildren || hasMods) {
+    throw new AppError(
+      'Only empty categories can be deleted. Move its subcategories and mods first.',
+      409,
+      'CATEGORY_NOT_EMPTY'
+    );
+  }
+
+  await category.deleteOne();
+};
+
+// Public methods
+module.exports = {
+  findCategory,
+  getDescendantIds,
+  getCategoryTree,
+  getCategoryDetail,
+  createCategory,
+  updateCategory,
+  reorderCategories,
+  deleteCategory
+};
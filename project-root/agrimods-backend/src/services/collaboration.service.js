@@ -0,0 +1,245 @@
+// src/services/collaboration.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { sendOwnershipTransferEmail } = require('./email.service');
+const { COLLABORATION, USER_ROLES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Role of a user on a mod ('owner', 'maintainer', 'contributor') or null.
+// Works for bundles too, where only the author has a role.
+const getRole = (item, userId) => {
+  if (!item || !userId) return null;
+
+  const id = userId.toString();
+  if (idOf(item.author) === id) return 'owner';
+
+  const collaborator = (item.collaborators || []).find(entry => idOf(entry.user) === id);
+  return collaborator ? collaborator.role : null;
+};
+
+// Whether a user has the admin role
+const isAdmin = (user) => !!user && user.role === USER_ROLES.ADMIN;
+
+// Whether a user may perform an action (view, content, edit, manage) on a mod; admins may do everything
+const can = (item, user, action) => {
+  if (!user) return false;
+  if (isAdmin(user)) return true;
+  return COLLABORATION.PERMISSIONS[action].includes(getRole(item, user.id));
+};
+
+// Throw ACCESS_DENIED unless the user may perform the action
+const assertCan = (item, user, action, message = 'You don\'t have permission to update this mod') => {
+  if (!can(item, user, action)) {
+    throw new AppError(message, 403, 'ACCESS_DENIED');
+  }
+};
+
+// Find the user a request refers to by id or email
+const findTargetUser = async ({ userId, email }) => {
+  if (!userId && !email) {
+    throw new AppError('Please provide a userId or email', 400, 'MISSING_FIELDS');
+  }
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    throw new AppError('Invalid user id', 400, 'INVALID_USER');
+  }
+
+  const user = await User.findOne(userId ? { _id: userId } : { email: `${email}`.toLowerCase().trim() })
+    .select('name email');
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+// Find a collaborator entry of a mod
+const findCollaborator = (mod, userId) => {
+  const collaborator = mod.collaborators.find(entry => idOf(entry.user) === `${userId}`);
+  if (!collaborator) {
+    throw new AppError('Collaborator not found', 404, 'COLLABORATOR_NOT_FOUND');
+  }
+  return collaborator;
+};
+
+const assertCollaboratorRole = (role) => {
+  if (!COLLABORATION.COLLABORATOR_ROLES.includes(role)) {
+    throw new AppError(
+      `Role must be one of ${COLLABORATION.COLLABORATOR_ROLES.join(', ')}`,
+      400,
+      'INVALID_ROLE'
+    );
+  }
+};
+
+// Sum of collaborator revenue shares; the owner receives the rest
+const sharedRevenue = (mod) => mod.collaborators.reduce((sum, entry) => sum + (entry.revenueShare || 0), 0);
+
+// Revenue shares only apply to paid mods and may not exceed 100% in total
+const assertRevenueShares = (mod) => {
+  const total = sharedRevenue(mod);
+
+  if (total > 0 && mod.isFree) {
+    throw new AppError('Revenue shares can only be set on paid mods', 400, 'REVENUE_SHARE_FREE_MOD');
+  }
+  if (total > 100) {
+    throw new AppError('Revenue shares cannot exceed 100% in total', 400, 'REVENUE_SHARE_EXCEEDED');
+  }
+};
+
+// Owner and collaborators with their revenue shares
+const listCollaborators = async (mod) => {
+  await mod.populate([
+    { path: 'author', select: 'name avatar' },
+    { path: 'collaborators.user', select: 'name avatar' }
+  ]);
+
+  return {
+    owner: {
+      user: mod.author,
+      role: 'owner',
+      revenueShare: mod.isFree ? 0 : 100 - sharedRevenue(mod)
+    },
+    collaborators: mod.collaborators
+  };
+};
+
+// Add a team member
+const addCollaborator = async (mod, addedBy, { userId, email, role = 'contributor', revenueShare = 0 }) => {
+  assertCollaboratorRole(role);
+  const user = await findTargetUser({ userId, email });
+
+  if (getRole(mod, user._id) === 'owner') {
+    throw new AppError('The owner is already part of the team', 400, 'ALREADY_OWNER');
+  }
+  if (getRole(mod, user._id)) {
+    throw new AppError('User is already a collaborator', 409, 'ALREADY_COLLABORATOR');
+  }
+  if (mod.collaborators.length >= COLLABORATION.MAX_COLLABORATORS) {
+    throw new AppError(
+      `A mod can have at most ${COLLABORATION.MAX_COLLABORATORS} collaborators`,
+      400,
+      'TOO_MANY_COLLABORATORS'
+    );
+  }
+
+  mod.collaborators.push({ user: user._id, role, revenueShare, addedBy: addedBy.id });
+  assertRevenueShares(mod);
+
+  await mod.save();
+  return mod.collaborators[mod.collaborators.length - 1];
+};
+
+// Change the role or revenue share of a team member
+const updateCollaborator = async (mod, userId, { role, revenueShare }) => {
+  const collaborator = findCollaborator(mod, userId);
+
+  if (role !== undefined) {
+    assertCollaboratorRole(role);
+    collaborator.role = role;
+  }
+  if (revenueShare !== undefined) collaborator.revenueShare = revenueShare;
+  assertRevenueShares(mod);
+
+  await mod.save();
+  return collaborator;
+};
+
+// Remove a team member (or let a collaborator leave)
+const removeCollaborator = async (mod, userId) => {
+  const collaborator = findCollaborator(mod, userId);
+  mod.collaborators.pull(collaborator._id);
+  await mod.save();
+};
+
+// Offer the mod to another user; ownership only moves once they accept
+const requestOwnershipTransfer = async (mod, requestedBy, target) => {
+  const user = await findTargetUser(target);
+
+  if (getRole(mod, user._id) === 'owner') {
+    throw new AppError('User already owns this mod', 400, 'ALREADY_OWNER');
+  }
+
+  const now = new Date();
+  mod.ownershipTransfer = {
+    to: user._id,
+    requestedBy: requestedBy.id,
+    requestedAt: now,
+    expiresAt: new Date(now.getTime() + COLLABORATION.TRANSFER_EXPIRY_DAYS * DAY_MS)
+  };
+  await mod.save();
+
+  try {
+    const owner = await User.findById(mod.author).select('name');
+    await sendOwnershipTransferEmail(user, mod, owner);
+  } catch (error) {
+    logger.error(`Ownership transfer email for mod ${mod._id} failed: ${error.message}`);
+  }
+
+  return mod.ownershipTransfer;
+};
+
+// The pending transfer, optionally checking that it is addressed to userId
+const getPendingTransfer = (mod, userId) => {
+  const transfer = mod.ownershipTransfer;
+
+  if (!transfer || !transfer.to || (userId && idOf(transfer.to) !== `${userId}`)) {
+    throw new AppError('No pending ownership transfer', 404, 'TRANSFER_NOT_FOUND');
+  }
+  if (transfer.expiresAt && transfer.expiresAt < new Date()) {
+    throw new AppError('This ownership transfer has expired', 410, 'TRANSFER_EXPIRED');
+  }
+  return transfer;
+};
+
+// Withdraw (owner) or decline (recipient) a pending transfer
+const cancelOwnershipTransfer = async (mod, userId) => {
+  getPendingTransfer(mod, userId);
+  mod.ownershipTransfer = undefined;
+  await mod.save();
+};
+
+// Accept a transfer: the recipient becomes owner, the previous owner stays on as maintainer
+const acceptOwnershipTransfer = async (mod, user) => {
+  getPendingTransfer(mod, user.id);
+
+  const previousOwner = mod.author;
+  const existing = mod.collaborators.find(entry => idOf(entry.user) === user.id);
+  if (existing) mod.collaborators.pull(existing._id);
+
+  mod.author = user.id;
+  mod.collaborators.push({ user: previousOwner, role: 'maintainer', addedBy: user.id });
+  mod.ownershipTransfer = undefined;
+
+  await mod.save();
+  return mod;
+};
+
+// Pending transfers offered to a user
+const getIncomingTransfers = (userId) => Mod.find({
+  'ownershipTransfer.to': userId,
+  'ownershipTransfer.expiresAt': { $gt: new Date() }
+})
+  .select('name slug coverImage status ownershipTransfer')
+  .populate('ownershipTransfer.requestedBy', 'name')
+  .lean();
+
+// Public methods
+module.exports = {
+  getRole,
+  isAdmin,
+  can,
+  assertCan,
+  listCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+  requestOwnershipTransfer,
+  cancelOwnershipTransfer,
+  acceptOwnershipTransfer,
+  getIncomingTransfers
+};
@@ -0,0 +1,262 @@
+// src/services/compatibility.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const AppError = require('../utils/appError');
+const { COMPATIBILITY, FS_VERSIONS } = require('../utils/constants');
+const { can, isAdmin } = require('./collaboration.service');
+
+// Sortable form of a patch version: four zero-padded segments ("1.4" -> "00001.00004.00000.00000")
+const patchKey = (version) => {
+  if (!version) return undefined;
+  const parts = `${version}`.trim().split('.');
+  while (parts.length < 4) parts.push('0');
+  return parts.map(part => part.padStart(5, '0')).join('.');
+};
+
+const assertGame = (game) => {
+  if (!FS_VERSIONS.includes(game)) {
+    throw new AppError(`Game must be one of ${FS_VERSIONS.join(', ')}`, 400, 'INVALID_FS_VERSION');
+  }
+};
+
+const assertPatch = (patch, field = 'patch') => {
+  if (!COMPATIBILITY.PATCH_PATTERN.test(`${patch}`.trim())) {
+    throw new AppError(`${field} must be a game patch version such as 1.4.0`, 400, 'INVALID_PATCH');
+  }
+};
+
+const assertStatus = (status) => {
+  if (!COMPATIBILITY.STATUSES.includes(status)) {
+    throw new AppError(
+      `Status must be one of ${COMPATIBILITY.STATUSES.join(', ')}`,
+      400,
+      'INVALID_COMPATIBILITY_STATUS'
+    );
+  }
+};
+
+// Validate one matrix entry and add its patch keys
+const toEntry = ({ game, minPatch, maxPatch, status = 'untested', modVersion, note }, versions) => {
+  assertGame(game);
+  assertStatus(status);
+  if (minPatch) assertPatch(minPatch, 'minPatch');
+  if (maxPatch) assertPatch(maxPatch, 'maxPatch');
+
+  if (minPatch && maxPatch && patchKey(minPatch) > patchKey(maxPatch)) {
+    throw new AppError('minPatch cannot be later than maxPatch', 400, 'INVALID_PATCH');
+  }
+  if (modVersion && versions && !versions.includes(modVersion)) {
+    throw new AppError(`Version ${modVersion} of this mod has not been released`, 400, 'UNKNOWN_MOD_VERSION');
+  }
+
+  return {
+    game,
+    minPatch: minPatch ? `${minPatch}`.trim() : undefined,
+    maxPatch: maxPatch ? `${maxPatch}`.trim() : undefined,
+    minPatchKey: patchKey(minPatch),
+    maxPatchKey: patchKey(maxPatch),
+    status,
+    modVersion,
+    note
+  };
+};
+
+// Validate a full matrix from a request body (array or JSON string from multipart forms).
+// versions lists the released mod versions entries may refer to.
+const normalizeCompatibility = (value, versions) => {
+  if (value === undefined) return undefined;
+
+  let entries = value;
+  if (typeof value === 'string') {
+    try {
+      entries = JSON.parse(value);
+    } catch (error) {
+      throw new AppError('Compatibility must be a JSON array', 400, 'INVALID_COMPATIBILITY');
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'object')) {
+    throw new AppError('Compatibility must be an array of entries', 400, 'INVALID_COMPATIBILITY');
+  }
+  if (entries.length > COMPATIBILITY.MAX_ENTRIES) {
+    throw new AppError(
+      `A mod can have at most ${COMPATIBILITY.MAX_ENTRIES} compatibility entries`,
+      400,
+      'INVALID_COMPATIBILITY'
+    );
+  }
+
+  return entries.map(entry => toEntry(entry, versions));
+};
+
+// Starting matrix of a new mod: the game its modDesc.xml targets, not yet tested against a patch
+const defaultCompatibility = (modDesc) => [
+  toEntry({ game: modDesc.fsVersion, status: 'untested', modVersion: modDesc.modVersion })
+];
+
+// After a new file is released, make sure the game it targets is part of the matrix
+const addReleaseGame = (mod, modDesc) => {
+  if (mod.compatibility.some(entry => entry.game === modDesc.fsVersion)) return;
+  mod.compatibility.push(defaultCompatibility(modDesc)[0]);
+};
+
+// Released versions of a mod (entries may only refer to these)
+const getReleasedVersions = (modId) => ModRelease.distinct('version', { mod: modId });
+
+// Entry range contains the patch key (open ends match everything)
+const coversPatch = (key) => ({
+  $and: [
+    { $or: [{ minPatchKey: null }, { minPatchKey: { $lte: key } }] },
+    { $or: [{ maxPatchKey: null }, { maxPatchKey: { $gte: key } }] }
+  ]
+});
+
+// Mod filter conditions for "works with": games (FS22, FS25, ...), optionally a
+// single installed patch of that game, optionally only tested entries.
+// A broken entry covering the patch always wins over working ones.
+const buildCompatibilityFilter = ({ games = [], patch, tested = false } = {}) => {
+  const working = tested ? 'tested' : { $ne: 'broken' };
+
+  if (patch) {
+    if (games.length !== 1) {
+      throw new AppError('Filtering by patch needs exactly one fsVersion', 400, 'INVALID_FILTER');
+    }
+    assertPatch(patch);
+
+    const key = patchKey(patch);
+    return [
+      { compatibility: { $elemMatch: { game: games[0], status: working, ...coversPatch(key) } } },
+      { compatibility: { $not: { $elemMatch: { game: games[0], status: 'broken', ...coversPatch(key) } } } }
+    ];
+  }
+
+  if (games.length) {
+    return [{ compatibility: { $elemMatch: { game: { $in: games }, status: working } } }];
+  }
+
+  return tested ? [{ compatibility: { $elemMatch: { status: 'tested' } } }] : [];
+};
+
+// Game generations a mod works with (for cards, facets and trending)
+const gamesOf = (mod) => [...new Set((mod.compatibility || [])
+  .filter(entry => entry.status !== 'broken')
+  .map(entry => entry.game))];
+
+// Record the result of testing a mod against a game patch.
+// An existing entry with the same game, status and mod version is widened to include the patch;
+// a broken entry for exactly this patch is dropped when the mod is marked working again.
+const markPatch = (mod, { game, patch, status, modVersion, note, userId }) => {
+  const version = modVersion || mod.modVersion;
+  const key = patchKey(patch);
+
+  if (status !== 'broken') {
+    mod.compatibility = mod.compatibility.filter(entry => !(
+      entry.game === game && entry.status === 'broken' &&
+      entry.minPatchKey === key && entry.maxPatchKey === key
+    ));
+  }
+
+  let entry = mod.compatibility.find(item =>
+    item.game === game && item.status === status && item.modVersion === version);
+
+  if (entry) {
+    if (entry.minPatchKey && key < entry.minPatchKey) Object.assign(entry, { minPatch: patch, minPatchKey: key });
+    if (entry.maxPatchKey && key > entry.maxPatchKey) Object.assign(entry, { maxPatch: patch, maxPatchKey: key });
+    if (note !== undefined) entry.note = note;
+  } else {
+    if (mod.compatibility.length >= COMPATIBILITY.MAX_ENTRIES) {
+      throw new AppError('Compatibility matrix is full', 400, 'INVALID_COMPATIBILITY');
+    }
+    mod.compatibility.push(toEntry({ game, minPatch: patch, maxPatch: patch, status, modVersion: version, note }));
+    entry = mod.compatibility[mod.compatibility.length - 1];
+  }
+
+  entry.testedBy = userId;
+  entry.testedAt = new Date();
+};
+
+// Replace the matrix of a mod
+const setModCompatibility = async (mod, value, user) => {
+  const entries = normalizeCompatibility(value, await getReleasedVersions(mod._id));
+  if (!entries) {
+    throw new AppError('Please provide the compatibility entries', 400, 'MISSING_FIELDS');
+  }
+
+  const now = new Date();
+  mod.compatibility = entries.map(entry => (
+    entry.status === 'tested' ? { ...entry, testedBy: user.id, testedAt: now } : entry
+  ));
+
+  await mod.save();
+  return mod.compatibility;
+};
+
+// Mark many mods after a game patch. Mods are given by id, or (admins only) selected by
+// `worksWith`: every public mod that works with an earlier patch of the same game.
+const bulkMarkCompatibility = async (user, { game, patch, status = 'tested', modIds, worksWith, note }) => {
+  assertGame(game);
+  assertPatch(patch);
+  assertStatus(status);
+
+  let filter;
+  if (modIds !== undefined) {
+    const ids = Array.isArray(modIds) ? modIds : `${modIds}`.split(',');
+    if (!ids.length || ids.length > COMPATIBILITY.MAX_BULK_MODS) {
+      throw new AppError(
+        `Provide between 1 and ${COMPATIBILITY.MAX_BULK_MODS} mod ids`,
+        400,
+        'INVALID_MOD_IDS'
+      );
+    }
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new AppError('Invalid mod id', 400, 'INVALID_MOD_IDS');
+    }
+    filter = { _id: { $in: ids } };
+  } else if (worksWith) {
+    if (!isAdmin(user)) {
+      throw new AppError('Only admins can select mods by patch', 403, 'ACCESS_DENIED');
+    }
+    filter = { status: 'approved', $and: buildCompatibilityFilter({ games: [game], patch: worksWith }) };
+  } else {
+    throw new AppError('Please provide modIds or worksWith', 400, 'MISSING_FIELDS');
+  }
+
+  const mods = await Mod.find(filter).limit(COMPATIBILITY.MAX_BULK_MODS);
+  const found = new Set(mods.map(mod => mod._id.toString()));
+
+  const updated = [];
+  const skipped = (filter._id ? filter._id.$in : [])
+    .filter(id => !found.has(`${id}`))
+    .map(id => ({ mod: id, reason: 'MOD_NOT_FOUND' }));
+
+  for (const mod of mods) {
+    if (!can(mod, user, 'edit')) {
+      skipped.push({ mod: mod._id, reason: 'ACCESS_DENIED' });
+      continue;
+    }
+
+    try {
+      markPatch(mod, { game, patch, status, note, userId: user.id });
+      await mod.save();
+      updated.push(mod._id);
+    } catch (error) {
+      skipped.push({ mod: mod._id, reason: error.errorCode || error.message });
+    }
+  }
+
+  return { updated, skipped };
+};
+
+// Public methods
+module.exports = {
+  patchKey,
+  normalizeCompatibility,
+  defaultCompatibility,
+  addReleaseGame,
+  getReleasedVersions,
+  buildCompatibilityFilter,
+  gamesOf,
+  setModCompatibility,
+  bulkMarkCompatibility
+};
@@ -0,0 +1,90 @@
+// src/services/conflict.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const AppError = require('../utils/appError');
+
+// Maximum number of mods compared in one request
+const MAX_MODS = 200;
+
+// Declarations that break each other in-game when two mods ship the same value
+const CONFLICT_TYPES = {
+  storeItems: 'store_item',
+  specializations: 'specialization',
+  vehicleTypes: 'vehicle_type'
+};
+
+// Load the archive index of the current release of every mod
+const loadLatestContents = async (modIds) => {
+  const ids = modIds.map(id => new mongoose.Types.ObjectId(id));
+
+  return ModRelease.aggregate([
+    { $match: { mod: { $in: ids } } },
+    { $sort: { releasedAt: -1 } },
+    {
+      $group: {
+        _id: '$mod',
+        version: { $first: '$version' },
+        contents: { $first: '$contents' }
+      }
+    }
+  ]);
+};
+
+// Detect conflicting declarations between a set of mods
+const findConflicts = async (modIds) => {
+  const uniqueIds = [...new Set(modIds.map(id => `${id}`))];
+
+  if (uniqueIds.length > MAX_MODS) {
+    throw new AppError(`Cannot check more than ${MAX_MODS} mods at once`, 400, 'TOO_MANY_MODS');
+  }
+  if (uniqueIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Invalid mod id in list', 400, 'INVALID_MOD_ID');
+  }
+
+  const [mods, indexes] = await Promise.all([
+    Mod.find({ _id: { $in: uniqueIds } }).select('name slug modVersion').lean(),
+    loadLatestContents(uniqueIds)
+  ]);
+
+  const modsById = new Map(mods.map(mod => [mod._id.toString(), mod]));
+  const owners = new Map();
+
+  indexes.forEach(index => {
+    const modId = index._id.toString();
+
+    Object.entries(CONFLICT_TYPES).forEach(([field, type]) => {
+      (index.contents?.[field] || []).forEach(value => {
+        const key = `${type}:${value}`;
+        if (!owners.has(key)) owners.set(key, { type, value, mods: [] });
+        owners.get(key).mods.push(modId);
+      });
+    });
+  });
+
+  const conflicts = [...owners.values()]
+    .filter(entry => entry.mods.length > 1)
+    .map(entry => ({
+      type: entry.type,
+      value: entry.value,
+      mods: entry.mods.map(id => ({
+        _id: id,
+        name: modsById.get(id)?.name,
+        slug: modsById.get(id)?.slug
+      }))
+    }));
+
+  const indexedIds = new Set(indexes.filter(index => index.contents).map(index => index._id.toString()));
+
+  return {
+    checked: uniqueIds.length,
+    conflicts,
+    notFound: uniqueIds.filter(id => !modsById.has(id)),
+    unindexed: uniqueIds.filter(id => modsById.has(id) && !indexedIds.has(id))
+  };
+};
+
+// Public methods
+module.exports = {
+  findConflicts
+};
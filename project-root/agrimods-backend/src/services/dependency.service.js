@@ -0,0 +1,257 @@
+// src/services/dependency.service.js
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const AppError = require('../utils/appError');
+const {
+  isValidObjectId,
+  isValidVersionRange,
+  satisfiesVersionRange,
+  compareVersions
+} = require('../utils/helpers');
+
+// Guard against runaway trees (dependency chains deeper than this are reported, not followed)
+const MAX_DEPTH = 10;
+
+const MOD_FIELDS = 'name slug status modVersion file dependencies requiredDlcs isFree price';
+
+// Validate and normalize a dependency list submitted by an author
+const normalizeDependencies = async (modId, dependencies = [], requiredDlcs = []) => {
+  if (!Array.isArray(dependencies) || !Array.isArray(requiredDlcs)) {
+    throw new AppError('dependencies and requiredDlcs must be arrays', 400, 'INVALID_DEPENDENCIES');
+  }
+
+  const seen = new Set();
+  const normalized = dependencies.map(dependency => {
+    const depId = `${dependency.mod || ''}`;
+
+    if (!isValidObjectId(depId)) {
+      throw new AppError(`Invalid dependency mod id: ${depId}`, 400, 'INVALID_DEPENDENCIES');
+    }
+    if (depId === modId.toString()) {
+      throw new AppError('A mod cannot depend on itself', 400, 'INVALID_DEPENDENCIES');
+    }
+    if (seen.has(depId)) {
+      throw new AppError(`Dependency ${depId} is listed more than once`, 400, 'INVALID_DEPENDENCIES');
+    }
+    if (!isValidVersionRange(dependency.versionRange)) {
+      throw new AppError(`Invalid version range: ${dependency.versionRange}`, 400, 'INVALID_VERSION_RANGE');
+    }
+    seen.add(depId);
+
+    return {
+      mod: depId,
+      type: dependency.type === 'optional' ? 'optional' : 'required',
+      versionRange: dependency.versionRange ? `${dependency.versionRange}`.trim() : '*',
+      note: dependency.note
+    };
+  });
+
+  const existing = await Mod.countDocuments({ _id: { $in: [...seen] } });
+  if (existing !== seen.size) {
+    throw new AppError('One or more dependencies do not exist', 404, 'DEPENDENCY_NOT_FOUND');
+  }
+
+  return {
+    dependencies: normalized,
+    requiredDlcs: [...new Set(requiredDlcs.map(dlc => `${dlc}`.trim()).filter(Boolean))]
+  };
+};
+
+// Pick the file that satisfies a version range: the current file, else the newest matching release
+const pickRelease = async (mod, versionRange) => {
+  if (satisfiesVersionRange(mod.modVersion, versionRange)) {
+    return { version: mod.modVersion, file: mod.file };
+  }
+
+  const releases = await ModRelease.find({ mod: mod._id, status: { $ne: 'withdrawn' } })
+    .select('version file')
+    .lean();
+  const match = releases
+    .filter(release => satisfiesVersionRange(release.version, versionRange))
+    .sort((a, b) => compareVersions(b.version, a.version))[0];
+
+  return match ? { version: match.version, file: match.file, releaseId: match._id } : null;
+};
+
+// Resolve the full dependency tree of a mod
+const resolveDependencies = async (rootId, { includeOptional = false } = {}) => {
+  const cache = new Map();
+  const packages = new Map();
+  const requiredDlcs = new Set();
+  const warnings = [];
+
+  const loadMod = async (id) => {
+    const key = id.toString();
+    if (!cache.has(key)) {
+      cache.set(key, await Mod.findById(id).select(MOD_FIELDS).lean());
+    }
+    return cache.get(key);
+  };
+
+  const visit = async (dependency, path) => {
+    const depId = dependency.mod.toString();
+    const node = {
+      mod: depId,
+      type: dependency.type,
+      versionRange: dependency.versionRange || '*',
+      status: 'ok',
+      dependencies: []
+    };
+
+    if (path.includes(depId)) {
+      node.status = 'cycle';
+      warnings.push({ type: 'cycle', mod: depId, path: [...path, depId] });
+      return node;
+    }
+
+    const mod = await loadMod(depId);
+    if (!mod) {
+      node.status = 'missing';
+      warnings.push({ type: 'missing', mod: depId, requiredBy: path[path.length - 1] });
+      return node;
+    }
+
+    node.name = mod.name;
+    node.slug = mod.slug;
+
+    if (mod.status !== 'approved') {
+      node.status = 'unavailable';
+      warnings.push({ type: 'unavailable', mod: depId, name: mod.name, status: mod.status });
+      return node;
+    }
+
+    const release = await pickRelease(mod, node.versionRange);
+    if (!release) {
+      node.status = 'version_mismatch';
+      warnings.push({
+        type: 'version_mismatch',
+        mod: depId,
+        name: mod.name,
+        versionRange: node.versionRange,
+        availableVersion: mod.modVersion
+      });
+      return node;
+    }
+
+    node.resolvedVersion = release.version;
+
+    const existing = packages.get(depId);
+    if (existing && existing.version !== release.version) {
+      warnings.push({
+        type: 'version_conflict',
+        mod: depId,
+        name: mod.name,
+        versions: [existing.version, release.version]
+      });
+    } else if (!existing) {
+      packages.set(depId, {
+        mod: depId,
+        name: mod.name,
+        type: dependency.type,
+        version: release.version,
+        releaseId: release.releaseId,
+        isFree: mod.isFree !== false,
+        file: release.file
+      });
+    }
+
+    (mod.requiredDlcs || []).forEach(dlc => requiredDlcs.add(dlc));
+
+    if (path.length >= MAX_DEPTH) {
+      warnings.push({ type: 'max_depth', mod: depId, name: mod.name });
+      return node;
+    }
+
+    node.dependencies = await visitChildren(mod, [...path, depId]);
+    return node;
+  };
+
+  const visitChildren = async (mod, path) => {
+    const children = (mod.dependencies || [])
+      .filter(dependency => includeOptional || dependency.type !== 'optional');
+
+    const nodes = [];
+    for (const dependency of children) {
+      nodes.push(await visit(dependency, path));
+    }
+    return nodes;
+  };
+
+  const root = await loadMod(rootId);
+  if (!root) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  (root.requiredDlcs || []).forEach(dlc => requiredDlcs.add(dlc));
+
+  const tree = {
+    mod: root._id.toString(),
+    name: root.name,
+    slug: root.slug,
+    resolvedVersion: root.modVersion,
+    status: 'ok',
+    dependencies: await visitChildren(root, [root._id.toString()])
+  };
+
+  return {
+    tree,
+    packages: [...packages.values()],
+    requiredDlcs: [...requiredDlcs],
+    warnings,
+    complete: !warnings.some(warning => ['missing', 'unavailable', 'version_mismatch'].includes(warning.type))
+  };
+};
+
+// Split resolved packages into ones that can be bundled and ones the user must get separately
+// (paid mods, and mods marked `suspended` by a copyright claim)
+const splitBundlePackages = (packages) => {
+  const bundleable = (pkg) => pkg.isFree && pkg.file?.path && !pkg.suspended;
+  return {
+    bundled: packages.filter(bundleable),
+    separate: packages.filter(pkg => !bundleable(pkg))
+  };
+};
+
+// Plain-text notes shipped inside a "download with dependencies" archive
+const buildDependencyReadme = (mod, resolution) => {
+  const { bundled, separate } = splitBundlePackages(resolution.packages);
+  const lines = [
+    `${mod.name} ${mod.modVersion || ''}`.trim(),
+    '',
+    'Copy every .zip file from this archive into your Farming Simulator mods folder.',
+    ''
+  ];
+
+  if (bundled.length) {
+    lines.push('Included dependencies:');
+    bundled.forEach(pkg => lines.push(`  - ${pkg.name} ${pkg.version}`));
+    lines.push('');
+  }
+
+  if (separate.length) {
+    lines.push('Not included (get these from their mod pages):');
+    separate.forEach(pkg => lines.push(`  - ${pkg.name} ${pkg.version}`));
+    lines.push('');
+  }
+
+  if (resolution.requiredDlcs.length) {
+    lines.push('Required DLCs:');
+    resolution.requiredDlcs.forEach(dlc => lines.push(`  - ${dlc}`));
+    lines.push('');
+  }
+
+  if (resolution.warnings.length) {
+    lines.push('Warnings:');
+    resolution.warnings.forEach(warning => lines.push(`  - ${warning.type}: ${warning.name || warning.mod}`));
+  }
+
+  return lines.join('\r\n');
+};
+
+// Public methods
+module.exports = {
+  normalizeDependencies,
+  resolveDependencies,
+  splitBundlePackages,
+  buildDependencyReadme
+};
@@ -0,0 +1,263 @@
+// src/services/dmca.service.js
+const mongoose = require('mongoose');
+const DmcaClaim = require('../models/DmcaClaim');
+const Mod = require('../models/Mod.model');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { DMCA, VALIDATION_PATTERNS } = require('../utils/constants');
+const {
+  sendDmcaClaimEmail,
+  sendDmcaCounterNoticeEmail,
+  sendDmcaResolvedEmail
+} = require('./email.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Claimant contact details stay with staff; the mod team sees who filed the claim
+const TEAM_HIDDEN_FIELDS = '-claimant.email -claimant.address -claimant.phone -ipAddress';
+
+const isTrue = (value) => value === true || value === 'true';
+
+const text = (value) => `${value || ''}`.trim();
+
+// Electronic signature: the signer types their full name
+const assertSignature = (signature, name) => {
+  if (!text(signature) || text(signature).toLowerCase() !== text(name).toLowerCase()) {
+    throw new AppError('Please sign by typing your full name exactly as given', 400, 'INVALID_SIGNATURE');
+  }
+};
+
+// Find a claim by id
+const findClaim = async (claimId) => {
+  const claim = mongoose.Types.ObjectId.isValid(claimId) ? await DmcaClaim.findById(claimId) : null;
+  if (!claim) {
+    throw new AppError('DMCA claim not found', 404, 'DMCA_CLAIM_NOT_FOUND');
+  }
+  return claim;
+};
+
+// Whether downloads of a mod are suspended by a claim
+const isDownloadSuspended = (modId) => DmcaClaim.exists({
+  mod: modId,
+  status: { $in: DMCA.BLOCKING_STATUSES }
+});
+
+// Throw DMCA_SUSPENDED (451 Unavailable For Legal Reasons) while a claim blocks the mod
+const assertDownloadable = async (modId) => {
+  if (await isDownloadSuspended(modId)) {
+    throw new AppError(
+      'Downloads of this mod are suspended because of a copyright claim',
+      451,
+      'DMCA_SUSPENDED'
+    );
+  }
+};
+
+// Ids (as strings) of the given mods that have a blocking claim
+const getSuspendedModIds = async (modIds) => {
+  if (!modIds.length) return [];
+  const ids = await DmcaClaim.distinct('mod', {
+    mod: { $in: modIds },
+    status: { $in: DMCA.BLOCKING_STATUSES }
+  });
+  return ids.map(id => id.toString());
+};
+
+// Email the mod owner; mail failures never block the claim itself
+const notifyOwner = async (mod, claim, send) => {
+  try {
+    const owner = await User.findById(mod.author).select('name email');
+    if (owner?.email) await send(owner, mod, claim);
+  } catch (error) {
+    logger.error(`DMCA email for mod ${mod._id} failed: ${error.message}`);
+  }
+};
+
+// Each notice suspends a mod right away, so accounts and addresses may only file a few a day
+const assertClaimLimit = async (user, ip) => {
+  const recent = await DmcaClaim.countDocuments({
+    $or: [{ submittedBy: user.id }, { ipAddress: ip }],
+    createdAt: { $gt: new Date(Date.now() - DAY_MS) }
+  });
+  if (recent >= DMCA.MAX_CLAIMS_PER_DAY) {
+    throw new AppError(
+      'You have filed too many notices today; please contact us directly',
+      429,
+      'DMCA_CLAIM_LIMIT'
+    );
+  }
+};
+
+// File a takedown notice. Downloads are suspended as soon as it is stored.
+const fileClaim = async (mod, user, body, ip) => {
+  const claimant = body.claimant || {};
+  const email = text(claimant.email).toLowerCase();
+
+  if (!VALIDATION_PATTERNS.EMAIL.test(email)) {
+    throw new AppError('Please provide a valid contact email', 400, 'INVALID_EMAIL');
+  }
+
+  if (!isTrue(body.goodFaith) || !isTrue(body.accurateUnderPenaltyOfPerjury)) {
+    throw new AppError(
+      'The notice must include the good faith and accuracy statements',
+      400,
+      'DMCA_STATEMENTS_REQUIRED'
+    );
+  }
+  assertSignature(body.signature, claimant.name);
+
+  const duplicate = await DmcaClaim.exists({
+    mod: mod._id,
+    $or: [{ submittedBy: user.id }, { 'claimant.email': email }],
+    status: { $in: DMCA.BLOCKING_STATUSES }
+  });
+  if (duplicate) {
+    throw new AppError('You already have an open claim against this mod', 409, 'DMCA_CLAIM_EXISTS');
+  }
+
+  await assertClaimLimit(user, ip);
+
+  const claim = await DmcaClaim.create({
+    mod: mod._id,
+    submittedBy: user.id,
+    ipAddress: ip,
+    claimant: {
+      name: claimant.name,
+      company: claimant.company,
+      email,
+      address: claimant.address,
+      phone: claimant.phone
+    },
+    copyrightedWork: body.copyrightedWork,
+    originalUrls: body.originalUrls,
+    infringingMaterial: body.infringingMaterial,
+    goodFaith: true,
+    accurateUnderPenaltyOfPerjury: true,
+    signature: body.signature
+  });
+
+  logger.info(`DMCA claim ${claim._id} filed against mod ${mod._id}; downloads suspended`);
+  await notifyOwner(mod, claim, sendDmcaClaimEmail);
+
+  return claim;
+};
+
+// Claims against a mod as shown to its team
+const getModClaims = (modId) => DmcaClaim.find({ mod: modId })
+  .select(TEAM_HIDDEN_FIELDS)
+  .sort({ createdAt: -1 })
+  .lean();
+
+// Counter-notice by the mod owner. Downloads come back after
+// COUNTER_NOTICE_RESTORE_DAYS unless a moderator upholds the claim first.
+const submitCounterNotice = async (claim, mod, user, body) => {
+  if (claim.status !== 'open') {
+    throw new AppError('Only open claims can be answered with a counter-notice', 409, 'DMCA_CLAIM_NOT_OPEN');
+  }
+
+  const missing = ['name', 'address', 'statement'].filter(field => !text(body[field]));
+  if (missing.length) {
+    throw new AppError(`Counter-notice is missing: ${missing.join(', ')}`, 400, 'MISSING_FIELDS');
+  }
+  if (!isTrue(body.consentToJurisdiction)) {
+    throw new AppError(
+      'The counter-notice must consent to the jurisdiction of the federal court',
+      400,
+      'DMCA_STATEMENTS_REQUIRED'
+    );
+  }
+  assertSignature(body.signature, body.name);
+
+  const now = new Date();
+  claim.counterNotice = {
+    name: text(body.name),
+    email: text(body.email) || user.email,
+    address: text(body.address),
+    phone: body.phone,
+    statement: body.statement,
+    consentToJurisdiction: true,
+    signature: text(body.signature),
+    submittedBy: user.id,
+    submittedAt: now
+  };
+  claim.status = 'counter_noticed';
+  claim.restoreAfter = new Date(now.getTime() + DMCA.COUNTER_NOTICE_RESTORE_DAYS * DAY_MS);
+  await claim.save();
+
+  try {
+    await sendDmcaCounterNoticeEmail(claim, mod);
+  } catch (error) {
+    logger.error(`DMCA counter-notice email for claim ${claim._id} failed: ${error.message}`);
+  }
+
+  return claim;
+};
+
+// Close a claim (or uphold it) and tell the owner
+const resolveClaim = async (claim, user, { status, note }) => {
+  const allowed = DMCA.TRANSITIONS[claim.status] || [];
+  if (!allowed.includes(status)) {
+    throw new AppError(`Cannot change claim from ${claim.status} to ${status}`, 400, 'INVALID_TRANSITION');
+  }
+
+  claim.status = status;
+  claim.resolution = { note, by: user?.id, at: new Date() };
+  await claim.save();
+
+  const mod = await Mod.findById(claim.mod).select('name author');
+  if (mod) await notifyOwner(mod, claim, sendDmcaResolvedEmail);
+
+  return claim;
+};
+
+// Claims for the staff queue, oldest first
+const listClaims = ({ status, mod } = {}) => {
+  const filter = {
+    status: status ? { $in: `${status}`.split(',') } : { $in: DMCA.BLOCKING_STATUSES }
+  };
+  if (mod) filter.mod = mod;
+
+  return DmcaClaim.find(filter)
+    .populate('mod', 'name slug author status')
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+// Restore downloads of counter-noticed claims whose waiting period is over (run by the scheduler)
+const restoreCounterNoticedClaims = async () => {
+  const due = await DmcaClaim.find({ status: 'counter_noticed', restoreAfter: { $lte: new Date() } });
+
+  let restored = 0;
+  for (const claim of due) {
+    try {
+      await resolveClaim(claim, null, {
+        status: 'restored',
+        note: 'Restored automatically after the counter-notice waiting period'
+      });
+      restored += 1;
+    } catch (error) {
+      logger.error(`Restoring DMCA claim ${claim._id} failed: ${error.message}`);
+    }
+  }
+
+  return restored;
+};
+
+// Remove the claims against a deleted mod
+const deleteModClaims = (modId) => DmcaClaim.deleteMany({ mod: modId });
+
+// Public methods
+module.exports = {
+  findClaim,
+  isDownloadSuspended,
+  assertDownloadable,
+  getSuspendedModIds,
+  fileClaim,
+  getModClaims,
+  submitCounterNotice,
+  resolveClaim,
+  listClaims,
+  restoreCounterNoticedClaims,
+  deleteModClaims
+};
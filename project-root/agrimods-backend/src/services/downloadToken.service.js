@@ -0,0 +1,191 @@
+// src/services/downloadToken.service.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const DownloadToken = require('../models/DownloadToken');
+const AppError = require('../utils/appError');
+const { JWT, DOWNLOAD_TOKENS } = require('../utils/constants');
+const { durationToMs } = require('../utils/helpers');
+const { can, isAdmin } = require('./collaboration.service');
+const { assertDownloadable } = require('./dmca.service');
+const { findRelease } = require('./release.service');
+
+// A token is "<payload>.<signature>": the base64url JSON payload
+// ({ id, user, mod, release, exp }) and its base64url HMAC-SHA256.
+// The payload only identifies the link; uses, revocation and the bound IP live in DownloadToken.
+
+const invalidToken = () => new AppError('Invalid download link', 401, 'INVALID_DOWNLOAD_TOKEN');
+
+const signingKey = () => {
+  if (!process.env.DOWNLOAD_TOKEN_SECRET) {
+    throw new AppError('Download links are not available', 500, 'DOWNLOAD_TOKENS_DISABLED');
+  }
+  return process.env.DOWNLOAD_TOKEN_SECRET;
+};
+
+const sign = (payload) => crypto.createHmac('sha256', signingKey()).update(payload).digest('base64url');
+
+const encodeToken = (claims) => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// Check the signature and expiry without touching the database
+const decodeToken = (token, { allowExpired = false } = {}) => {
+  const [payload, signature, extra] = `${token || ''}`.split('.');
+  if (!payload || !signature || extra !== undefined) throw invalidToken();
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalidToken();
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidToken();
+  }
+  if (!claims || !mongoose.Types.ObjectId.isValid(claims.id)) throw invalidToken();
+
+  if (!allowExpired && !(claims.exp * 1000 > Date.now())) {
+    throw new AppError('This download link has expired', 410, 'DOWNLOAD_TOKEN_EXPIRED');
+  }
+  return claims;
+};
+
+// Paid mods need a purchase or subscription; free mods and the mod's team always pass
+const hasModAccess = (mod, user) => {
+  if (mod.isFree || !(mod.price > 0)) return true;
+  if (can(mod, user, 'view')) return true;
+  if (user.activeSubscription && new Date() < user.subscriptionExpiry) return true;
+  return (user.purchasedMods || []).some(id => id.toString() === mod._id.toString());
+};
+
+// Mods available for download, with their release when one was asked for
+const loadDownload = async (modId, { releaseId, version } = {}) => {
+  const mod = mongoose.Types.ObjectId.isValid(modId) ? await Mod.findById(modId) : null;
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+  if (mod.status !== 'approved') {
+    throw new AppError('Mod is not available for download', 403, 'MOD_NOT_PUBLISHED');
+  }
+
+  await assertDownloadable(mod._id);
+
+  let release = null;
+  if (releaseId || version) {
+    release = await findRelease(mod._id, { releaseId, version });
+    if (release.status === 'withdrawn') {
+      throw new AppError(
+        `Version ${release.version} was withdrawn: ${release.withdrawReason}`,
+        410,
+        'RELEASE_WITHDRAWN'
+      );
+    }
+  }
+
+  return { mod, release };
+};
+
+// Issue a link downloading a mod (or one of its releases) for the user.
+// The link works maxUses times until JWT.DOWNLOAD_TOKEN_EXPIRY, optionally only from `ip`.
+const issueDownloadToken = async (user, { modId, releaseId, version, maxUses, bindIp }, ip) => {
+  const uses = maxUses === undefined ? DOWNLOAD_TOKENS.DEFAULT_USES : Number(maxUses);
+  if (!Number.isInteger(uses) || uses < 1 || uses > DOWNLOAD_TOKENS.MAX_USES) {
+    throw new AppError(`maxUses must be between 1 and ${DOWNLOAD_TOKENS.MAX_USES}`, 400, 'INVALID_MAX_USES');
+  }
+  signingKey(); // fail before writing anything when links aren't configured
+
+  const { mod, release } = await loadDownload(modId, { releaseId, version });
+  if (!hasModAccess(mod, user)) {
+    throw new AppError('You do not have access to this mod', 403, 'PURCHASE_REQUIRED');
+  }
+
+  const expiresAt = new Date(Date.now() + durationToMs(JWT.DOWNLOAD_TOKEN_EXPIRY));
+  const record = await DownloadToken.create({
+    user: user.id,
+    mod: mod._id,
+    release: release?._id,
+    ip: bindIp ? ip : undefined,
+    maxUses: uses,
+    expiresAt
+  });
+
+  const token = encodeToken({
+    id: record._id.toString(),
+    user: user.id,
+    mod: mod._id.toString(),
+    release: release?._id.toString(),
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  });
+
+  return { token, record };
+};
+
+// Use a download link once. The use is counted atomically, so parallel requests can't
+// exceed maxUses. Returns the mod and release to send and the updated token.
+const redeemDownloadToken = async (token, ip) => {
+  const claims = decodeToken(token);
+  const record = await DownloadToken.findById(claims.id);
+
+  if (!record || record.user.toString() !== claims.user || record.mod.toString() !== claims.mod) {
+    throw invalidToken();
+  }
+  if (record.revokedAt) {
+    throw new AppError('This download link was revoked', 410, 'DOWNLOAD_TOKEN_REVOKED');
+  }
+  if (record.ip && record.ip !== ip) {
+    throw new AppError('This download link can\'t be used from this address', 403, 'DOWNLOAD_TOKEN_IP_MISMATCH');
+  }
+
+  // The mod may have been taken down since the link was issued
+  const download = await loadDownload(record.mod, { releaseId: record.release });
+
+  const now = new Date();
+  const used = await DownloadToken.findOneAndUpdate(
+    {
+      _id: record._id,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $expr: { $lt: ['$uses', '$maxUses'] }
+    },
+    { $inc: { uses: 1 }, $set: { lastUsedAt: now, lastUsedIp: ip } },
+    { new: true }
+  );
+  if (!used) {
+    throw record.uses < record.maxUses
+      ? new AppError('This download link has expired', 410, 'DOWNLOAD_TOKEN_EXPIRED')
+      : new AppError('This download link was already used', 410, 'DOWNLOAD_TOKEN_USED');
+  }
+
+  return { ...download, token: used };
+};
+
+// Revoke a link before it runs out (its owner or an admin)
+const revokeDownloadToken = async (token, user) => {
+  const claims = decodeToken(token, { allowExpired: true });
+  const record = await DownloadToken.findById(claims.id);
+
+  if (!record || record.user.toString() !== claims.user) {
+    throw new AppError('Download link not found', 404, 'DOWNLOAD_TOKEN_NOT_FOUND');
+  }
+  if (record.user.toString() !== user.id && !isAdmin(user)) {
+    throw new AppError('You don\'t have permission to revoke this download link', 403, 'ACCESS_DENIED');
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date();
+    await record.save();
+  }
+  return record;
+};
+
+// Public methods
+module.exports = {
+  issueDownloadToken,
+  redeemDownloadToken,
+  revokeDownloadToken
+};
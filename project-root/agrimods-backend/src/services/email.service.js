@@ -211,7 +211,214 @@ const templates = {
         </body>
       </html>
     `
-  })
+  }),
+
+  modStatusUpdate: (user, mod, status, note) => {
+    const headlines = {
+      approved: 'Your mod has been approved! 🎉',
+      scheduled: 'Your mod has been approved and scheduled 🗓️',
+      rejected: 'Your mod was not approved',
+      changes_requested: 'Changes requested for your mod',
+      suspended: 'Your mod has been temporarily hidden'
+    };
+
+    return {
+      subject: `${headlines[status]} - ${mod.name}`,
+      html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 30px; background: #f9f9f9; }
+            .note { padding: 15px; background: white; border-left: 4px solid #4CAF50; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${headlines[status]}</h1>
+            </div>
+            <div class="content">
+              <p>Hello ${user.name || 'there'},</p>
+              <p>The review of <strong>${mod.name}</strong> (version ${mod.modVersion}) has been updated.</p>
+              ${note ? `<div class="note"><strong>Reviewer note:</strong><br>${note}</div>` : ''}
+              ${status === 'changes_requested' ? '<p>Please address the notes above and resubmit your mod for review.</p>' : ''}
+              ${status === 'scheduled' && mod.publishAt ? `<p>Your mod goes live on <strong>${mod.publishAt.toUTCString()}</strong>.</p>` : ''}
+              ${status === 'suspended' ? '<p>Your mod is hidden while our moderators look into a report. You can reply on the review thread of your mod.</p>' : ''}
+              <a href="${process.env.FRONTEND_URL}/dashboard/mods/${mod._id}" class="button">View Mod</a>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} AgriMods. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+    };
+  },
+
+  ownershipTransferRequest: (user, mod, owner) => ({
+    subject: `You have been offered ownership of ${mod.name}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 30px; background: #f9f9f9; }
+            .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Mod ownership transfer</h1>
+            </div>
+            <div class="content">
+              <p>Hello ${user.name || 'there'},</p>
+              <p>${owner?.name || 'The owner'} wants to transfer ownership of <strong>${mod.name}</strong> to you.</p>
+              <p>Ownership only moves once you accept. The offer expires on ${mod.ownershipTransfer.expiresAt.toLocaleDateString()}.</p>
+              <a href="${process.env.FRONTEND_URL}/dashboard/mods/${mod._id}/ownership" class="button">Review Transfer</a>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} AgriMods. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  dmcaClaimFiled: (user, mod, claim) => ({
+    subject: `Copyright notice received for ${mod.name}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #E53935; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 30px; background: #f9f9f9; }
+            .note { padding: 15px; background: white; border-left: 4px solid #E53935; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>DMCA notice received</h1>
+            </div>
+            <div class="content">
+              <p>Hello ${user.name || 'there'},</p>
+              <p>We received a copyright notice from <strong>${claim.claimant.name}</strong> regarding <strong>${mod.name}</strong>. Downloads of the mod are suspended while the claim is open.</p>
+              <div class="note"><strong>Copyrighted work:</strong><br>${claim.copyrightedWork}</div>
+              <p>If you believe the material was removed by mistake or misidentification, the owner of the mod can submit a counter-notice from the dashboard.</p>
+              <a href="${process.env.FRONTEND_URL}/dashboard/mods/${mod._id}/dmca" class="button">View Claim</a>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} AgriMods. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  dmcaCounterNotice: (claim, mod) => ({
+    subject: `Counter-notice received for your copyright claim on ${mod.name}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 30px; background: #f9f9f9; }
+            .note { padding: 15px; background: white; border-left: 4px solid #4CAF50; margin: 20px 0; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>DMCA counter-notice</h1>
+            </div>
+            <div class="content">
+              <p>Hello ${claim.claimant.name},</p>
+              <p>The uploader of <strong>${mod.name}</strong> has submitted a counter-notice to your copyright claim.</p>
+              <div class="note">
+                <strong>${claim.counterNotice.name}</strong><br>
+                ${claim.counterNotice.address}<br>
+                ${claim.counterNotice.email || ''}<br><br>
+                ${claim.counterNotice.statement}
+              </div>
+              <p>Downloads will be restored on <strong>${claim.restoreAfter.toLocaleDateString()}</strong> unless you let us know before then that you have filed a court action against the uploader. Please reply to this email with the case details.</p>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} AgriMods. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }),
+
+  dmcaClaimResolved: (user, mod, claim) => {
+    const outcomes = {
+      upheld: 'The claim was upheld. Downloads of the mod stay suspended.',
+      rejected: 'The claim was rejected. Downloads of the mod are available again.',
+      withdrawn: 'The claimant withdrew the claim. Downloads of the mod are available again.',
+      restored: 'Downloads of the mod have been restored after your counter-notice.'
+    };
+
+    return {
+      subject: `Copyright claim update for ${mod.name}`,
+      html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+            .content { padding: 30px; background: #f9f9f9; }
+            .note { padding: 15px; background: white; border-left: 4px solid #4CAF50; margin: 20px 0; }
+            .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin-top: 20px; }
+            .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Copyright claim update</h1>
+            </div>
+            <div class="content">
+              <p>Hello ${user.name || 'there'},</p>
+              <p>The copyright claim against <strong>${mod.name}</strong> has been closed.</p>
+              <p>${outcomes[claim.status]}</p>
+              ${claim.resolution?.note ? `<div class="note"><strong>Moderator note:</strong><br>${claim.resolution.note}</div>` : ''}
+              <a href="${process.env.FRONTEND_URL}/dashboard/mods/${mod._id}/dmca" class="button">View Claim</a>
+            </div>
+            <div class="footer">
+              <p>&copy; ${new Date().getFullYear()} AgriMods. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+    };
+  }
 };
 
 // Send email
@@ -288,6 +495,56 @@ module.exports = {
     });
   },
 
+  // Send mod review decision to the author
+  sendModStatusEmail: async (user, mod, status, note) => {
+    const template = templates.modStatusUpdate(user, mod, status, note);
+    return await sendEmail({
+      to: user.email,
+      subject: template.subject,
+      html: template.html
+    });
+  },
+
+  // Ask a user to accept ownership of a mod
+  sendOwnershipTransferEmail: async (user, mod, owner) => {
+    const template = templates.ownershipTransferRequest(user, mod, owner);
+    return await sendEmail({
+      to: user.email,
+      subject: template.subject,
+      html: template.html
+    });
+  },
+
+  // Tell the author about a copyright claim against their mod
+  sendDmcaClaimEmail: async (user, mod, claim) => {
+    const template = templates.dmcaClaimFiled(user, mod, claim);
+    return await sendEmail({
+      to: user.email,
+      subject: template.subject,
+      html: template.html
+    });
+  },
+
+  // Forward a counter-notice to the claimant
+  sendDmcaCounterNoticeEmail: async (claim, mod) => {
+    const template = templates.dmcaCounterNotice(claim, mod);
+    return await sendEmail({
+      to: claim.claimant.email,
+      subject: template.subject,
+      html: template.html
+    });
+  },
+
+  // Tell the author how a copyright claim was closed
+  sendDmcaResolvedEmail: async (user, mod, claim) => {
+    const template = templates.dmcaClaimResolved(user, mod, claim);
+    return await sendEmail({
+      to: user.email,
+      subject: template.subject,
+      html: template.html
+    });
+  },
+
   // Send custom email
   sendCustomEmail: async (to, subject, html, text = null) => {
     return await sendEmail({ to, subject, html, text });
@@ -0,0 +1,190 @@
+// src/services/feed.service.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { FEEDS, FS_VERSIONS } = require('../utils/constants');
+const { localize } = require('../utils/i18n');
+const { excerpt, fileUrl } = require('../utils/helpers');
+const { buildModFilter, parseList } = require('./search.service');
+const { findCategory, getDescendantIds } = require('./category.service');
+const { findBrand } = require('./brand.service');
+const { gamesOf } = require('./compatibility.service');
+
+// Mod fields an entry is built from
+const MOD_FIELDS = [
+  'name', 'slug', 'description', 'modVersion', 'coverImage', 'author', 'category', 'brand', 'brandName',
+  'compatibility', 'translations', 'publishedAt', 'updatedAt'
+];
+
+const MOD_POPULATE = [
+  { path: 'author', select: 'name' },
+  { path: 'category', select: 'name slug translations' }
+];
+
+const modUrl = (mod) => `${process.env.FRONTEND_URL}/mods/${mod.slug}`;
+
+// Resolve feed filters (category with its descendants, brand, fsVersion, author) into a mod filter.
+// Returns the filter and labels describing it for the feed title.
+const buildFeedFilter = async (query) => {
+  const labels = [];
+  let categoryIds;
+  let brand;
+
+  if (query.category) {
+    const category = await findCategory(query.category);
+    categoryIds = await getDescendantIds(category._id);
+    labels.push(category.name);
+  }
+
+  if (query.brand) {
+    brand = await findBrand(query.brand);
+    labels.push(brand.name);
+  }
+
+  const fsVersions = parseList(query.fsVersion);
+  const unknown = fsVersions.filter(version => !FS_VERSIONS.includes(version));
+  if (unknown.length) {
+    throw new AppError(`fsVersion must be one of ${FS_VERSIONS.join(', ')}`, 400, 'INVALID_FS_VERSION');
+  }
+  labels.push(...fsVersions);
+
+  const filter = buildModFilter({ brand: brand?._id.toString(), fsVersion: fsVersions }, { categoryIds });
+
+  if (query.author) {
+    const author = mongoose.Types.ObjectId.isValid(query.author)
+      ? await User.findById(query.author).select('name')
+      : null;
+    if (!author) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+    // Aggregations (the updates query) don't cast ids
+    filter.author = new mongoose.Types.ObjectId(author._id);
+    labels.push(author.name);
+  }
+
+  return { filter, labels };
+};
+
+// Mods that went public, newest first
+const findPublishedMods = (filter, limit) => Mod.find({ ...filter, publishedAt: { $ne: null } })
+  .select(MOD_FIELDS.join(' '))
+  .populate(MOD_POPULATE)
+  .sort({ publishedAt: -1 })
+  .limit(limit)
+  .lean();
+
+// Releases of public mods uploaded after the mod went public, newest first
+const findUpdates = async (filter, limit) => {
+  const releases = await ModRelease.aggregate([
+    { $match: { status: { $ne: 'withdrawn' } } },
+    { $sort: { releasedAt: -1 } },
+    {
+      $lookup: {
+        from: 'mods',
+        localField: 'mod',
+        foreignField: '_id',
+        pipeline: [
+          { $match: filter },
+          { $project: Object.fromEntries(MOD_FIELDS.map(field => [field, 1])) }
+        ],
+        as: 'mod'
+      }
+    },
+    { $unwind: '$mod' },
+    { $match: { $expr: { $gt: ['$releasedAt', '$mod.publishedAt'] } } },
+    { $limit: limit },
+    { $project: { mod: 1, version: 1, changelog: 1, releasedAt: 1, updatedAt: 1 } }
+  ]);
+
+  await Mod.populate(releases.map(release => release.mod), MOD_POPULATE);
+  return releases;
+};
+
+// Fields shared by both entry kinds
+const baseEntry = (mod, baseUrl) => ({
+  url: modUrl(mod),
+  image: fileUrl(mod.coverImage, baseUrl),
+  author: mod.author?.name,
+  categories: [mod.category?.name, mod.brandName, ...gamesOf(mod)].filter(Boolean),
+  mod: { _id: mod._id, name: mod.name, slug: mod.slug }
+});
+
+const publishedEntry = (mod, baseUrl) => ({
+  ...baseEntry(mod, baseUrl),
+  id: `urn:agrimods:mod:${mod._id}`,
+  type: 'published',
+  title: `New: ${mod.name}`,
+  summary: excerpt(mod.description, FEEDS.EXCERPT_LENGTH),
+  version: mod.modVersion,
+  published: mod.publishedAt,
+  updated: mod.publishedAt
+});
+
+const updateEntry = (release, mod, baseUrl) => ({
+  ...baseEntry(mod, baseUrl),
+  id: `urn:agrimods:release:${release._id}`,
+  type: 'updated',
+  title: `${mod.name} ${release.version}`,
+  summary: excerpt(release.changelog, FEEDS.EXCERPT_LENGTH) ||
+    `Version ${release.version} of ${mod.name} is available`,
+  version: release.version,
+  published: release.releasedAt,
+  updated: release.releasedAt
+});
+
+// Newest published mods and updates matching the query, ready for rendering.
+// fingerprint changes whenever an entry or a mod shown in it changes (used for ETags);
+// lastModified is the latest such change.
+const getModFeed = async (query, { language, baseUrl }) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || FEEDS.DEFAULT_LIMIT, 1), FEEDS.MAX_LIMIT);
+
+  const types = parseList(query.type);
+  if (types.some(type => !FEEDS.TYPES.includes(type))) {
+    throw new AppError(`type must be one of ${FEEDS.TYPES.join(', ')}`, 400, 'INVALID_FILTER');
+  }
+  const wants = (type) => !types.length || types.includes(type);
+
+  const { filter, labels } = await buildFeedFilter(query);
+
+  const [mods, releases] = await Promise.all([
+    wants('published') ? findPublishedMods(filter, limit) : [],
+    wants('updated') ? findUpdates(filter, limit) : []
+  ]);
+
+  const sources = [
+    ...mods.map(mod => ({ mod, entry: publishedEntry(localize(mod, language), baseUrl) })),
+    ...releases.map(release => ({
+      mod: release.mod,
+      entry: updateEntry(release, localize(release.mod, language), baseUrl)
+    }))
+  ]
+    .sort((a, b) => b.entry.updated - a.entry.updated)
+    .slice(0, limit);
+
+  const entries = sources.map(source => source.entry);
+  const changes = sources.flatMap(({ mod, entry }) => [entry.updated, mod.updatedAt]).filter(Boolean);
+  const lastModified = changes.length ? new Date(Math.max(...changes.map(date => date.getTime()))) : undefined;
+
+  const fingerprint = crypto.createHash('sha1')
+    .update(JSON.stringify([language, labels, sources.map(({ mod, entry }) => [entry.id, mod.updatedAt])]))
+    .digest('hex');
+
+  return {
+    title: `AgriMods - new and updated mods${labels.length ? ` (${labels.join(', ')})` : ''}`,
+    description: 'Newly published Farming Simulator mods and updates on AgriMods',
+    homeUrl: process.env.FRONTEND_URL,
+    language,
+    updated: lastModified || new Date(0),
+    lastModified,
+    fingerprint,
+    entries
+  };
+};
+
+// Public methods
+module.exports = {
+  getModFeed
+};
@@ -2,6 +2,7 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const archiver = require('archiver');
 const AppError = require('../utils/appError');
 
 // Ensure directory exists
@@ -185,6 +186,17 @@ const getFileBuffer = (filePath) => {
   });
 };
 
+// SHA-256 (hex) of a file, streamed so large mod archives aren't loaded into memory
+const hashFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', (err) => reject(new AppError('Failed to hash file: ' + err.message, 500)));
+  });
+};
+
 // Check if file exists
 const fileExists = (filePath) => {
   return fs.existsSync(filePath);
@@ -275,6 +287,31 @@ const cleanupOldFiles = (directory, maxAgeDays = 7) => {
   });
 };
 
+// Stream a zip archive to the response.
+// Entries are either files on disk ({ path, name }) or generated text ({ content, name }).
+const streamZipArchive = (res, entries, downloadName) => {
+  return new Promise((resolve, reject) => {
+    // Mod archives are already compressed, so store them as-is
+    const archive = archiver('zip', { store: true });
+
+    archive.on('error', (err) => reject(new AppError('Failed to build archive: ' + err.message, 500)));
+    res.on('close', () => resolve({ success: true, entries: entries.length }));
+
+    res.attachment(downloadName);
+    archive.pipe(res);
+
+    entries.forEach(entry => {
+      if (entry.path) {
+        archive.file(entry.path, { name: entry.name });
+      } else {
+        archive.append(entry.content, { name: entry.name });
+      }
+    });
+
+    archive.finalize();
+  });
+};
+
 // Public methods
 module.exports = {
   uploadFile,
@@ -283,6 +320,7 @@ module.exports = {
   deleteMultipleFiles,
   getFileContent,
   getFileBuffer,
+  hashFile,
   fileExists,
   getFileStats,
   getFileSize,
@@ -293,5 +331,6 @@ module.exports = {
   getFilesInDirectory,
   cleanupOldFiles,
   generateFilename,
-  ensureDir
+  ensureDir,
+  streamZipArchive
 };
@@ -0,0 +1,184 @@
+// src/services/modDesc.service.js
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const AppError = require('../utils/appError');
+const { MODDESC_DESC_VERSIONS } = require('../utils/constants');
+const { openArchive } = require('./archive.service');
+
+const MODDESC_FILENAME = 'moddesc.xml';
+
+// Real modDesc files are a few KB; anything past this isn't read
+const MAX_MODDESC_SIZE = 1024 * 1024;
+
+// Language preference when modDesc texts are localized (<title><en>..</en><de>..</de></title>)
+const PREFERRED_LANGUAGES = ['en', 'de'];
+
+// Upper bound for the archive file listing stored with each release
+const MAX_INDEXED_FILES = 5000;
+
+// Declarations that may repeat; always parse them as arrays
+const ARRAY_PATHS = [
+  'modDesc.storeItems.storeItem',
+  'modDesc.specializations.specialization',
+  'modDesc.vehicleTypes.type'
+];
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name, jpath) => ARRAY_PATHS.includes(jpath)
+});
+
+// Whether an entry is modDesc.xml in the archive root (the game ignores nested ones)
+const isModDescEntry = (entry) => {
+  return !entry.isDirectory && entry.name.toLowerCase() === MODDESC_FILENAME;
+};
+
+// Read text value of a node that may be plain, CDATA or an attribute-bearing object
+const readText = (node) => {
+  if (node === undefined || node === null) return undefined;
+  if (typeof node === 'string' || typeof node === 'number') return String(node).trim();
+  if (typeof node === 'object' && node['#text'] !== undefined) return String(node['#text']).trim();
+  return undefined;
+};
+
+// Read a localized node, preferring English, then German, then any language
+const readLocalizedText = (node) => {
+  const plain = readText(node);
+  if (plain) return plain;
+  if (!node || typeof node !== 'object') return undefined;
+
+  for (const lang of PREFERRED_LANGUAGES) {
+    const value = readText(node[lang]);
+    if (value) return value;
+  }
+
+  const firstLang = Object.keys(node).find(key => !key.startsWith('@_') && readText(node[key]));
+  return firstLang ? readText(node[firstLang]) : undefined;
+};
+
+// Normalize an archive-relative path for comparisons
+const normalizeArchivePath = (filePath) => {
+  return `${filePath}`.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').toLowerCase();
+};
+
+// Collect a named attribute from a list of declaration nodes
+const collectAttribute = (nodes, attribute, normalize = value => value) => {
+  return [...new Set((nodes || [])
+    .map(node => node && node[`@_${attribute}`])
+    .filter(Boolean)
+    .map(value => normalize(`${value}`.trim())))];
+};
+
+// Map modDesc descVersion to a Farming Simulator generation
+const getFsVersionFromDescVersion = (descVersion) => {
+  const match = Object.entries(MODDESC_DESC_VERSIONS).find(([, range]) =>
+    descVersion >= range.MIN && descVersion <= range.MAX
+  );
+  return match ? match[0] : null;
+};
+
+// Parse modDesc.xml content
+const parseModDesc = (xml) => {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new AppError(
+      `modDesc.xml is malformed: ${validation.err.msg} (line ${validation.err.line})`,
+      400,
+      'MODDESC_MALFORMED'
+    );
+  }
+
+  const modDesc = parser.parse(xml).modDesc;
+  if (!modDesc || typeof modDesc !== 'object') {
+    throw new AppError('modDesc.xml has no <modDesc> root element', 400, 'MODDESC_MALFORMED');
+  }
+
+  const descVersion = parseInt(modDesc['@_descVersion'], 10);
+  if (Number.isNaN(descVersion)) {
+    throw new AppError('modDesc.xml is missing a valid descVersion attribute', 400, 'MODDESC_INVALID');
+  }
+
+  const fsVersion = getFsVersionFromDescVersion(descVersion);
+  if (!fsVersion) {
+    throw new AppError(`Unsupported modDesc descVersion: ${descVersion}`, 400, 'MODDESC_UNSUPPORTED_VERSION');
+  }
+
+  const modVersion = readText(modDesc.version);
+  if (!modVersion) {
+    throw new AppError('modDesc.xml is missing <version>', 400, 'MODDESC_INVALID');
+  }
+
+  const title = readLocalizedText(modDesc.title);
+  if (!title) {
+    throw new AppError('modDesc.xml is missing <title>', 400, 'MODDESC_INVALID');
+  }
+
+  const multiplayerNode = modDesc.multiplayer;
+  const multiplayer = !!multiplayerNode && `${multiplayerNode['@_supported']}`.toLowerCase() === 'true';
+
+  return {
+    descVersion,
+    fsVersion,
+    modVersion,
+    title,
+    description: readLocalizedText(modDesc.description),
+    author: readText(modDesc.author),
+    iconFilename: readText(modDesc.iconFilename),
+    multiplayer,
+    storeItems: collectAttribute(modDesc.storeItems?.storeItem, 'xmlFilename', normalizeArchivePath),
+    specializations: collectAttribute(modDesc.specializations?.specialization, 'name'),
+    vehicleTypes: collectAttribute(modDesc.vehicleTypes?.type, 'name')
+  };
+};
+
+// Parse modDesc.xml from an uploaded mod archive, along with the archive's file listing.
+// The archive is read entry by entry; only modDesc.xml is decompressed.
+const parseModArchive = async (filePath) => {
+  if (path.extname(filePath).toLowerCase() !== '.zip') {
+    throw new AppError('Farming Simulator mods must be uploaded as .zip archives', 400, 'INVALID_ARCHIVE');
+  }
+
+  const archive = await openArchive(filePath);
+  const files = [];
+  let xml;
+
+  try {
+    for await (const entry of archive.entries()) {
+      if (entry.isDirectory) continue;
+      if (files.length < MAX_INDEXED_FILES) files.push(normalizeArchivePath(entry.name));
+
+      if (xml === undefined && isModDescEntry(entry)) {
+        if (entry.size > MAX_MODDESC_SIZE) {
+          throw new AppError('modDesc.xml is too large', 400, 'MODDESC_INVALID');
+        }
+        try {
+          xml = (await entry.read(MAX_MODDESC_SIZE)).toString('utf8').replace(/^\uFEFF/, '');
+        } catch (error) {
+          throw new AppError('modDesc.xml could not be read from the archive', 400, 'INVALID_ARCHIVE');
+        }
+      }
+    }
+  } finally {
+    archive.close();
+  }
+
+  if (xml === undefined) {
+    throw new AppError('modDesc.xml not found in the root of the archive', 400, 'MODDESC_MISSING');
+  }
+
+  return {
+    ...parseModDesc(xml),
+    files
+  };
+};
+
+// Public methods
+module.exports = {
+  parseModArchive,
+  parseModDesc,
+  getFsVersionFromDescVersion,
+  normalizeArchivePath
+};
@@ -0,0 +1,309 @@
+// src/services/moderation.service.js
+const Mod = require('../models/Mod.model');
+const Moderation = require('../models/Moderation');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { MODERATION } = require('../utils/constants');
+const { sendModStatusEmail } = require('./email.service');
+
+// Statuses the author is emailed about
+const NOTIFY_STATUSES = ['approved', 'scheduled', 'rejected', 'changes_requested', 'suspended'];
+
+// Check whether a user may review mods
+const isStaff = (user) => {
+  return !!user && MODERATION.STAFF_ROLES.includes(user.role);
+};
+
+// Fresh checklist for a review round
+const buildChecklist = () => MODERATION.CHECKLIST.map(({ key, label }) => ({ key, label, passed: null }));
+
+// Load the moderation case of a mod, opening one if the mod predates the workflow
+const getCase = async (mod) => {
+  const existing = await Moderation.findOne({ mod: mod._id });
+  if (existing) return existing;
+
+  return Moderation.create({
+    mod: mod._id,
+    submittedAt: mod.createdAt || new Date(),
+    checklist: buildChecklist()
+  });
+};
+
+// Open the case when a mod is first submitted
+const recordSubmission = (mod, userId) => {
+  return Moderation.create({
+    mod: mod._id,
+    submittedAt: new Date(),
+    checklist: buildChecklist(),
+    history: [{ from: null, to: mod.status, by: userId, note: 'Submitted' }]
+  });
+};
+
+// Remove the moderation case of a deleted mod
+const deleteCase = (modId) => Moderation.deleteOne({ mod: modId });
+
+// Most recent status change of a mod (null without a case)
+const getLastTransition = async (modId) => {
+  const moderation = await Moderation.findOne({ mod: modId }).select('history').lean();
+  return moderation?.history[moderation.history.length - 1] || null;
+};
+
+// Notify the author about a review decision. Mail failures never block the decision.
+const notifyAuthor = async (mod, status, note) => {
+  if (!NOTIFY_STATUSES.includes(status)) return;
+
+  try {
+    const author = await User.findById(mod.author).select('name email');
+    if (author?.email) await sendModStatusEmail(author, mod, status, note);
+  } catch (error) {
+    logger.warn('Mod status notification failed', { modId: mod._id.toString(), status, error: error.message });
+  }
+};
+
+// Validate a requested publish time (null/empty clears it)
+const parsePublishAt = (value) => {
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw new AppError('publishAt must be a date in the future', 400, 'INVALID_PUBLISH_AT');
+  }
+  return date;
+};
+
+// Move a mod to a new status, enforcing the workflow and recording the history.
+// `system` marks transitions made by the scheduler rather than a user.
+const transitionMod = async (mod, to, { user, note, system = false } = {}) => {
+  const from = mod.status;
+  const allowed = MODERATION.TRANSITIONS[from] || [];
+  const staff = system || isStaff(user);
+
+  if (!allowed.includes(to)) {
+    throw new AppError(`Cannot change status from ${from} to ${to}`, 400, 'INVALID_TRANSITION');
+  }
+  if (!staff && !(to === 'pending_review' && MODERATION.RESUBMITTABLE.includes(from))) {
+    throw new AppError('Only reviewers can make this status change', 403, 'ACCESS_DENIED');
+  }
+  if (MODERATION.NOTE_REQUIRED.includes(to) && !`${note || ''}`.trim()) {
+    throw new AppError('Please explain the decision to the author', 400, 'NOTE_REQUIRED');
+  }
+
+  // Approving an embargoed mod schedules it instead of publishing right away
+  const embargoed = mod.publishAt && mod.publishAt > new Date();
+  if (to === 'approved' && from === 'pending_review' && embargoed) to = 'scheduled';
+  if (to === 'scheduled' && !embargoed) {
+    throw new AppError('Set a future publishAt before scheduling', 400, 'INVALID_PUBLISH_AT');
+  }
+
+  const moderation = await getCase(mod);
+
+  if (['approved', 'scheduled'].includes(to) && from === 'pending_review') {
+    const open = moderation.checklist.filter(item => item.passed !== true);
+    if (open.length) {
+      throw new AppError(
+        `Checklist incomplete: ${open.map(item => item.key).join(', ')}`,
+        400,
+        'CHECKLIST_INCOMPLETE'
+      );
+    }
+  }
+
+  mod.status = to;
+  if (MODERATION.NOTE_REQUIRED.includes(to)) mod.rejectionReason = note;
+  if (to === 'approved' && !mod.publishedAt) mod.publishedAt = new Date();
+  if (to === 'approved' && from === 'scheduled') mod.publishAt = undefined;
+  await mod.save();
+
+  // A resubmission starts a new review round with a fresh checklist
+  if (to === 'pending_review' && from !== 'pending_review') {
+    moderation.submittedAt = new Date();
+    moderation.round += 1;
+    moderation.checklist = buildChecklist();
+  }
+
+  moderation.history.push({ from, to, by: user?.id, note });
+  await moderation.save();
+
+  await notifyAuthor(mod, to, note);
+
+  return { mod, moderation };
+};
+
+// Set, move or clear the embargo of a mod that isn't public yet
+const schedulePublish = async (mod, value, user) => {
+  const publishAt = parsePublishAt(value);
+
+  if (['approved', 'published'].includes(mod.status)) {
+    throw new AppError('Mod is already published', 409, 'ALREADY_PUBLISHED');
+  }
+  if (!publishAt && mod.status === 'scheduled') {
+    throw new AppError('A scheduled mod needs a publish date', 400, 'INVALID_PUBLISH_AT');
+  }
+
+  mod.publishAt = publishAt || undefined;
+  await mod.save();
+
+  if (mod.status === 'scheduled') {
+    const moderation = await getCase(mod);
+    moderation.history.push({
+      from: 'scheduled',
+      to: 'scheduled',
+      by: user?.id,
+      note: `Rescheduled to ${publishAt.toISOString()}`
+    });
+    await moderation.save();
+  }
+
+  return mod;
+};
+
+// Publish every scheduled mod whose embargo has passed (run by the scheduler)
+const publishScheduledMods = async () => {
+  const due = await Mod.find({ status: 'scheduled', publishAt: { $lte: new Date() } });
+
+  let published = 0;
+  for (const mod of due) {
+    try {
+      await transitionMod(mod, 'approved', { system: true, note: 'Published on schedule' });
+      published += 1;
+    } catch (error) {
+      logger.error('Scheduled publish failed', { modId: mod._id.toString(), error: error.message });
+    }
+  }
+
+  return published;
+};
+
+// Assign a reviewer to a mod
+const assignReviewer = async (mod, reviewerId) => {
+  const reviewer = await User.findById(reviewerId).select('name role');
+  if (!reviewer || !MODERATION.STAFF_ROLES.includes(reviewer.role)) {
+    throw new AppError('Reviewer must be an admin or moderator', 400, 'INVALID_REVIEWER');
+  }
+
+  const moderation = await getCase(mod);
+  moderation.reviewer = reviewer._id;
+  moderation.assignedAt = new Date();
+  await moderation.save();
+
+  return moderation;
+};
+
+// Tick off checklist items ([{ key, passed, note }])
+const updateChecklist = async (mod, items, userId) => {
+  if (!Array.isArray(items) || !items.length) {
+    throw new AppError('Please provide checklist items', 400, 'INVALID_CHECKLIST');
+  }
+
+  const moderation = await getCase(mod);
+
+  items.forEach(({ key, passed, note }) => {
+    const item = moderation.checklist.find(entry => entry.key === key);
+    if (!item) {
+      throw new AppError(`Unknown checklist item: ${key}`, 400, 'INVALID_CHECKLIST');
+    }
+    item.passed = passed === null || passed === undefined ? null : passed === true || passed === 'true';
+    if (note !== undefined) item.note = note;
+    item.checkedBy = userId;
+    item.checkedAt = new Date();
+  });
+
+  await moderation.save();
+  return moderation;
+};
+
+// Add a reviewer or author comment, optionally as a reply
+const addComment = async (mod, user, { body, parentId }) => {
+  if (!`${body || ''}`.trim()) {
+    throw new AppError('Comment cannot be empty', 400, 'INVALID_COMMENT');
+  }
+
+  const moderation = await getCase(mod);
+
+  if (parentId && !moderation.comments.id(parentId)) {
+    throw new AppError('Comment to reply to not found', 404, 'COMMENT_NOT_FOUND');
+  }
+
+  moderation.comments.push({
+    author: user.id,
+    role: isStaff(user) ? 'reviewer' : 'author',
+    body: body.trim(),
+    parent: parentId || undefined,
+    round: moderation.round
+  });
+  await moderation.save();
+
+  return moderation.comments[moderation.comments.length - 1];
+};
+
+// Nest flat comments into reply threads
+const buildThreads = (comments) => {
+  const nodes = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+  const threads = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.replies.push(node);
+    else threads.push(node);
+  });
+
+  return threads;
+};
+
+// Mods waiting for review, oldest first, with how long each has waited
+const getQueue = async ({ reviewerId, unassigned } = {}) => {
+  const mods = await Mod.find({ status: 'pending_review' })
+    .select('name slug author category modVersion compatibility scan.status createdAt')
+    .populate('author', 'name username')
+    .lean();
+
+  const cases = await Moderation.find({ mod: { $in: mods.map(mod => mod._id) } })
+    .select('mod reviewer assignedAt submittedAt round checklist')
+    .populate('reviewer', 'name username')
+    .lean();
+  const casesByMod = new Map(cases.map(entry => [entry.mod.toString(), entry]));
+
+  const now = Date.now();
+
+  return mods
+    .map(mod => {
+      const entry = casesByMod.get(mod._id.toString());
+      const waitingSince = entry?.submittedAt || mod.createdAt;
+
+      return {
+        mod,
+        reviewer: entry?.reviewer || null,
+        assignedAt: entry?.assignedAt,
+        round: entry?.round || 1,
+        checklistDone: (entry?.checklist || []).filter(item => item.passed === true).length,
+        checklistTotal: MODERATION.CHECKLIST.length,
+        waitingSince,
+        waitingHours: Math.floor((now - new Date(waitingSince).getTime()) / (60 * 60 * 1000))
+      };
+    })
+    .filter(item => {
+      if (unassigned) return !item.reviewer;
+      if (reviewerId) return item.reviewer?._id.toString() === `${reviewerId}`;
+      return true;
+    })
+    .sort((a, b) => new Date(a.waitingSince) - new Date(b.waitingSince));
+};
+
+// Public methods
+module.exports = {
+  isStaff,
+  getCase,
+  recordSubmission,
+  deleteCase,
+  getLastTransition,
+  parsePublishAt,
+  transitionMod,
+  schedulePublish,
+  publishScheduledMods,
+  assignReviewer,
+  updateChecklist,
+  addComment,
+  buildThreads,
+  getQueue
+};
@@ -0,0 +1,374 @@
+// src/services/pricing.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const Bundle = require('../models/Bundle');
+const PriceSchedule = require('../models/PriceSchedule');
+const PriceHistory = require('../models/PriceHistory');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { PRICING } = require('../utils/constants');
+const { can } = require('./collaboration.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales that still affect the price
+const OPEN_STATUSES = ['scheduled', 'active'];
+
+// Priced item types: the field a sale overwrites and the status that makes them public
+const ITEMS = {
+  Mod: { model: Mod, priceField: 'price', publicStatus: 'approved' },
+  Bundle: { model: Bundle, priceField: 'salePrice', publicStatus: 'published' }
+};
+
+// Price a customer pays for an item right now
+const currentPrice = (item, itemType) => {
+  if (itemType === 'Bundle') return item.salePrice ?? item.originalPrice;
+  return item.isFree ? 0 : item.price || 0;
+};
+
+// Price without the running sale
+const regularPrice = (item, itemType) => (
+  item.sale?.schedule ? item.sale.regularPrice : currentPrice(item, itemType)
+);
+
+// Load a priced mod or bundle
+const loadItem = async (itemType, itemId) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) ? await ITEMS[itemType].model.findById(itemId) : null;
+  if (!item) {
+    throw new AppError(`${itemType} not found`, 404, `${itemType.toUpperCase()}_NOT_FOUND`);
+  }
+  return item;
+};
+
+// Unpublished items only show their prices to their team
+const assertVisible = (item, itemType, user) => {
+  if (item.status !== ITEMS[itemType].publicStatus && !can(item, user, 'view')) {
+    throw new AppError(`${itemType} not found`, 404, `${itemType.toUpperCase()}_NOT_FOUND`);
+  }
+};
+
+// Append the current price of an item to its history. Items priced before history was
+// kept get their previous price recorded first, as of their creation.
+const recordPrice = async (item, itemType, { reason, previousPrice, userId, sale, at = new Date() }) => {
+  const hasHistory = await PriceHistory.exists({ itemType, item: item._id });
+
+  if (!hasHistory && previousPrice !== undefined) {
+    await PriceHistory.create({
+      itemType,
+      item: item._id,
+      price: previousPrice,
+      currency: item.currency,
+      reason: 'initial',
+      effectiveAt: item.createdAt
+    });
+  }
+
+  return PriceHistory.create({
+    itemType,
+    item: item._id,
+    price: currentPrice(item, itemType),
+    currency: item.currency,
+    reason,
+    sale,
+    changedBy: userId,
+    effectiveAt: at
+  });
+};
+
+// Prices can't be edited directly while a sale runs (the sale would restore the old one)
+const assertNoActiveSale = (item) => {
+  if (item.sale?.schedule) {
+    throw new AppError('End or cancel the running sale before changing the price', 409, 'SALE_ACTIVE');
+  }
+};
+
+// Record a price edited by the item's team
+const recordManualChange = (item, itemType, previousPrice, userId) => {
+  if (currentPrice(item, itemType) === previousPrice) return null;
+  return recordPrice(item, itemType, { reason: 'manual', previousPrice, userId });
+};
+
+// Lowest price during the `days` before `until`: the price in effect when the period began
+// and every price set within it. null when the item has no history for the period.
+const lowestPriceBefore = async (item, itemType, until, days = PRICING.LOWEST_PRICE_DAYS) => {
+  const since = new Date(until.getTime() - days * DAY_MS);
+
+  const [atStart, within] = await Promise.all([
+    PriceHistory.findOne({ itemType, item: item._id, effectiveAt: { $lte: since } })
+      .sort({ effectiveAt: -1 })
+      .select('price')
+      .lean(),
+    PriceHistory.find({ itemType, item: item._id, effectiveAt: { $gt: since, $lt: until } })
+      .select('price')
+      .lean()
+  ]);
+
+  const prices = [atStart, ...within].filter(Boolean).map(entry => entry.price);
+  return prices.length ? Math.min(...prices) : null;
+};
+
+// Current price, running sale and the lowest price of the last LOWEST_PRICE_DAYS days.
+// During a sale the period ends when the sale started, so the reference price shown next
+// to the discount never includes the discount itself.
+const getPricing = async (item, itemType) => {
+  const now = new Date();
+  const sale = item.sale?.schedule ? item.sale : null;
+  const regular = regularPrice(item, itemType);
+  const price = currentPrice(item, itemType);
+
+  const until = sale?.startedAt || now;
+  const recorded = await lowestPriceBefore(item, itemType, until);
+  const lowest = sale
+    ? recorded ?? regular
+    : Math.min(recorded ?? price, price);
+
+  return {
+    price,
+    currency: item.currency,
+    regularPrice: regular,
+    sale: sale && {
+      _id: sale.schedule,
+      label: sale.label,
+      startedAt: sale.startedAt,
+      endsAt: sale.endsAt,
+      discountPercent: regular > 0 ? Math.round((1 - price / regular) * 100) : 0
+    },
+    lowestPrice: {
+      price: lowest,
+      days: PRICING.LOWEST_PRICE_DAYS,
+      since: new Date(until.getTime() - PRICING.LOWEST_PRICE_DAYS * DAY_MS),
+      until
+    }
+  };
+};
+
+// Full price history of an item, newest first
+const getPriceHistory = (item, itemType) => PriceHistory.find({ itemType, item: item._id })
+  .select('price currency reason sale effectiveAt')
+  .sort({ effectiveAt: -1 })
+  .lean();
+
+// Sales of an item for its team, newest first
+const listSales = (item, itemType) => PriceSchedule.find({ itemType, item: item._id })
+  .populate('createdBy', 'name')
+  .sort({ startsAt: -1 })
+  .lean();
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400, 'INVALID_SALE_PERIOD');
+  }
+  return date;
+};
+
+// Apply a sale: remember the price field, set the sale price and record the change.
+// The schedule is claimed atomically first, so a sale started by createSale and the
+// scheduler at the same time is only applied once.
+const startSale = async (planned) => {
+  const now = new Date();
+  const schedule = await PriceSchedule.findOneAndUpdate(
+    { _id: planned._id, status: 'scheduled' },
+    { status: 'active', activatedAt: now },
+    { new: true }
+  );
+  if (!schedule) {
+    // Already started (or cancelled) elsewhere
+    return PriceSchedule.findById(planned._id);
+  }
+
+  const { priceField } = ITEMS[schedule.itemType];
+  const item = await ITEMS[schedule.itemType].model.findById(schedule.item);
+  const onOtherSale = item?.sale?.schedule && item.sale.schedule.toString() !== schedule._id.toString();
+
+  // The item is gone or its price dropped below the sale price in the meantime
+  if (!item || !(schedule.price < currentPrice(item, schedule.itemType)) || onOtherSale) {
+    schedule.status = 'cancelled';
+    schedule.endedAt = now;
+    await schedule.save();
+    logger.warn(`Sale ${schedule._id} cancelled: item missing, not discounted or already on sale`);
+    return schedule;
+  }
+
+  const previousPrice = currentPrice(item, schedule.itemType);
+  schedule.previousPrice = item[priceField];
+
+  item[priceField] = schedule.price;
+  item.sale = {
+    schedule: schedule._id,
+    label: schedule.label,
+    regularPrice: previousPrice,
+    startedAt: now,
+    endsAt: schedule.endsAt
+  };
+  await item.save();
+  await schedule.save();
+
+  await recordPrice(item, schedule.itemType, {
+    reason: 'sale_start',
+    previousPrice,
+    userId: schedule.createdBy,
+    sale: schedule._id,
+    at: now
+  });
+
+  return schedule;
+};
+
+// Take a sale off the item (restoring the previous price) and close it as ended or cancelled
+const endSale = async (schedule, { status = 'ended', user } = {}) => {
+  const { priceField } = ITEMS[schedule.itemType];
+  const item = await ITEMS[schedule.itemType].model.findById(schedule.item);
+  const now = new Date();
+
+  if (item && item.sale?.schedule?.toString() === schedule._id.toString()) {
+    const previousPrice = currentPrice(item, schedule.itemType);
+    item[priceField] = schedule.previousPrice;
+    item.sale = undefined;
+    await item.save();
+
+    await recordPrice(item, schedule.itemType, {
+      reason: 'sale_end',
+      previousPrice,
+      userId: user?.id,
+      sale: schedule._id,
+      at: now
+    });
+  }
+
+  schedule.status = status;
+  schedule.endedAt = now;
+  if (status === 'cancelled') schedule.cancelledBy = user?.id;
+  await schedule.save();
+
+  return schedule;
+};
+
+// Schedule a sale. Sales may not overlap and must lower the regular price;
+// a sale starting now (or in the past) is applied right away.
+const createSale = async (item, itemType, user, { price, startsAt, endsAt, label }) => {
+  const salePrice = Number(price);
+  if (price === undefined || price === null || price === '' || !Number.isFinite(salePrice) || salePrice < 0) {
+    throw new AppError('Please provide a valid sale price', 400, 'INVALID_PRICE');
+  }
+
+  const regular = regularPrice(item, itemType);
+  if (!(regular > 0)) {
+    throw new AppError('Sales can only be scheduled for paid items', 400, 'NOT_PAID');
+  }
+  if (salePrice >= regular) {
+    throw new AppError('The sale price must be lower than the regular price', 400, 'NOT_A_DISCOUNT');
+  }
+
+  const now = new Date();
+  const start = startsAt === undefined ? now : parseDate(startsAt, 'startsAt');
+  const end = parseDate(endsAt, 'endsAt');
+  if (start < now) start.setTime(now.getTime());
+
+  if (end <= start) {
+    throw new AppError('endsAt must be after startsAt', 400, 'INVALID_SALE_PERIOD');
+  }
+  if (end - start > PRICING.MAX_SALE_DAYS * DAY_MS) {
+    throw new AppError(`A sale can last at most ${PRICING.MAX_SALE_DAYS} days`, 400, 'INVALID_SALE_PERIOD');
+  }
+
+  const overlapping = await PriceSchedule.exists({
+    itemType,
+    item: item._id,
+    status: { $in: OPEN_STATUSES },
+    startsAt: { $lt: end },
+    endsAt: { $gt: start }
+  });
+  if (overlapping) {
+    throw new AppError('Another sale is planned for this period', 409, 'SALE_OVERLAP');
+  }
+
+  const schedule = await PriceSchedule.create({
+    itemType,
+    item: item._id,
+    price: salePrice,
+    label,
+    startsAt: start,
+    endsAt: end,
+    createdBy: user.id
+  });
+
+  return start <= now ? startSale(schedule) : schedule;
+};
+
+// Find a sale of an item
+const findSale = async (item, itemType, saleId) => {
+  const schedule = mongoose.Types.ObjectId.isValid(saleId)
+    ? await PriceSchedule.findOne({ _id: saleId, itemType, item: item._id })
+    : null;
+  if (!schedule) {
+    throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+  }
+  return schedule;
+};
+
+// Cancel a planned sale or stop a running one early
+const cancelSale = async (schedule, user) => {
+  if (!OPEN_STATUSES.includes(schedule.status)) {
+    throw new AppError('This sale is already over', 409, 'SALE_CLOSED');
+  }
+  return endSale(schedule, { status: 'cancelled', user });
+};
+
+// Start and end sales whose time has come (run by the scheduler)
+const applyPriceSchedules = async () => {
+  const now = new Date();
+  const result = { started: 0, ended: 0 };
+
+  // End first so back-to-back sales hand over cleanly
+  const ending = await PriceSchedule.find({ status: 'active', endsAt: { $lte: now } });
+  for (const schedule of ending) {
+    try {
+      await endSale(schedule);
+      result.ended += 1;
+    } catch (error) {
+      logger.error(`Ending sale ${schedule._id} failed: ${error.message}`);
+    }
+  }
+
+  const starting = await PriceSchedule.find({ status: 'scheduled', startsAt: { $lte: now } }).sort({ startsAt: 1 });
+  for (const schedule of starting) {
+    try {
+      // Missed entirely (e.g. while the server was down)
+      if (schedule.endsAt <= now) {
+        await endSale(schedule);
+        result.ended += 1;
+        continue;
+      }
+      await startSale(schedule);
+      result.started += 1;
+    } catch (error) {
+      logger.error(`Starting sale ${schedule._id} failed: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+// Remove the sales and price history of a deleted mod or bundle
+const deleteItemPricing = (itemType, itemId) => Promise.all([
+  PriceSchedule.deleteMany({ itemType, item: itemId }),
+  PriceHistory.deleteMany({ itemType, item: itemId })
+]);
+
+// Public methods
+module.exports = {
+  currentPrice,
+  loadItem,
+  assertVisible,
+  assertNoActiveSale,
+  recordManualChange,
+  getPricing,
+  getPriceHistory,
+  listSales,
+  createSale,
+  findSale,
+  cancelSale,
+  applyPriceSchedules,
+  deleteItemPricing
+};
@@ -0,0 +1,193 @@
+// src/services/recommendation.service.js
+const Mod = require('../models/Mod.model');
+const User = require('../models/User');
+const Download = require('../models/Download');
+const Recommendation = require('../models/Recommendation');
+const { RECOMMENDATIONS } = require('../utils/constants');
+const { buildCompatibilityFilter } = require('./compatibility.service');
+
+// Public fields shown on recommendation cards
+const CARD_FIELDS = 'name slug coverImage compatibility category author downloads ratingsAverage ratingsQuantity isFree price currency translations';
+
+// Collect every user's set of mods from completed downloads and purchases
+const buildBaskets = async (publicIds) => {
+  const since = new Date(Date.now() - RECOMMENDATIONS.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const baskets = new Map();
+
+  const add = (userId, modId) => {
+    const mod = modId.toString();
+    if (!publicIds.has(mod)) return;
+
+    const user = userId.toString();
+    if (!baskets.has(user)) baskets.set(user, new Set());
+    const basket = baskets.get(user);
+    if (basket.size < RECOMMENDATIONS.MAX_BASKET_SIZE) basket.add(mod);
+  };
+
+  const downloads = await Download.aggregate([
+    { $match: { status: 'completed', completedAt: { $gte: since } } },
+    { $sort: { completedAt: -1 } },
+    { $group: { _id: '$user', mods: { $push: '$mod' } } }
+  ]);
+  downloads.forEach(({ _id, mods }) => mods.forEach(mod => add(_id, mod)));
+
+  const buyers = await User.find({ 'purchasedMods.0': { $exists: true } }).select('purchasedMods').lean();
+  buyers.forEach(({ _id, purchasedMods }) => purchasedMods.forEach(mod => add(_id, mod)));
+
+  return baskets;
+};
+
+// Count how often each mod, and each pair of mods, appears in the same basket
+const countCoOccurrences = (baskets) => {
+  const itemCounts = new Map();
+  const pairCounts = new Map();
+
+  baskets.forEach(basket => {
+    const mods = [...basket];
+    mods.forEach((a, i) => {
+      itemCounts.set(a, (itemCounts.get(a) || 0) + 1);
+
+      for (let j = i + 1; j < mods.length; j++) {
+        const b = mods[j];
+        if (!pairCounts.has(a)) pairCounts.set(a, new Map());
+        if (!pairCounts.has(b)) pairCounts.set(b, new Map());
+        pairCounts.get(a).set(b, (pairCounts.get(a).get(b) || 0) + 1);
+        pairCounts.get(b).set(a, (pairCounts.get(b).get(a) || 0) + 1);
+      }
+    });
+  });
+
+  return { itemCounts, pairCounts };
+};
+
+// Item-to-item similarity (cosine over co-occurrence), best matches first
+const computeSimilarity = ({ itemCounts, pairCounts }) => {
+  const similar = new Map();
+
+  pairCounts.forEach((others, mod) => {
+    const items = [];
+    others.forEach((together, other) => {
+      if (together < RECOMMENDATIONS.MIN_CO_OCCURRENCE) return;
+      const score = together / Math.sqrt(itemCounts.get(mod) * itemCounts.get(other));
+      items.push({ mod: other, score: Math.round(score * 1000) / 1000, together });
+    });
+
+    items.sort((a, b) => b.score - a.score || b.together - a.together);
+    if (items.length) similar.set(mod, items.slice(0, RECOMMENDATIONS.MAX_ITEMS));
+  });
+
+  return similar;
+};
+
+// Personal suggestions: sum of similarities to everything the user already has
+const computePersonal = (baskets, similar) => {
+  const personal = new Map();
+
+  baskets.forEach((basket, user) => {
+    const scores = new Map();
+
+    basket.forEach(owned => {
+      (similar.get(owned) || []).forEach(({ mod, score }) => {
+        if (basket.has(mod)) return;
+        scores.set(mod, (scores.get(mod) || 0) + score);
+      });
+    });
+
+    const items = [...scores.entries()]
+      .map(([mod, score]) => ({ mod, score: Math.round(score * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, RECOMMENDATIONS.MAX_ITEMS);
+
+    if (items.length) personal.set(user, items);
+  });
+
+  return personal;
+};
+
+// Store a batch of recommendations of one kind
+const saveRecommendations = async (kind, entries, computedAt) => {
+  const operations = [...entries].map(([key, items]) => ({
+    updateOne: {
+      filter: { kind, key },
+      update: { $set: { items, computedAt } },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += 1000) {
+    await Recommendation.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+  }
+};
+
+// Rebuild all recommendations (run by the scheduler)
+const refreshRecommendations = async () => {
+  const computedAt = new Date();
+  const publicMods = await Mod.find({ status: 'approved' }).select('_id').lean();
+  const publicIds = new Set(publicMods.map(mod => mod._id.toString()));
+
+  const baskets = await buildBaskets(publicIds);
+  const similar = computeSimilarity(countCoOccurrences(baskets));
+  const personal = computePersonal(baskets, similar);
+
+  await saveRecommendations('similar', similar, computedAt);
+  await saveRecommendations('personal', personal, computedAt);
+  await Recommendation.deleteMany({ computedAt: { $lt: computedAt } });
+
+  return { similar: similar.size, personal: personal.size };
+};
+
+// Load stored recommendations, keeping only mods that are still public
+const loadItems = async (kind, key, limit) => {
+  const recommendation = await Recommendation.findOne({ kind, key })
+    .populate({
+      path: 'items.mod',
+      match: { status: 'approved' },
+      select: CARD_FIELDS,
+      populate: { path: 'category', select: 'name translations' }
+    })
+    .lean();
+
+  if (!recommendation) return { items: [], computedAt: null };
+
+  return {
+    items: recommendation.items.filter(item => item.mod).slice(0, limit),
+    computedAt: recommendation.computedAt
+  };
+};
+
+// "Players also downloaded" for a mod
+const getSimilarMods = (modId, limit = 10) => loadItems('similar', modId, limit);
+
+// "Recommended for you". New users without history get the most popular mods instead.
+const getRecommendationsForUser = async (user, limit = 10) => {
+  const result = await loadItems('personal', user._id, limit);
+  if (result.items.length) return { ...result, fallback: false };
+
+  const filter = { status: 'approved', _id: { $nin: user.purchasedMods || [] } };
+  if (['FS22', 'FS25'].includes(user.fsVersion)) {
+    filter.$and = buildCompatibilityFilter({ games: [user.fsVersion] });
+  }
+
+  const popular = await Mod.find(filter)
+    .select(CARD_FIELDS)
+    .populate('category', 'name translations')
+    .sort({ downloads: -1, ratingsAverage: -1 })
+    .limit(limit)
+    .lean();
+
+  return {
+    items: popular.map(mod => ({ mod, score: null })),
+    computedAt: null,
+    fallback: true
+  };
+};
+
+// Public methods
+module.exports = {
+  refreshRecommendations,
+  getSimilarMods,
+  getRecommendationsForUser,
+  countCoOccurrences,
+  computeSimilarity,
+  computePersonal
+};
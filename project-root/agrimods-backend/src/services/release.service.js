@@ -0,0 +1,172 @@
+// src/services/release.service.js
+const path = require('path');
+const ModRelease = require('../models/ModRelease');
+const AppError = require('../utils/appError');
+const { compareVersions } = require('../utils/helpers');
+const { deleteMultipleFiles, hashFile } = require('./file.service');
+
+// Build file metadata from a multer upload
+const buildFileInfo = (file, sha256) => ({
+  filename: file.filename,
+  path: file.path,
+  size: file.size,
+  mimetype: file.mimetype,
+  originalName: file.originalname ? path.basename(file.originalname) : undefined,
+  sha256
+});
+
+// Game mod name of an archive: its filename without extension, lowercased ("FS22_MyMod.zip" -> "fs22_mymod")
+const toModName = (filename) => {
+  if (!filename) return undefined;
+  return path.basename(`${filename}`.replace(/\\/g, '/'), path.extname(`${filename}`)).toLowerCase();
+};
+
+// Name a mod file is downloaded as. The game identifies mods by their archive name,
+// so this is the name it was uploaded with, not the stored one.
+const downloadName = (file) => file.originalName || file.filename;
+
+// Parse game versions from a comma separated string or array
+const parseGameVersions = (gameVersions) => {
+  if (!gameVersions) return [];
+  const list = Array.isArray(gameVersions) ? gameVersions : `${gameVersions}`.split(',');
+  return list.map(version => `${version}`.trim()).filter(Boolean);
+};
+
+// Make sure the version has not been released before
+const assertNewVersion = async (modId, version) => {
+  const existing = await ModRelease.exists({ mod: modId, version });
+  if (existing) {
+    throw new AppError(`Version ${version} has already been released`, 409, 'RELEASE_EXISTS');
+  }
+};
+
+// Record an uploaded file as a new release and make it the mod's current file.
+// The mod document is updated in memory; the caller is responsible for saving it.
+const createRelease = async (mod, file, modDesc, options = {}) => {
+  const fileInfo = buildFileInfo(file, await hashFile(file.path));
+
+  const release = await ModRelease.create({
+    mod: mod._id,
+    version: modDesc.modVersion,
+    file: fileInfo,
+    modName: toModName(fileInfo.originalName),
+    changelog: options.changelog,
+    fsVersion: modDesc.fsVersion,
+    descVersion: modDesc.descVersion,
+    gameVersions: parseGameVersions(options.gameVersions),
+    contents: {
+      files: modDesc.files || [],
+      storeItems: modDesc.storeItems || [],
+      specializations: modDesc.specializations || [],
+      vehicleTypes: modDesc.vehicleTypes || []
+    },
+    scanStatus: options.scan?.status,
+    uploadedBy: options.userId
+  });
+
+  mod.file = { ...fileInfo, uploadedAt: release.releasedAt };
+  mod.modVersion = release.version;
+  if (options.changelog) mod.changelog = options.changelog;
+  if (options.scan) mod.scan = options.scan;
+
+  return release;
+};
+
+// Find a specific release of a mod by id or version string
+const findRelease = async (modId, { releaseId, version } = {}) => {
+  const query = { mod: modId };
+  if (releaseId) query._id = releaseId;
+  if (version) query.version = version;
+
+  const release = await ModRelease.findOne(query);
+  if (!release) {
+    throw new AppError('Release not found', 404, 'RELEASE_NOT_FOUND');
+  }
+  return release;
+};
+
+// Make a release the mod's current file. The caller saves the mod.
+const makeCurrent = (mod, release) => {
+  const { file, version, changelog, releasedAt } = release.toObject();
+  mod.file = { ...file, uploadedAt: releasedAt };
+  mod.modVersion = version;
+  mod.changelog = changelog;
+};
+
+// Withdraw a broken or pulled release. Withdrawing the current release
+// rolls the mod back to the newest release that is still active.
+const withdrawRelease = async (mod, release, user, reason) => {
+  if (!`${reason || ''}`.trim()) {
+    throw new AppError('Please tell players why the release was withdrawn', 400, 'REASON_REQUIRED');
+  }
+  if (release.status === 'withdrawn') {
+    throw new AppError('Release is already withdrawn', 409, 'RELEASE_WITHDRAWN');
+  }
+
+  if (release.version === mod.modVersion) {
+    const previous = await ModRelease.findOne({
+      mod: mod._id,
+      _id: { $ne: release._id },
+      status: { $ne: 'withdrawn' }
+    }).sort('-releasedAt');
+
+    if (!previous) {
+      throw new AppError(
+        'This is the only active release. Upload a fixed version or unpublish the mod instead.',
+        409,
+        'LAST_RELEASE'
+      );
+    }
+
+    makeCurrent(mod, previous);
+    await mod.save();
+  }
+
+  release.status = 'withdrawn';
+  release.withdrawnAt = new Date();
+  release.withdrawnBy = user.id;
+  release.withdrawReason = reason.trim();
+  await release.save();
+
+  return release;
+};
+
+// Make a withdrawn release available again; it becomes current if it is newer than the current one
+const restoreRelease = async (mod, release) => {
+  if (release.status !== 'withdrawn') {
+    throw new AppError('Release is not withdrawn', 409, 'RELEASE_NOT_WITHDRAWN');
+  }
+
+  release.status = 'active';
+  release.withdrawnAt = undefined;
+  release.withdrawnBy = undefined;
+  release.withdrawReason = undefined;
+  await release.save();
+
+  if (compareVersions(release.version, mod.modVersion) > 0) {
+    makeCurrent(mod, release);
+    await mod.save();
+  }
+
+  return release;
+};
+
+// Delete all releases of a mod together with their files
+const deleteReleases = async (modId) => {
+  const releases = await ModRelease.find({ mod: modId });
+  await deleteMultipleFiles(releases.map(release => release.file?.path).filter(Boolean));
+  await ModRelease.deleteMany({ mod: modId });
+};
+
+// Public methods
+module.exports = {
+  buildFileInfo,
+  toModName,
+  downloadName,
+  assertNewVersion,
+  createRelease,
+  findRelease,
+  withdrawRelease,
+  restoreRelease,
+  deleteReleases
+};
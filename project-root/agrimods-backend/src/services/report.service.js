@@ -0,0 +1,318 @@
+// src/services/report.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const AppError = require('../utils/appError');
+const { REPORTS, MODERATION } = require('../utils/constants');
+const { transitionMod, getLastTransition } = require('./moderation.service');
+const { getRole } = require('./collaboration.service');
+
+// Reports still waiting for a decision
+const ACTIVE_STATUSES = ['open', 'investigating'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Find a report by id
+const findReport = async (reportId) => {
+  const report = mongoose.Types.ObjectId.isValid(reportId) ? await Report.findById(reportId) : null;
+  if (!report) {
+    throw new AppError('Report not found', 404, 'REPORT_NOT_FOUND');
+  }
+  return report;
+};
+
+// Validate evidence links ([{ url, note }] or plain URLs)
+const normalizeEvidence = (evidence) => {
+  if (evidence === undefined || evidence === null) return [];
+
+  const items = Array.isArray(evidence) ? evidence : [evidence];
+  if (items.length > REPORTS.MAX_EVIDENCE) {
+    throw new AppError(
+      `A report can have at most ${REPORTS.MAX_EVIDENCE} evidence links`,
+      400,
+      'TOO_MUCH_EVIDENCE'
+    );
+  }
+
+  return items.map(item => {
+    const entry = typeof item === 'string' ? { url: item } : item || {};
+
+    let url;
+    try {
+      url = new URL(`${entry.url || ''}`.trim());
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new AppError('Evidence must be http(s) links', 400, 'INVALID_EVIDENCE');
+    }
+
+    return { url: url.toString(), note: entry.note };
+  });
+};
+
+// File a report against a mod; a user can have one active report per mod
+const fileReport = async (mod, user, { category, description, evidence }) => {
+  if (!REPORTS.CATEGORIES.includes(category)) {
+    throw new AppError(
+      `Category must be one of ${REPORTS.CATEGORIES.join(', ')}`,
+      400,
+      'INVALID_CATEGORY'
+    );
+  }
+  if (getRole(mod, user.id)) {
+    throw new AppError('You cannot report a mod you work on', 400, 'OWN_MOD');
+  }
+
+  const existing = await Report.exists({
+    mod: mod._id,
+    reporter: user.id,
+    status: { $in: ACTIVE_STATUSES }
+  });
+  if (existing) {
+    throw new AppError('You already have an open report for this mod', 409, 'REPORT_EXISTS');
+  }
+
+  return Report.create({
+    mod: mod._id,
+    reporter: user.id,
+    category,
+    description,
+    evidence: normalizeEvidence(evidence),
+    priority: REPORTS.DEFAULT_PRIORITY[category],
+    history: [{ action: 'filed', by: user.id }]
+  });
+};
+
+// Moderation queue: most urgent first, then oldest first
+const listReports = async ({ status, category, priority, assigned, mod, userId, page = 1, limit = 20 } = {}) => {
+  const filter = {
+    status: status ? { $in: `${status}`.split(',') } : { $in: ACTIVE_STATUSES }
+  };
+  if (category) filter.category = category;
+  if (priority) filter.priority = priority;
+  if (assigned === 'me') filter.assignedTo = new mongoose.Types.ObjectId(userId);
+  if (assigned === 'none') filter.assignedTo = null;
+  if (mod) {
+    if (!mongoose.Types.ObjectId.isValid(mod)) {
+      throw new AppError('Invalid mod id', 400, 'INVALID_ID');
+    }
+    filter.mod = new mongoose.Types.ObjectId(mod);
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(parseInt(limit, 10) || 20, MAX_PAGE_SIZE);
+
+  const [reports, total] = await Promise.all([
+    Report.aggregate([
+      { $match: filter },
+      { $addFields: { priorityRank: { $indexOfArray: [REPORTS.PRIORITIES, '$priority'] } } },
+      { $sort: { priorityRank: -1, createdAt: 1 } },
+      { $skip: (pageNumber - 1) * pageSize },
+      { $limit: pageSize },
+      { $project: { priorityRank: 0, history: 0 } }
+    ]),
+    Report.countDocuments(filter)
+  ]);
+
+  await Report.populate(reports, [
+    { path: 'mod', select: 'name slug status author' },
+    { path: 'reporter', select: 'name username' },
+    { path: 'assignedTo', select: 'name username' }
+  ]);
+
+  return { reports, total, page: pageNumber, pages: Math.ceil(total / pageSize) };
+};
+
+// Report detail with the other active reports against the same mod
+const getReportDetail = async (report) => {
+  await report.populate([
+    { path: 'mod', select: 'name slug status author rejectionReason' },
+    { path: 'reporter', select: 'name username' },
+    { path: 'assignedTo', select: 'name username' },
+    { path: 'outcome.by', select: 'name username' },
+    { path: 'history.by', select: 'name username' }
+  ]);
+
+  // The mod may have been deleted since the report was filed
+  const related = report.mod
+    ? await Report.find({
+      _id: { $ne: report._id },
+      mod: report.mod._id,
+      status: { $in: ACTIVE_STATUSES }
+    })
+      .select('category priority status createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+    : [];
+
+  return { report, related };
+};
+
+const assertActive = (report) => {
+  if (!ACTIVE_STATUSES.includes(report.status)) {
+    throw new AppError('This report is already closed', 409, 'REPORT_CLOSED');
+  }
+};
+
+// Triage a report: status (open/investigating), priority and assignee
+const updateReport = async (report, user, { status, priority, assignedTo, note }) => {
+  assertActive(report);
+
+  if (status !== undefined && status !== report.status) {
+    if (!ACTIVE_STATUSES.includes(status)) {
+      throw new AppError('Use the resolve action to close a report', 400, 'INVALID_STATUS');
+    }
+    report.status = status;
+    report.history.push({ action: `status:${status}`, by: user.id, note });
+  }
+
+  if (priority !== undefined && priority !== report.priority) {
+    if (!REPORTS.PRIORITIES.includes(priority)) {
+      throw new AppError(
+        `Priority must be one of ${REPORTS.PRIORITIES.join(', ')}`,
+        400,
+        'INVALID_PRIORITY'
+      );
+    }
+    report.priority = priority;
+    report.history.push({ action: `priority:${priority}`, by: user.id, note });
+  }
+
+  if (assignedTo !== undefined) {
+    if (assignedTo) {
+      const assignee = mongoose.Types.ObjectId.isValid(assignedTo)
+        ? await User.findById(assignedTo).select('role')
+        : null;
+      if (!assignee || !MODERATION.STAFF_ROLES.includes(assignee.role)) {
+        throw new AppError('Reports can only be assigned to admins or moderators', 400, 'INVALID_ASSIGNEE');
+      }
+    }
+    report.assignedTo = assignedTo || undefined;
+    report.history.push({ action: assignedTo ? 'assigned' : 'unassigned', by: user.id, note });
+  }
+
+  await report.save();
+  return report;
+};
+
+// Move the other active reports of a mod along with the one being handled
+const updateRelatedReports = (report, update, historyEntry) => Report.updateMany(
+  { _id: { $ne: report._id }, mod: report.mod, status: { $in: ACTIVE_STATUSES } },
+  { ...update, $push: { history: historyEntry } }
+);
+
+// Hide the mod while the report is investigated
+const hideReportedMod = async (report, user, note) => {
+  assertActive(report);
+
+  const mod = await Mod.findById(report.mod);
+  if (!mod) {
+    throw new AppError('Mod not found', 404, 'MOD_NOT_FOUND');
+  }
+
+  const reason = `${note || ''}`.trim() ||
+    `Hidden pending investigation of a "${report.category}" report`;
+
+  // Only a suspension made here is lifted again when the reports are closed
+  const hiding = mod.status !== 'suspended';
+  if (hiding) {
+    await transitionMod(mod, 'suspended', { user, note: reason });
+  }
+
+  const entry = {
+    action: hiding ? 'mod_hidden' : 'mod_already_hidden',
+    by: user.id,
+    note: reason,
+    at: new Date()
+  };
+  report.status = 'investigating';
+  report.history.push(entry);
+  await report.save();
+
+  await updateRelatedReports(report, { status: 'investigating' }, entry);
+
+  return { report, mod };
+};
+
+// Whether the mod is suspended because a report hid it, not for another reason
+const isHiddenByReport = async (mod) => {
+  if (mod.status !== 'suspended') return false;
+
+  const last = await getLastTransition(mod._id);
+  if (!last || last.to !== 'suspended') return false;
+
+  return !!(await Report.exists({
+    mod: mod._id,
+    history: { $elemMatch: { action: 'mod_hidden', at: { $gte: last.at } } }
+  }));
+};
+
+// Close a report with an outcome. Removing the mod rejects it (closing every other
+// report against it); other outcomes bring a mod hidden by a report back once no
+// active report is left.
+const resolveReport = async (report, user, { outcome, note }) => {
+  assertActive(report);
+
+  if (!Object.keys(REPORTS.OUTCOMES).includes(outcome)) {
+    throw new AppError(
+      `Outcome must be one of ${Object.keys(REPORTS.OUTCOMES).join(', ')}`,
+      400,
+      'INVALID_OUTCOME'
+    );
+  }
+  if (outcome === 'mod_removed' && !`${note || ''}`.trim()) {
+    throw new AppError('Please explain the decision to the author', 400, 'NOTE_REQUIRED');
+  }
+
+  const now = new Date();
+  const decision = { action: outcome, note, by: user.id, at: now };
+  const mod = await Mod.findById(report.mod);
+
+  report.status = outcome === 'no_action' ? 'dismissed' : 'resolved';
+  report.outcome = decision;
+  report.history.push({ action: `resolved:${outcome}`, by: user.id, note, at: now });
+  await report.save();
+
+  if (mod && outcome === 'mod_removed') {
+    if (mod.status === 'approved') await transitionMod(mod, 'suspended', { user, note });
+    if (mod.status === 'suspended') await transitionMod(mod, 'rejected', { user, note });
+
+    await updateRelatedReports(
+      report,
+      { status: 'resolved', outcome: decision },
+      { action: `resolved:${outcome}`, by: user.id, note, at: now }
+    );
+  } else if (mod && await isHiddenByReport(mod)) {
+    const pending = await Report.exists({ mod: mod._id, status: { $in: ACTIVE_STATUSES } });
+    if (!pending) {
+      await transitionMod(mod, 'approved', { user, note: note || 'Restored after report review' });
+    }
+  }
+
+  return { report, mod };
+};
+
+// Reports filed by a user (without internal notes)
+const getUserReports = (userId) => Report.find({ reporter: userId })
+  .select('mod category status outcome.action createdAt updatedAt')
+  .populate('mod', 'name slug')
+  .sort({ createdAt: -1 })
+  .lean();
+
+// Remove the reports against a deleted mod
+const deleteModReports = (modId) => Report.deleteMany({ mod: modId });
+
+// Public methods
+module.exports = {
+  findReport,
+  fileReport,
+  listReports,
+  getReportDetail,
+  updateReport,
+  hideReportedMod,
+  resolveReport,
+  getUserReports,
+  deleteModReports
+};
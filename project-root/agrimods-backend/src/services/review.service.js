@@ -0,0 +1,197 @@
+// src/services/review.service.js
+const Review = require('../models/Review');
+const Mod = require('../models/Mod.model');
+const Bundle = require('../models/Bundle');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const AppError = require('../utils/appError');
+const { PAGINATION, COLLABORATION } = require('../utils/constants');
+const { getRole, isAdmin } = require('./collaboration.service');
+
+// Reviewable item types and the status that makes them public
+const TARGETS = {
+  Mod: { model: Mod, publicStatus: 'approved', orderType: 'mod' },
+  Bundle: { model: Bundle, publicStatus: 'published', orderType: 'bundle' }
+};
+
+const SORTS = {
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  recent: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 }
+};
+
+// Load a reviewable mod or bundle
+const loadTarget = async (targetType, targetId) => {
+  const target = await TARGETS[targetType].model.findById(targetId).select('name status author collaborators');
+  if (!target) {
+    throw new AppError(`${targetType} not found`, 404, `${targetType.toUpperCase()}_NOT_FOUND`);
+  }
+  return target;
+};
+
+// Check whether the user bought the item
+const isVerifiedPurchase = async (targetType, targetId, userId) => {
+  if (targetType === 'Mod') {
+    const owner = await User.exists({ _id: userId, purchasedMods: targetId });
+    if (owner) return true;
+  }
+
+  const order = await Order.exists({
+    user: userId,
+    status: 'completed',
+    items: { $elemMatch: { type: TARGETS[targetType].orderType, item: targetId } }
+  });
+  return !!order;
+};
+
+// Validate review fields from the request body (`review` is accepted as an alias of `comment`)
+const parseReviewInput = ({ rating, title, comment, review }, partial = false) => {
+  const fields = {};
+
+  if (rating !== undefined || !partial) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw new AppError('Rating must be a whole number between 1 and 5', 400, 'INVALID_RATING');
+    }
+    fields.rating = value;
+  }
+  if (title !== undefined) fields.title = title;
+  if (comment !== undefined || review !== undefined) fields.comment = comment ?? review;
+
+  return fields;
+};
+
+// List the reviews of an item
+const listReviews = async (targetType, targetId, query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || PAGINATION.DEFAULT_PAGE, 1);
+  const limit = Math.min(parseInt(query.limit, 10) || PAGINATION.DEFAULT_LIMIT, PAGINATION.MAX_LIMIT);
+  const filter = { targetType, target: targetId };
+  if (query.verified === 'true') filter.verifiedPurchase = true;
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('-helpfulVotes')
+      .sort(SORTS[query.sort] || SORTS.helpful)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name username avatar')
+      .populate('authorReply.user', 'name username'),
+    Review.countDocuments(filter)
+  ]);
+
+  return { reviews, total, page, limit };
+};
+
+// Find a review of a specific item
+const findReview = async (targetType, targetId, reviewId) => {
+  const review = await Review.findOne({ _id: reviewId, targetType, target: targetId });
+  if (!review) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+  return review;
+};
+
+// Create a review; each user can review an item once
+const createReview = async (targetType, target, user, body) => {
+  if (target.status !== TARGETS[targetType].publicStatus) {
+    throw new AppError(`This ${targetType.toLowerCase()} cannot be reviewed yet`, 403, 'ACCESS_DENIED');
+  }
+  if (getRole(target, user.id)) {
+    throw new AppError('You cannot review your own work', 403, 'OWN_REVIEW');
+  }
+
+  const exists = await Review.exists({ target: target._id, user: user.id });
+  if (exists) {
+    throw new AppError('You already reviewed this item. Edit your review instead.', 409, 'ALREADY_REVIEWED');
+  }
+
+  return Review.create({
+    ...parseReviewInput(body),
+    targetType,
+    target: target._id,
+    user: user.id,
+    verifiedPurchase: await isVerifiedPurchase(targetType, target._id, user.id)
+  });
+};
+
+// Edit the user's own review
+const updateReview = async (review, user, body) => {
+  if (review.user.toString() !== user.id) {
+    throw new AppError('You can only edit your own review', 403, 'ACCESS_DENIED');
+  }
+
+  Object.assign(review, parseReviewInput(body, true));
+  review.editedAt = new Date();
+  review.verifiedPurchase = await isVerifiedPurchase(review.targetType, review.target, user.id);
+  await review.save();
+
+  return review;
+};
+
+// Delete a review (its author or an admin)
+const deleteReview = async (review, user) => {
+  if (review.user.toString() !== user.id && !isAdmin(user)) {
+    throw new AppError('You can only delete your own review', 403, 'ACCESS_DENIED');
+  }
+  await review.deleteOne();
+};
+
+// Mark (or unmark) a review as helpful
+const setHelpfulVote = async (review, userId, helpful = true) => {
+  if (review.user.toString() === userId) {
+    throw new AppError('You cannot vote on your own review', 400, 'OWN_REVIEW');
+  }
+
+  const updated = helpful
+    ? await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: { $ne: userId } },
+      { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    )
+    : await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVotes: userId },
+      { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+
+  return (updated || review).helpfulCount;
+};
+
+// Post or edit the author's public reply (null body removes it); the owner and maintainers may reply
+const setAuthorReply = async (review, target, user, body) => {
+  if (!COLLABORATION.PERMISSIONS.edit.includes(getRole(target, user.id))) {
+    throw new AppError('Only the mod team can reply to reviews', 403, 'ACCESS_DENIED');
+  }
+
+  if (body === null || body === undefined || !`${body}`.trim()) {
+    review.authorReply = undefined;
+  } else {
+    const now = new Date();
+    review.authorReply = {
+      body: `${body}`.trim(),
+      user: user.id,
+      createdAt: review.authorReply?.createdAt || now,
+      updatedAt: now
+    };
+  }
+
+  await review.save();
+  return review.authorReply;
+};
+
+// Remove the reviews (and their votes) of a deleted mod or bundle
+const deleteTargetReviews = (targetType, targetId) => Review.deleteMany({ targetType, target: targetId });
+
+// Public methods
+module.exports = {
+  loadTarget,
+  listReviews,
+  findReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  setHelpfulVote,
+  setAuthorReply,
+  deleteTargetReviews
+};
@@ -0,0 +1,163 @@
+// src/services/scan.service.js
+const path = require('path');
+const { MOD_SCAN } = require('../utils/constants');
+const { openArchive } = require('./archive.service');
+
+// Lua calls that escape the game's sandbox or run arbitrary code
+const RISKY_LUA_PATTERNS = [
+  { pattern: /\bos\.execute\s*\(/, name: 'os.execute' },
+  { pattern: /\bio\.popen\s*\(/, name: 'io.popen' },
+  { pattern: /\bloadstring\s*\(/, name: 'loadstring' },
+  { pattern: /\bos\.remove\s*\(/, name: 'os.remove' },
+  { pattern: /\bos\.rename\s*\(/, name: 'os.rename' },
+  { pattern: /\bio\.open\s*\(/, name: 'io.open' },
+  { pattern: /\bdofile\s*\(/, name: 'dofile' },
+  { pattern: /\bpackage\.loadlib\s*\(/, name: 'package.loadlib' }
+];
+
+// Unix file type bits stored in the upper half of the zip external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+// Check an entry name for directory traversal or absolute paths
+const isUnsafePath = (entryName) => {
+  if (/^([a-zA-Z]:|[\\/])/.test(entryName)) return true;
+  return entryName.split(/[\\/]/).includes('..');
+};
+
+// Check whether a zip entry is a symbolic link
+const isSymlink = (entry) => {
+  return ((entry.attr >>> 16) & S_IFMT) === S_IFLNK;
+};
+
+// Scan a Lua script for risky calls
+const scanLuaEntry = async (entry, findings) => {
+  if (entry.size > MOD_SCAN.MAX_LUA_SCAN_SIZE) {
+    findings.push({
+      severity: 'warning',
+      type: 'lua_not_scanned',
+      entry: entry.name,
+      detail: 'Script is too large to be scanned automatically'
+    });
+    return;
+  }
+
+  const lines = (await entry.read(MOD_SCAN.MAX_LUA_SCAN_SIZE)).toString('utf8').split(/\r?\n/);
+
+  RISKY_LUA_PATTERNS.forEach(({ pattern, name }) => {
+    const lineIndex = lines.findIndex(line => pattern.test(line.replace(/--.*$/, '')));
+    if (lineIndex !== -1) {
+      findings.push({
+        severity: 'warning',
+        type: 'risky_lua',
+        entry: entry.name,
+        detail: `${name} used on line ${lineIndex + 1}`
+      });
+    }
+  });
+};
+
+// Check a single archive entry
+const scanEntry = async (entry, findings) => {
+  const { size, compressedSize } = entry;
+
+  if (isUnsafePath(entry.name)) {
+    findings.push({ severity: 'critical', type: 'path_traversal', entry: entry.name });
+  }
+
+  if (isSymlink(entry)) {
+    findings.push({ severity: 'critical', type: 'symlink', entry: entry.name });
+  }
+
+  if (entry.isDirectory) return;
+
+  const ext = path.extname(entry.name).toLowerCase();
+
+  if (MOD_SCAN.FORBIDDEN_EXTENSIONS.includes(ext)) {
+    findings.push({ severity: 'critical', type: 'forbidden_binary', entry: entry.name });
+  }
+
+  if (['.zip', '.rar', '.7z'].includes(ext)) {
+    findings.push({
+      severity: 'warning',
+      type: 'nested_archive',
+      entry: entry.name,
+      detail: 'Nested archives are not loaded by the game'
+    });
+  }
+
+  if (size >= MOD_SCAN.MIN_RATIO_CHECK_SIZE &&
+      size / Math.max(compressedSize, 1) > MOD_SCAN.MAX_ENTRY_COMPRESSION_RATIO) {
+    findings.push({
+      severity: 'critical',
+      type: 'zip_bomb',
+      entry: entry.name,
+      detail: `Compression ratio ${Math.round(size / Math.max(compressedSize, 1))}:1`
+    });
+  }
+
+  if (ext === '.lua' && !findings.some(f => f.severity === 'critical')) {
+    await scanLuaEntry(entry, findings);
+  }
+};
+
+// Run static safety checks over an uploaded mod archive.
+// The archive is read entry by entry; only small Lua scripts are decompressed.
+const scanModArchive = async (filePath) => {
+  const archive = await openArchive(filePath);
+  const findings = [];
+  let compressedSize = 0;
+  let uncompressedSize = 0;
+
+  try {
+    if (archive.entryCount > MOD_SCAN.MAX_ENTRIES) {
+      // Rejected anyway; don't walk a directory of this size
+      findings.push({
+        severity: 'critical',
+        type: 'zip_bomb',
+        detail: `Archive contains ${archive.entryCount} entries (limit ${MOD_SCAN.MAX_ENTRIES})`
+      });
+    } else {
+      for await (const entry of archive.entries()) {
+        compressedSize += entry.compressedSize;
+        uncompressedSize += entry.size;
+        await scanEntry(entry, findings);
+      }
+    }
+  } finally {
+    archive.close();
+  }
+
+  const ratio = uncompressedSize / Math.max(compressedSize, 1);
+
+  if (uncompressedSize > MOD_SCAN.MAX_UNCOMPRESSED_SIZE ||
+      (uncompressedSize >= MOD_SCAN.MIN_RATIO_CHECK_SIZE && ratio > MOD_SCAN.MAX_COMPRESSION_RATIO)) {
+    findings.push({
+      severity: 'critical',
+      type: 'zip_bomb',
+      detail: `Archive expands to ${uncompressedSize} bytes (ratio ${Math.round(ratio)}:1)`
+    });
+  }
+
+  let status = 'clean';
+  if (findings.some(f => f.severity === 'critical')) status = 'rejected';
+  else if (findings.length) status = 'flagged';
+
+  return {
+    status,
+    findings,
+    stats: {
+      entries: archive.entryCount,
+      compressedSize,
+      uncompressedSize,
+      compressionRatio: Math.round(ratio * 100) / 100
+    },
+    scannedAt: new Date()
+  };
+};
+
+// Public methods
+module.exports = {
+  scanModArchive,
+  RISKY_LUA_PATTERNS
+};
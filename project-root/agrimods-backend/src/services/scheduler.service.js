@@ -0,0 +1,87 @@
+// src/services/scheduler.service.js
+const logger = require('../utils/logger');
+const { UPLOAD_SESSION, MODERATION, RECOMMENDATIONS, TRENDING, DMCA, PRICING } = require('../utils/constants');
+const { cleanupExpiredSessions } = require('./upload.service');
+const { publishScheduledMods } = require('./moderation.service');
+const { refreshRecommendations } = require('./recommendation.service');
+const { refreshTrending } = require('./trending.service');
+const { restoreCounterNoticedClaims } = require('./dmca.service');
+const { applyPriceSchedules } = require('./pricing.service');
+
+// Background jobs run on a fixed interval
+const jobs = [
+  {
+    name: 'upload-session-cleanup',
+    interval: UPLOAD_SESSION.CLEANUP_INTERVAL_MS,
+    run: cleanupExpiredSessions
+  },
+  {
+    name: 'publish-scheduled-mods',
+    interval: MODERATION.PUBLISH_CHECK_INTERVAL_MS,
+    run: publishScheduledMods
+  },
+  {
+    name: 'refresh-recommendations',
+    interval: RECOMMENDATIONS.REFRESH_INTERVAL_MS,
+    run: refreshRecommendations
+  },
+  {
+    name: 'refresh-trending',
+    interval: TRENDING.REFRESH_INTERVAL_MS,
+    run: refreshTrending
+  },
+  {
+    name: 'restore-counter-noticed-claims',
+    interval: DMCA.RESTORE_CHECK_INTERVAL_MS,
+    run: restoreCounterNoticedClaims
+  },
+  {
+    name: 'apply-price-schedules',
+    interval: PRICING.SALE_CHECK_INTERVAL_MS,
+    run: applyPriceSchedules
+  }
+];
+
+const timers = [];
+
+// Run a job, skipping the tick if the previous run has not finished yet
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+
+  const start = Date.now();
+  try {
+    const result = await job.run();
+    logger.debug(`Job ${job.name} finished`, { result, duration: Date.now() - start });
+  } catch (error) {
+    logger.error(`Job ${job.name} failed`, { error: error.message, stack: error.stack });
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start all background jobs
+const startScheduler = () => {
+  if (timers.length) return;
+
+  jobs.forEach(job => {
+    const timer = setInterval(() => runJob(job), job.interval);
+    timer.unref();
+    timers.push(timer);
+    runJob(job);
+  });
+
+  logger.info(`Scheduler started with ${jobs.length} job(s)`);
+};
+
+// Stop all background jobs
+const stopScheduler = () => {
+  timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+// Public methods
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runJob
+};
@@ -0,0 +1,171 @@
+// src/services/screenshot.service.js
+const path = require('path');
+const sharp = require('sharp');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { deleteFile, deleteMultipleFiles } = require('./file.service');
+const { SCREENSHOTS } = require('../utils/constants');
+
+// All files of a screenshot (legacy entries only have url)
+const getScreenshotFiles = (screenshot) => {
+  const { thumbnail, gallery, full } = screenshot.sizes || {};
+  return [...new Set([screenshot.url, thumbnail, gallery, full].filter(Boolean))];
+};
+
+// Remove the files of the given screenshots
+const deleteScreenshotFiles = (screenshots = []) =>
+  deleteMultipleFiles(screenshots.flatMap(getScreenshotFiles));
+
+// Convert an uploaded image into WebP renditions.
+// rotate() applies the EXIF orientation; sharp drops EXIF/GPS metadata on output.
+const processScreenshot = async (file) => {
+  const base = path.join(path.dirname(file.path), path.parse(file.filename).name);
+  const sizes = {};
+  let full;
+
+  try {
+    for (const [name, { width, height }] of Object.entries(SCREENSHOTS.SIZES)) {
+      const output = `${base}-${name}.webp`;
+      const info = await sharp(file.path)
+        .rotate()
+        .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: SCREENSHOTS.WEBP_QUALITY })
+        .toFile(output);
+
+      sizes[name] = output;
+      if (name === 'full') full = info;
+    }
+  } catch (error) {
+    logger.warn(`Screenshot processing failed for ${file.originalname}: ${error.message}`);
+    await deleteMultipleFiles(Object.values(sizes));
+    throw new AppError(`${file.originalname} is not a valid image`, 400, 'INVALID_IMAGE');
+  } finally {
+    await deleteFile(file.path).catch(() => {});
+  }
+
+  return {
+    url: sizes.full,
+    sizes,
+    width: full.width,
+    height: full.height
+  };
+};
+
+// Find a screenshot of a mod
+const findScreenshot = (mod, screenshotId) => {
+  const screenshot = mod.screenshots.id(screenshotId);
+  if (!screenshot) {
+    throw new AppError('Screenshot not found', 404, 'SCREENSHOT_NOT_FOUND');
+  }
+  return screenshot;
+};
+
+// Image shown on mod cards
+const coverOf = (screenshot) => screenshot.sizes?.gallery || screenshot.url;
+
+// Keep order fields consecutive and the array sorted by them
+const normalizeOrder = (mod) => {
+  mod.screenshots.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  mod.screenshots.forEach((screenshot, index) => {
+    screenshot.order = index;
+  });
+};
+
+// Process uploaded files and append them to the gallery
+const addScreenshots = async (mod, files) => {
+  if (mod.screenshots.length + files.length > SCREENSHOTS.MAX_PER_MOD) {
+    await deleteMultipleFiles(files.map(file => file.path));
+    throw new AppError(
+      `A mod can have at most ${SCREENSHOTS.MAX_PER_MOD} screenshots`,
+      400,
+      'TOO_MANY_SCREENSHOTS'
+    );
+  }
+
+  const processed = [];
+  try {
+    // One at a time - image processing is CPU and memory heavy
+    for (const file of files) {
+      processed.push(await processScreenshot(file));
+    }
+  } catch (error) {
+    await deleteScreenshotFiles(processed);
+    await deleteMultipleFiles(files.map(file => file.path));
+    throw error;
+  }
+
+  normalizeOrder(mod);
+  processed.forEach(screenshot => {
+    mod.screenshots.push({ ...screenshot, order: mod.screenshots.length });
+  });
+
+  if (!mod.coverImage && mod.screenshots.length) {
+    mod.coverImage = coverOf(mod.screenshots[0]);
+  }
+
+  await mod.save();
+  return mod.screenshots;
+};
+
+// Reorder the gallery; screenshotIds must list every screenshot exactly once
+const reorderScreenshots = async (mod, screenshotIds) => {
+  const ids = Array.isArray(screenshotIds) ? screenshotIds.map(id => `${id}`) : [];
+  const current = mod.screenshots.map(screenshot => screenshot._id.toString());
+
+  if (ids.length !== current.length || new Set(ids).size !== ids.length ||
+      !ids.every(id => current.includes(id))) {
+    throw new AppError('Order must list every screenshot id exactly once', 400, 'INVALID_ORDER');
+  }
+
+  ids.forEach((id, index) => {
+    mod.screenshots.id(id).order = index;
+  });
+  normalizeOrder(mod);
+
+  await mod.save();
+  return mod.screenshots;
+};
+
+// Change the caption of a screenshot
+const updateScreenshotCaption = async (mod, screenshotId, caption) => {
+  const screenshot = findScreenshot(mod, screenshotId);
+  screenshot.caption = caption || undefined;
+
+  await mod.save();
+  return screenshot;
+};
+
+// Use a screenshot as the mod's cover image
+const setCoverScreenshot = async (mod, screenshotId) => {
+  mod.coverImage = coverOf(findScreenshot(mod, screenshotId));
+
+  await mod.save();
+  return mod.coverImage;
+};
+
+// Remove a screenshot and its files; the cover falls back to the first remaining one
+const removeScreenshot = async (mod, screenshotId) => {
+  const screenshot = findScreenshot(mod, screenshotId);
+  const wasCover = mod.coverImage === coverOf(screenshot);
+
+  mod.screenshots.pull(screenshot._id);
+  normalizeOrder(mod);
+  if (wasCover) {
+    mod.coverImage = mod.screenshots.length ? coverOf(mod.screenshots[0]) : undefined;
+  }
+
+  await mod.save();
+  await deleteScreenshotFiles([screenshot]);
+  return mod.screenshots;
+};
+
+// Public methods
+module.exports = {
+  processScreenshot,
+  addScreenshots,
+  reorderScreenshots,
+  updateScreenshotCaption,
+  setCoverScreenshot,
+  removeScreenshot,
+  deleteScreenshotFiles
+};
@@ -0,0 +1,230 @@
+// src/services/search.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const Category = require('../models/category.model');
+const Brand = require('../models/Brand');
+const AppError = require('../utils/appError');
+const { SEARCH, FS_VERSIONS } = require('../utils/constants');
+const { localize } = require('../utils/i18n');
+const { getDescendantIds } = require('./category.service');
+const { buildCompatibilityFilter } = require('./compatibility.service');
+
+// Number of tag buckets returned in facets
+const TAG_FACET_LIMIT = 30;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  downloads: { downloads: -1, createdAt: -1 },
+  rating: { ratingsAverage: -1, ratingsQuantity: -1 },
+  name: { name: 1 },
+  price_low: { price: 1, createdAt: -1 },
+  price_high: { price: -1, createdAt: -1 }
+};
+
+// Parse boolean query value ('true'/'false'/'1'/'0')
+const parseBoolean = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (['true', '1'].includes(`${value}`.toLowerCase())) return true;
+  if (['false', '0'].includes(`${value}`.toLowerCase())) return false;
+  return undefined;
+};
+
+// Parse numeric query value
+const parseNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+// Parse comma separated list (or repeated query parameter)
+const parseList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : `${value}`.split(',');
+  return list.map(item => `${item}`.trim()).filter(Boolean);
+};
+
+// Cast id for aggregation pipelines (they don't cast like Model.find does)
+const toObjectId = (id, field) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError(`Invalid ${field} id`, 400, 'INVALID_FILTER');
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+// Build Mongo filter from catalog query parameters.
+// categoryIds (the category with its descendants) replaces the single category when given.
+const buildModFilter = (query, { includeUnpublished = false, categoryIds } = {}) => {
+  const filter = {};
+  const search = `${query.search || query.q || ''}`.trim();
+
+  if (search.length >= SEARCH.MIN_QUERY_LENGTH) {
+    filter.$text = { $search: search.substring(0, SEARCH.MAX_QUERY_LENGTH) };
+  }
+
+  if (!includeUnpublished) filter.status = 'approved';
+
+  if (categoryIds) {
+    filter.category = { $in: categoryIds };
+  } else if (query.category) {
+    filter.category = toObjectId(query.category, 'category');
+  }
+  if (query.gameVersion) filter.gameVersion = query.gameVersion;
+
+  const brands = parseList(query.brand).map(id => toObjectId(id, 'brand'));
+  if (brands.length) filter.brand = { $in: brands };
+
+  // "Works with my game": fsVersion, optionally the installed patch and only tested entries
+  const fsVersions = parseList(query.fsVersion).filter(version => FS_VERSIONS.includes(version));
+  const compatibility = buildCompatibilityFilter({
+    games: fsVersions,
+    patch: query.patch,
+    tested: parseBoolean(query.tested) === true
+  });
+  if (compatibility.length) filter.$and = compatibility;
+
+  const tags = parseList(query.tags).map(tag => tag.toLowerCase());
+  if (tags.length) filter.tags = { $all: tags };
+
+  const isFree = parseBoolean(query.isFree);
+  if (isFree !== undefined) filter.isFree = isFree;
+
+  const multiplayer = parseBoolean(query.multiplayer);
+  if (multiplayer !== undefined) filter.multiplayer = multiplayer;
+
+  const minPrice = parseNumber(query.minPrice);
+  const maxPrice = parseNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+
+  const minRating = parseNumber(query.minRating);
+  if (minRating !== undefined) filter.ratingsAverage = { $gte: minRating };
+
+  return filter;
+};
+
+// Resolve sort stage; text searches rank by relevance unless another sort is requested
+const buildSort = (sortBy, hasTextSearch) => {
+  if (SORT_OPTIONS[sortBy]) return SORT_OPTIONS[sortBy];
+  if (hasTextSearch) return { score: -1, downloads: -1 };
+  return SORT_OPTIONS.newest;
+};
+
+// Attach (localized) category names to category facet buckets
+const labelCategoryFacets = async (buckets, language) => {
+  const categories = await Category.find({ _id: { $in: buckets.map(b => b._id) } })
+    .select('name slug translations')
+    .lean();
+  const byId = new Map(categories.map(category => [category._id.toString(), localize(category, language, 'Category')]));
+
+  return buckets
+    .filter(bucket => bucket._id)
+    .map(bucket => ({
+      _id: bucket._id,
+      name: byId.get(bucket._id.toString())?.name,
+      slug: byId.get(bucket._id.toString())?.slug,
+      count: bucket.count
+    }));
+};
+
+// Attach brand names to brand facet buckets
+const labelBrandFacets = async (buckets) => {
+  const brands = await Brand.find({ _id: { $in: buckets.map(b => b._id) } }).select('name slug');
+  const byId = new Map(brands.map(brand => [brand._id.toString(), brand]));
+
+  return buckets
+    .filter(bucket => bucket._id && byId.has(bucket._id.toString()))
+    .map(bucket => ({
+      _id: bucket._id,
+      name: byId.get(bucket._id.toString()).name,
+      slug: byId.get(bucket._id.toString()).slug,
+      count: bucket.count
+    }));
+};
+
+// Run a faceted catalog search
+const searchMods = async (query, options = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || SEARCH.DEFAULT_LIMIT, 1), SEARCH.MAX_LIMIT);
+  const skip = (page - 1) * limit;
+
+  // Filtering by a parent category includes its subcategories
+  const categoryIds = query.category
+    ? await getDescendantIds(toObjectId(query.category, 'category'))
+    : undefined;
+
+  const filter = buildModFilter(query, { ...options, categoryIds });
+  const hasTextSearch = !!filter.$text;
+
+  const pipeline = [{ $match: filter }];
+  if (hasTextSearch) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: buildSort(query.sortBy || query.sort, hasTextSearch) },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { reviews: 0 } }
+      ],
+      total: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ],
+      brands: [
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ],
+      fsVersions: [
+        { $unwind: '$compatibility' },
+        { $match: { 'compatibility.status': { $ne: 'broken' } } },
+        { $group: { _id: { game: '$compatibility.game', mod: '$_id' } } },
+        { $group: { _id: '$_id.game', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ],
+      tags: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_LIMIT }
+      ]
+    }
+  });
+
+  const [result] = await Mod.aggregate(pipeline);
+
+  const mods = await Mod.populate(result.results, [
+    { path: 'author', select: 'name username' },
+    { path: 'category', select: 'name translations' },
+    { path: 'brand', select: 'name slug logo' }
+  ]);
+
+  return {
+    mods,
+    page,
+    limit,
+    total: result.total[0]?.count || 0,
+    facets: {
+      categories: await labelCategoryFacets(result.categories, options.language),
+      brands: await labelBrandFacets(result.brands),
+      fsVersions: result.fsVersions.map(bucket => ({ value: bucket._id, count: bucket.count })),
+      tags: result.tags.map(bucket => ({ value: bucket._id, count: bucket.count }))
+    }
+  };
+};
+
+// Public methods
+module.exports = {
+  buildModFilter,
+  buildSort,
+  searchMods,
+  parseBoolean,
+  parseNumber,
+  parseList
+};
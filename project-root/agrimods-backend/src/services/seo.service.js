@@ -0,0 +1,201 @@
+// src/services/seo.service.js
+const Mod = require('../models/Mod.model');
+const Bundle = require('../models/Bundle');
+const Category = require('../models/category.model');
+const Brand = require('../models/Brand');
+const AppError = require('../utils/appError');
+const { SEO } = require('../utils/constants');
+const { localize } = require('../utils/i18n');
+const { excerpt, fileUrl } = require('../utils/helpers');
+const { resolveSlug } = require('../utils/slug');
+const { findCategory } = require('./category.service');
+const { findBrand } = require('./brand.service');
+
+// Public pages per sitemap section: which documents, their path on the site and their image field
+const SITEMAP_SOURCES = {
+  mods: { Model: Mod, filter: { status: 'approved' }, path: 'mods', image: 'coverImage' },
+  bundles: { Model: Bundle, filter: { status: 'published' }, path: 'bundles', image: 'coverImage' },
+  categories: { Model: Category, filter: {}, path: 'categories' },
+  brands: { Model: Brand, filter: {}, path: 'brands', image: 'logo' }
+};
+
+const pageUrl = (path, slug) => `${process.env.FRONTEND_URL}/${path}/${slug}`;
+
+// Validate meta keywords (array or comma separated string)
+const normalizeKeywords = (value) => {
+  if (value === undefined) return undefined;
+
+  const list = Array.isArray(value) ? value : `${value || ''}`.split(',');
+  const keywords = [...new Set(list.map(keyword => `${keyword}`.trim().toLowerCase()).filter(Boolean))];
+
+  if (keywords.length > SEO.MAX_KEYWORDS) {
+    throw new AppError(`At most ${SEO.MAX_KEYWORDS} meta keywords are allowed`, 400, 'TOO_MANY_KEYWORDS');
+  }
+  return keywords;
+};
+
+// Sitemap files ({ section, page, lastmod }): SITEMAP_PAGE_SIZE URLs each, empty sections left out.
+// lastmod is the latest change in the section.
+const getSitemapIndex = async () => {
+  const sections = await Promise.all(SEO.SITEMAP_SECTIONS.map(async (section) => {
+    const { Model, filter } = SITEMAP_SOURCES[section];
+    const [count, latest] = await Promise.all([
+      Model.countDocuments(filter),
+      Model.findOne(filter).select('updatedAt').sort({ updatedAt: -1 }).lean()
+    ]);
+
+    return Array.from({ length: Math.ceil(count / SEO.SITEMAP_PAGE_SIZE) }, (_, index) => ({
+      section,
+      page: index + 1,
+      lastmod: latest?.updatedAt
+    }));
+  }));
+
+  return sections.flat();
+};
+
+// URLs of one sitemap file ([{ loc, lastmod, image }])
+const getSitemapUrls = async (section, page, baseUrl) => {
+  const source = Object.prototype.hasOwnProperty.call(SITEMAP_SOURCES, section) && SITEMAP_SOURCES[section];
+  const pageNumber = parseInt(page, 10);
+  if (!source || !(pageNumber >= 1)) {
+    throw new AppError('Sitemap not found', 404, 'SITEMAP_NOT_FOUND');
+  }
+
+  const { Model, filter, path, image } = source;
+  const docs = await Model.find(filter)
+    .select(['slug', 'updatedAt', image].filter(Boolean).join(' '))
+    .sort({ _id: 1 })
+    .skip((pageNumber - 1) * SEO.SITEMAP_PAGE_SIZE)
+    .limit(SEO.SITEMAP_PAGE_SIZE)
+    .lean();
+
+  if (!docs.length && pageNumber > 1) {
+    throw new AppError('Sitemap not found', 404, 'SITEMAP_NOT_FOUND');
+  }
+
+  return docs.map(doc => ({
+    loc: pageUrl(path, doc.slug),
+    lastmod: doc.updatedAt,
+    image: image ? fileUrl(doc[image], baseUrl) : undefined
+  }));
+};
+
+// OpenGraph / Twitter card tags for a page
+const buildPreview = ({ title, description, url, image, keywords = [], price }) => {
+  const tags = [
+    { property: 'og:site_name', content: SEO.SITE_NAME },
+    { property: 'og:type', content: price ? 'product' : 'website' },
+    { property: 'og:title', content: title },
+    { property: 'og:description', content: description },
+    { property: 'og:url', content: url },
+    image && { property: 'og:image', content: image },
+    price && { property: 'product:price:amount', content: `${price.amount}` },
+    price && { property: 'product:price:currency', content: price.currency },
+    { name: 'twitter:card', content: image ? 'summary_large_image' : 'summary' },
+    { name: 'twitter:title', content: title },
+    { name: 'twitter:description', content: description },
+    image && { name: 'twitter:image', content: image },
+    keywords.length && { name: 'keywords', content: keywords.join(', ') }
+  ].filter(tag => tag && tag.content);
+
+  return { title, description, url, image, keywords, tags };
+};
+
+// Find a public mod or bundle by slug (old slugs resolve to the current one)
+const findPublished = async (Model, filter, slug, notFound) => {
+  const resolved = await resolveSlug(Model, slug, filter);
+  if (!resolved) throw notFound;
+
+  const doc = await Model.findById(resolved.id).lean();
+  return { doc, redirected: resolved.redirected };
+};
+
+const PREVIEW_BUILDERS = {
+  mods: async (slug, language, baseUrl) => {
+    const { doc, redirected } = await findPublished(
+      Mod,
+      { status: 'approved' },
+      slug,
+      new AppError('Mod not found', 404, 'MOD_NOT_FOUND')
+    );
+    const mod = localize(doc, language);
+
+    return {
+      redirected,
+      ...buildPreview({
+        title: mod.metaTitle || mod.name,
+        description: mod.metaDescription || excerpt(mod.description, SEO.DESCRIPTION_LENGTH),
+        url: pageUrl('mods', mod.slug),
+        image: fileUrl(mod.coverImage, baseUrl),
+        keywords: mod.metaKeywords?.length ? mod.metaKeywords : mod.tags,
+        price: !mod.isFree && mod.price > 0 ? { amount: mod.price, currency: mod.currency } : undefined
+      })
+    };
+  },
+
+  bundles: async (slug, language, baseUrl) => {
+    const { doc, redirected } = await findPublished(
+      Bundle,
+      { status: 'published' },
+      slug,
+      new AppError('Bundle not found', 404, 'BUNDLE_NOT_FOUND')
+    );
+    const bundle = localize(doc, language, 'Bundle');
+
+    return {
+      redirected,
+      ...buildPreview({
+        title: bundle.metaTitle || bundle.name,
+        description: bundle.metaDescription || bundle.shortDescription ||
+          excerpt(bundle.description, SEO.DESCRIPTION_LENGTH),
+        url: pageUrl('bundles', bundle.slug),
+        image: fileUrl(bundle.coverImage, baseUrl),
+        keywords: bundle.metaKeywords?.length ? bundle.metaKeywords : bundle.tags,
+        price: {
+          amount: bundle.salePrice ?? bundle.originalPrice,
+          currency: bundle.currency
+        }
+      })
+    };
+  },
+
+  categories: async (slug, language) => {
+    const category = localize(await findCategory(slug), language, 'Category');
+
+    return buildPreview({
+      title: category.name,
+      description: excerpt(category.description, SEO.DESCRIPTION_LENGTH) ||
+        `${category.name} mods for Farming Simulator on ${SEO.SITE_NAME}`,
+      url: pageUrl('categories', category.slug)
+    });
+  },
+
+  brands: async (slug, language, baseUrl) => {
+    const brand = (await findBrand(slug)).toObject();
+
+    return buildPreview({
+      title: brand.name,
+      description: excerpt(brand.description, SEO.DESCRIPTION_LENGTH) ||
+        `${brand.name} mods for Farming Simulator on ${SEO.SITE_NAME}`,
+      url: pageUrl('brands', brand.slug),
+      image: fileUrl(brand.logo, baseUrl)
+    });
+  }
+};
+
+// Link preview metadata of a catalog page (type: mods, bundles, categories or brands)
+const getSharePreview = (type, slug, { language, baseUrl }) => {
+  if (!Object.prototype.hasOwnProperty.call(PREVIEW_BUILDERS, type)) {
+    throw new AppError('Page type not found', 404, 'PAGE_TYPE_NOT_FOUND');
+  }
+  return PREVIEW_BUILDERS[type](slug, language, baseUrl);
+};
+
+// Public methods
+module.exports = {
+  normalizeKeywords,
+  getSitemapIndex,
+  getSitemapUrls,
+  getSharePreview
+};
@@ -0,0 +1,197 @@
+// src/services/trending.service.js
+const mongoose = require('mongoose');
+const Mod = require('../models/Mod.model');
+const Bundle = require('../models/Bundle');
+const Download = require('../models/Download');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const TrendingScore = require('../models/TrendingScore');
+const AppError = require('../utils/appError');
+const { TRENDING, FS_VERSIONS, I18N } = require('../utils/constants');
+const { localize } = require('../utils/i18n');
+const { gamesOf } = require('./compatibility.service');
+const { getSuspendedModIds } = require('./dmca.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// exp(-λ · age in days), with λ chosen so a signal halves every HALF_LIFE_DAYS
+const decayExpression = (dateField, now) => ({
+  $exp: {
+    $multiply: [
+      -Math.LN2 / TRENDING.HALF_LIFE_DAYS,
+      { $divide: [{ $subtract: [now, dateField] }, DAY_MS] }
+    ]
+  }
+});
+
+// Decayed completed downloads per item
+const collectDownloads = (since, now) => Download.aggregate([
+  { $match: { status: 'completed', completedAt: { $gte: since } } },
+  {
+    $project: {
+      itemType: { $cond: [{ $eq: ['$downloadType', 'bundle'] }, 'Bundle', 'Mod'] },
+      item: { $cond: [{ $eq: ['$downloadType', 'bundle'] }, '$bundle', '$mod'] },
+      weight: decayExpression('$completedAt', now)
+    }
+  },
+  { $match: { item: { $ne: null } } },
+  { $group: { _id: { itemType: '$itemType', item: '$item' }, value: { $sum: '$weight' } } }
+]);
+
+// Decayed completed purchases per item
+const collectPurchases = (since, now) => Order.aggregate([
+  { $addFields: { purchasedAt: { $ifNull: ['$processedAt', '$createdAt'] } } },
+  { $match: { status: 'completed', purchasedAt: { $gte: since } } },
+  { $unwind: '$items' },
+  {
+    $project: {
+      itemType: { $cond: [{ $eq: ['$items.type', 'bundle'] }, 'Bundle', 'Mod'] },
+      item: '$items.item',
+      weight: { $multiply: [decayExpression('$purchasedAt', now), { $ifNull: ['$items.quantity', 1] }] }
+    }
+  },
+  { $group: { _id: { itemType: '$itemType', item: '$item' }, value: { $sum: '$weight' } } }
+]);
+
+// Decayed ratings per item, scaled by stars
+const collectRatings = (since, now) => Review.aggregate([
+  { $match: { createdAt: { $gte: since } } },
+  {
+    $project: {
+      itemType: '$targetType',
+      item: '$target',
+      weight: { $multiply: [decayExpression('$createdAt', now), { $divide: ['$rating', 5] }] }
+    }
+  },
+  { $group: { _id: { itemType: '$itemType', item: '$item' }, value: { $sum: '$weight' } } }
+]);
+
+// Rebuild all trending scores (run by the scheduler)
+const refreshTrending = async () => {
+  const now = new Date();
+  const since = new Date(now.getTime() - TRENDING.WINDOW_DAYS * DAY_MS);
+
+  const [downloads, purchases, ratings] = await Promise.all([
+    collectDownloads(since, now),
+    collectPurchases(since, now),
+    collectRatings(since, now)
+  ]);
+
+  const signals = new Map();
+  const addSignal = (rows, field) => rows.forEach(({ _id, value }) => {
+    const key = `${_id.itemType}:${_id.item}`;
+    if (!signals.has(key)) {
+      signals.set(key, { itemType: _id.itemType, item: _id.item, downloads: 0, purchases: 0, ratings: 0 });
+    }
+    signals.get(key)[field] += value;
+  });
+
+  addSignal(downloads, 'downloads');
+  addSignal(purchases, 'purchases');
+  addSignal(ratings, 'ratings');
+
+  const idsOf = (type) => [...signals.values()].filter(entry => entry.itemType === type).map(entry => entry.item);
+
+  // Only public items are ranked
+  const [mods, bundles] = await Promise.all([
+    Mod.find({ _id: { $in: idsOf('Mod') }, status: 'approved' }).select('compatibility category').lean(),
+    Bundle.find({ _id: { $in: idsOf('Bundle') }, status: 'published' }).select('gameVersions category').lean()
+  ]);
+
+  const items = new Map([
+    ...mods.map(mod => [`Mod:${mod._id}`, { fsVersions: gamesOf(mod), category: mod.category }]),
+    ...bundles.map(bundle => [`Bundle:${bundle._id}`, {
+      fsVersions: (bundle.gameVersions || []).filter(version => FS_VERSIONS.includes(version)),
+      category: bundle.category
+    }])
+  ]);
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const operations = [];
+
+  signals.forEach((entry, key) => {
+    const item = items.get(key);
+    if (!item) return;
+
+    const score = entry.downloads * TRENDING.WEIGHTS.DOWNLOAD +
+      entry.purchases * TRENDING.WEIGHTS.PURCHASE +
+      entry.ratings * TRENDING.WEIGHTS.RATING;
+
+    operations.push({
+      updateOne: {
+        filter: { itemType: entry.itemType, item: entry.item },
+        update: {
+          $set: {
+            ...item,
+            score: round(score),
+            signals: {
+              downloads: round(entry.downloads),
+              purchases: round(entry.purchases),
+              ratings: round(entry.ratings)
+            },
+            computedAt: now
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  for (let i = 0; i < operations.length; i += 1000) {
+    await TrendingScore.bulkWrite(operations.slice(i, i + 1000), { ordered: false });
+  }
+  await TrendingScore.deleteMany({ computedAt: { $lt: now } });
+
+  return operations.length;
+};
+
+// Get the trending ranking, optionally per fsVersion and category
+const getTrending = async ({ type = 'mod', fsVersion, category, limit, language = I18N.DEFAULT_LANGUAGE } = {}) => {
+  const itemType = `${type}`.toLowerCase() === 'bundle' ? 'Bundle' : 'Mod';
+  const filter = { itemType };
+
+  if (fsVersion) {
+    if (!FS_VERSIONS.includes(fsVersion)) {
+      throw new AppError(`fsVersion must be one of ${FS_VERSIONS.join(', ')}`, 400, 'INVALID_FS_VERSION');
+    }
+    filter.fsVersions = fsVersion;
+  }
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      throw new AppError('Invalid category id', 400, 'INVALID_CATEGORY');
+    }
+    filter.category = category;
+  }
+
+  const size = Math.min(parseInt(limit, 10) || TRENDING.DEFAULT_LIMIT, TRENDING.MAX_LIMIT);
+  const select = itemType === 'Mod'
+    ? 'name slug coverImage compatibility category downloads ratingsAverage ratingsQuantity isFree price currency translations'
+    : 'name slug coverImage gameVersions category averageRating ratingsQuantity originalPrice salePrice currency translations';
+
+  // Scores are precomputed; items taken down since the last refresh are left out
+  const scores = await TrendingScore.find(filter)
+    .sort({ score: -1 })
+    .limit(size)
+    .populate({ path: 'item', match: { status: itemType === 'Mod' ? 'approved' : 'published' }, select })
+    .lean();
+
+  const blocked = itemType === 'Mod'
+    ? await getSuspendedModIds(scores.filter(entry => entry.item).map(entry => entry.item._id))
+    : [];
+
+  return scores
+    .filter(entry => entry.item && !blocked.includes(entry.item._id.toString()))
+    .map((entry, index) => ({
+      rank: index + 1,
+      score: entry.score,
+      signals: entry.signals,
+      [itemType.toLowerCase()]: localize(entry.item, language, itemType),
+      computedAt: entry.computedAt
+    }));
+};
+
+// Public methods
+module.exports = {
+  refreshTrending,
+  getTrending
+};
@@ -0,0 +1,202 @@
+// src/services/updateCheck.service.js
+const Mod = require('../models/Mod.model');
+const ModRelease = require('../models/ModRelease');
+const AppError = require('../utils/appError');
+const { compareVersions } = require('../utils/helpers');
+const { UPDATE_CHECK } = require('../utils/constants');
+const { toModName } = require('./release.service');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Mods taken off the site for good; other unpublished states (scheduled, in review,
+// suspended, ...) are not disclosed
+const WITHDRAWN_STATUSES = ['archived', 'rejected'];
+
+// Validate a manifest of installed mods ([{ filename, version, sha256 }])
+const normalizeManifest = (mods) => {
+  if (!Array.isArray(mods) || !mods.length) {
+    throw new AppError('Please provide the installed mods', 400, 'INVALID_MANIFEST');
+  }
+  if (mods.length > UPDATE_CHECK.MAX_MANIFEST_ENTRIES) {
+    throw new AppError(
+      `A check can contain at most ${UPDATE_CHECK.MAX_MANIFEST_ENTRIES} mods`,
+      400,
+      'INVALID_MANIFEST'
+    );
+  }
+
+  return mods.map(entry => {
+    const item = typeof entry === 'string' ? { filename: entry } : entry || {};
+    const sha256 = `${item.sha256 || ''}`.trim().toLowerCase();
+
+    if (!item.filename && !sha256) {
+      throw new AppError('Every installed mod needs a filename or sha256', 400, 'INVALID_MANIFEST');
+    }
+    if (sha256 && !SHA256_PATTERN.test(sha256)) {
+      throw new AppError(`Invalid sha256 for ${item.filename || 'installed mod'}`, 400, 'INVALID_MANIFEST');
+    }
+
+    return {
+      filename: item.filename ? `${item.filename}` : undefined,
+      modName: toModName(item.filename),
+      version: item.version ? `${item.version}`.trim() : undefined,
+      sha256: sha256 || undefined
+    };
+  });
+};
+
+// Group values into a Map of key -> list
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+// Several mods can share an archive name; prefer the one that released the installed
+// version, then public mods, then the most downloaded
+const pickCandidate = (modIds, entry, modsById, releasesByMod) => {
+  const candidates = [...new Set(modIds)].map(id => modsById.get(id)).filter(Boolean);
+
+  const score = (mod) => [
+    entry.version && (releasesByMod.get(mod._id.toString()) || [])
+      .some(release => compareVersions(release.version, entry.version) === 0) ? 1 : 0,
+    mod.status === 'approved' ? 1 : 0,
+    mod.downloads || 0
+  ];
+
+  return candidates.sort((a, b) => {
+    const [scoreA, scoreB] = [score(a), score(b)];
+    const index = scoreA.findIndex((value, i) => value !== scoreB[i]);
+    return index === -1 ? 0 : scoreB[index] - scoreA[index];
+  })[0];
+};
+
+// Active releases newer than the installed version, up to the current one (newest first)
+const changesSince = (history, installedVersion, latestVersion) => history
+  .filter(release =>
+    release.status !== 'withdrawn' &&
+    compareVersions(release.version, installedVersion) > 0 &&
+    compareVersions(release.version, latestVersion) <= 0)
+  .sort((a, b) => compareVersions(b.version, a.version))
+  .map(({ version, changelog, releasedAt }) => ({ version, changelog, releasedAt }));
+
+// Work out the state of one installed mod
+const checkEntry = (entry, match, history) => {
+  const result = {
+    filename: entry.filename,
+    installedVersion: entry.version,
+    status: 'unknown',
+    matchedBy: null
+  };
+  if (!match) return result;
+
+  const { mod, release: hashRelease, matchedBy } = match;
+  if (mod.status !== 'approved' && !WITHDRAWN_STATUSES.includes(mod.status)) return result;
+
+  const release = hashRelease ||
+    (entry.version && history.find(item => compareVersions(item.version, entry.version) === 0));
+  const installedVersion = release?.version || entry.version;
+  const latest = history.find(item => item.version === mod.modVersion);
+
+  Object.assign(result, {
+    matchedBy,
+    installedVersion,
+    latestVersion: mod.modVersion,
+    mod: { _id: mod._id, name: mod.name, slug: mod.slug }
+  });
+
+  // Taken off the site (rejected or archived)
+  if (WITHDRAWN_STATUSES.includes(mod.status)) {
+    return { ...result, status: 'withdrawn', reason: 'This mod is no longer available on AgriMods' };
+  }
+
+  const download = `/api/v1/mods/${mod._id}/download`;
+
+  if (release?.status === 'withdrawn') {
+    return {
+      ...result,
+      status: 'withdrawn',
+      reason: release.withdrawReason,
+      changelog: changesSince(history, release.version, mod.modVersion),
+      latestRelease: latest && { version: latest.version, size: latest.file?.size, download }
+    };
+  }
+
+  // Known mod, but neither a known file nor a version to compare
+  if (!installedVersion) return result;
+
+  if (compareVersions(installedVersion, mod.modVersion) >= 0) {
+    return { ...result, status: 'up_to_date' };
+  }
+
+  return {
+    ...result,
+    status: 'update_available',
+    changelog: changesSince(history, installedVersion, mod.modVersion),
+    latestRelease: latest && { version: latest.version, size: latest.file?.size, download }
+  };
+};
+
+// Match installed mods against the catalog. Files are recognized by checksum first,
+// then by archive name ("FS22_MyMod.zip") and the version the player reports.
+const checkInstalledMods = async (mods) => {
+  const entries = normalizeManifest(mods);
+
+  const hashes = [...new Set(entries.map(entry => entry.sha256).filter(Boolean))];
+  const names = [...new Set(entries.map(entry => entry.modName).filter(Boolean))];
+
+  const [hashReleases, nameReleases] = await Promise.all([
+    hashes.length
+      ? ModRelease.find({ 'file.sha256': { $in: hashes } }).select('mod version file.sha256').lean()
+      : [],
+    names.length
+      ? ModRelease.find({ modName: { $in: names } }).select('mod modName').lean()
+      : []
+  ]);
+
+  const modIds = [...new Set([...hashReleases, ...nameReleases].map(release => release.mod.toString()))];
+
+  const [catalog, histories] = await Promise.all([
+    Mod.find({ _id: { $in: modIds } }).select('name slug status modVersion downloads').lean(),
+    ModRelease.find({ mod: { $in: modIds } })
+      .select('mod version changelog releasedAt status withdrawReason file.sha256 file.size')
+      .sort('-releasedAt')
+      .lean()
+  ]);
+
+  const modsById = new Map(catalog.map(mod => [mod._id.toString(), mod]));
+  const releasesByMod = groupBy(histories, release => release.mod.toString());
+  const releasesByHash = new Map(histories
+    .filter(release => release.file?.sha256)
+    .map(release => [release.file.sha256, release]));
+  const modsByName = groupBy(nameReleases, release => release.modName);
+
+  const results = entries.map(entry => {
+    let match = null;
+
+    const hashRelease = entry.sha256 && releasesByHash.get(entry.sha256);
+    if (hashRelease && modsById.has(hashRelease.mod.toString())) {
+      match = { mod: modsById.get(hashRelease.mod.toString()), release: hashRelease, matchedBy: 'sha256' };
+    } else if (entry.modName && modsByName.has(entry.modName)) {
+      const ids = modsByName.get(entry.modName).map(release => release.mod.toString());
+      const mod = pickCandidate(ids, entry, modsById, releasesByMod);
+      if (mod) match = { mod, matchedBy: 'filename' };
+    }
+
+    const history = match ? releasesByMod.get(match.mod._id.toString()) || [] : [];
+    return checkEntry(entry, match, history);
+  });
+
+  const summary = UPDATE_CHECK.STATUSES.reduce((counts, status) => {
+    counts[status] = results.filter(result => result.status === status).length;
+    return counts;
+  }, {});
+
+  return { summary, results };
+};
+
+// Public methods
+module.exports = {
+  checkInstalledMods
+};
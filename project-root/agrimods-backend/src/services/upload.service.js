@@ -0,0 +1,255 @@
+// src/services/upload.service.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const UploadSession = require('../models/UploadSession');
+const AppError = require('../utils/appError');
+const { FILE_UPLOAD, UPLOAD_SESSION } = require('../utils/constants');
+const { getMimeType } = require('./file.service');
+
+// Directory holding the received chunks of a session
+const getChunkDir = (sessionId) => path.join(UPLOAD_SESSION.CHUNK_DIR, `${sessionId}`);
+
+// Path of a single received chunk
+const getChunkPath = (sessionId, index) => path.join(getChunkDir(sessionId), `${index}.part`);
+
+// Expected byte length of a chunk (the last one may be shorter)
+const getExpectedChunkSize = (session, index) => {
+  if (index < session.totalChunks - 1) return session.chunkSize;
+  return session.size - session.chunkSize * (session.totalChunks - 1);
+};
+
+const getNewExpiry = () => new Date(Date.now() + UPLOAD_SESSION.SESSION_TTL_MS);
+
+// Sessions of a user that still hold (or will hold) files on disk
+const findActiveSessions = (userId) => UploadSession.find({
+  user: userId,
+  status: { $in: ['uploading', 'completed'] },
+  expiresAt: { $gt: new Date() }
+}).select('size').lean();
+
+// Keep a single account from filling the disk with parallel uploads
+const assertUploadQuota = async (userId, fileSize) => {
+  const active = await findActiveSessions(userId);
+
+  if (active.length >= UPLOAD_SESSION.MAX_ACTIVE_SESSIONS) {
+    throw new AppError(
+      `You can have at most ${UPLOAD_SESSION.MAX_ACTIVE_SESSIONS} unfinished uploads; finish or cancel one first`,
+      429,
+      'UPLOAD_QUOTA_EXCEEDED'
+    );
+  }
+
+  const reserved = active.reduce((total, session) => total + session.size, 0);
+  if (reserved + fileSize > UPLOAD_SESSION.MAX_ACTIVE_BYTES) {
+    throw new AppError(
+      `Your unfinished uploads may not exceed ${UPLOAD_SESSION.MAX_ACTIVE_BYTES} bytes in total`,
+      429,
+      'UPLOAD_QUOTA_EXCEEDED'
+    );
+  }
+};
+
+// Start a new resumable upload
+const createSession = async (userId, { filename, size, chunkSize }) => {
+  const originalName = path.basename(`${filename || ''}`);
+  const ext = path.extname(originalName).toLowerCase();
+  const fileSize = parseInt(size, 10);
+  const partSize = parseInt(chunkSize, 10) || UPLOAD_SESSION.DEFAULT_CHUNK_SIZE;
+
+  if (!originalName || !FILE_UPLOAD.ALLOWED_MOD_TYPES.includes(ext)) {
+    throw new AppError(`Invalid file type. Allowed: ${FILE_UPLOAD.ALLOWED_MOD_TYPES.join(', ')}`, 400, 'INVALID_FILE_TYPE');
+  }
+  if (!fileSize || fileSize < 1 || fileSize > UPLOAD_SESSION.MAX_FILE_SIZE) {
+    throw new AppError(`File size must be between 1 byte and ${UPLOAD_SESSION.MAX_FILE_SIZE} bytes`, 400, 'INVALID_FILE_SIZE');
+  }
+  if (partSize < UPLOAD_SESSION.MIN_CHUNK_SIZE || partSize > UPLOAD_SESSION.MAX_CHUNK_SIZE) {
+    throw new AppError(
+      `Chunk size must be between ${UPLOAD_SESSION.MIN_CHUNK_SIZE} and ${UPLOAD_SESSION.MAX_CHUNK_SIZE} bytes`,
+      400,
+      'INVALID_CHUNK_SIZE'
+    );
+  }
+
+  await assertUploadQuota(userId, fileSize);
+
+  const session = await UploadSession.create({
+    user: userId,
+    originalName,
+    size: fileSize,
+    chunkSize: partSize,
+    totalChunks: Math.ceil(fileSize / partSize),
+    expiresAt: getNewExpiry()
+  });
+
+  await fs.promises.mkdir(getChunkDir(session._id), { recursive: true });
+  return session;
+};
+
+// Load an upload session owned by the user
+const findSession = async (sessionId, userId) => {
+  const session = await UploadSession.findOne({ _id: sessionId, user: userId });
+  if (!session) {
+    throw new AppError('Upload session not found', 404, 'UPLOAD_SESSION_NOT_FOUND');
+  }
+  if (session.status === 'uploading' && session.expiresAt < new Date()) {
+    throw new AppError('Upload session has expired', 410, 'UPLOAD_SESSION_EXPIRED');
+  }
+  return session;
+};
+
+// Summarize how much of the file has been received.
+// `offset` is the number of contiguous bytes received from the start of the file.
+const getProgress = (session) => {
+  const received = new Set(session.receivedChunks);
+  const missingChunks = [];
+  for (let index = 0; index < session.totalChunks; index++) {
+    if (!received.has(index)) missingChunks.push(index);
+  }
+
+  const contiguous = missingChunks.length ? missingChunks[0] : session.totalChunks;
+  const offset = Math.min(contiguous * session.chunkSize, session.size);
+
+  return {
+    id: session._id,
+    status: session.status,
+    originalName: session.originalName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: received.size,
+    missingChunks,
+    offset,
+    expiresAt: session.expiresAt
+  };
+};
+
+// Store one numbered chunk. Re-sending a chunk overwrites the previous copy.
+const saveChunk = async (session, index, data) => {
+  if (session.status !== 'uploading') {
+    throw new AppError('Upload has already been finalized', 409, 'UPLOAD_FINALIZED');
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+    throw new AppError(`Chunk index must be between 0 and ${session.totalChunks - 1}`, 400, 'INVALID_CHUNK_INDEX');
+  }
+
+  const expected = getExpectedChunkSize(session, index);
+  if (!Buffer.isBuffer(data) || data.length !== expected) {
+    throw new AppError(`Chunk ${index} must be exactly ${expected} bytes`, 400, 'INVALID_CHUNK_SIZE');
+  }
+
+  await fs.promises.mkdir(getChunkDir(session._id), { recursive: true });
+  await fs.promises.writeFile(getChunkPath(session._id, index), data);
+
+  return UploadSession.findByIdAndUpdate(
+    session._id,
+    { $addToSet: { receivedChunks: index }, expiresAt: getNewExpiry() },
+    { new: true }
+  );
+};
+
+// Assemble the chunks into a mod file and verify its SHA-256 checksum
+const finalizeSession = async (session, checksum) => {
+  if (session.status !== 'uploading') {
+    throw new AppError('Upload has already been finalized', 409, 'UPLOAD_FINALIZED');
+  }
+  if (!/^[a-f0-9]{64}$/i.test(`${checksum || ''}`)) {
+    throw new AppError('A SHA-256 checksum (hex) of the whole file is required', 400, 'INVALID_CHECKSUM');
+  }
+
+  const { missingChunks } = getProgress(session);
+  if (missingChunks.length) {
+    throw new AppError(`Upload is incomplete, missing chunks: ${missingChunks.slice(0, 20).join(', ')}`, 409, 'UPLOAD_INCOMPLETE');
+  }
+
+  const ext = path.extname(session.originalName).toLowerCase();
+  const filename = `mod-${Date.now()}-${Math.round(Math.random() * 1E9)}${ext}`;
+  const filePath = path.join('uploads', 'mods', filename);
+  const hash = crypto.createHash('sha256');
+
+  const handle = await fs.promises.open(filePath, 'w');
+  try {
+    for (let index = 0; index < session.totalChunks; index++) {
+      const data = await fs.promises.readFile(getChunkPath(session._id, index));
+      hash.update(data);
+      await handle.write(data);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const digest = hash.digest('hex');
+  if (digest !== checksum.toLowerCase()) {
+    await fs.promises.rm(filePath, { force: true });
+    throw new AppError('Checksum does not match the uploaded data', 422, 'CHECKSUM_MISMATCH');
+  }
+
+  await fs.promises.rm(getChunkDir(session._id), { recursive: true, force: true });
+
+  session.status = 'completed';
+  session.checksum = digest;
+  session.file = {
+    filename,
+    path: filePath,
+    size: session.size,
+    mimetype: getMimeType(filePath)
+  };
+  session.expiresAt = getNewExpiry();
+  await session.save();
+
+  return session;
+};
+
+// Hand a finalized upload over to the mod upload flow (single use).
+// Returns an object shaped like a multer file.
+const consumeSession = async (sessionId, userId) => {
+  const session = await UploadSession.findOneAndUpdate(
+    { _id: sessionId, user: userId, status: 'completed' },
+    { status: 'consumed' },
+    { new: true }
+  );
+  if (!session) {
+    throw new AppError('No finalized upload found for this uploadId', 404, 'UPLOAD_SESSION_NOT_FOUND');
+  }
+
+  return {
+    fieldname: 'modFile',
+    originalname: session.originalName,
+    filename: session.file.filename,
+    path: session.file.path,
+    size: session.file.size,
+    mimetype: session.file.mimetype
+  };
+};
+
+// Cancel an upload and remove everything it stored
+const deleteSession = async (session) => {
+  await fs.promises.rm(getChunkDir(session._id), { recursive: true, force: true });
+  if (session.status === 'completed' && session.file?.path) {
+    await fs.promises.rm(session.file.path, { force: true });
+  }
+  await UploadSession.deleteOne({ _id: session._id });
+};
+
+// Garbage-collect abandoned sessions, their chunks and unused assembled files
+const cleanupExpiredSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+
+  for (const session of expired) {
+    await deleteSession(session);
+  }
+
+  return expired.length;
+};
+
+// Public methods
+module.exports = {
+  createSession,
+  findSession,
+  getProgress,
+  saveChunk,
+  finalizeSession,
+  consumeSession,
+  deleteSession,
+  cleanupExpiredSessions
+};
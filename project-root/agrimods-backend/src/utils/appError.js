@@ -1,7 +1,8 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errorCode) {
     super(message);
     this.statusCode = statusCode;
+    this.errorCode = errorCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
     Error.captureStackTrace(this, this.constructor);
@@ -229,6 +229,246 @@ exports.FILE_UPLOAD = {
   MAX_SCREENSHOTS: 10
 };
 
+// ==================== FARMING SIMULATOR ====================
+exports.FS_VERSIONS = ['FS19', 'FS22', 'FS25'];
+
+// modDesc.xml descVersion ranges per game generation
+exports.MODDESC_DESC_VERSIONS = {
+  FS19: { MIN: 40, MAX: 59 },
+  FS22: { MIN: 60, MAX: 89 },
+  FS25: { MIN: 90, MAX: Infinity }
+};
+
+// Compatibility matrix of a mod (game generation + patch range per entry)
+exports.COMPATIBILITY = {
+  // tested: confirmed by the author or an admin; untested: expected to work; broken: known not to work
+  STATUSES: ['tested', 'untested', 'broken'],
+  // Game patch versions such as "1.4" or "1.14.1.0"
+  PATCH_PATTERN: /^\d{1,5}(\.\d{1,5}){0,3}$/,
+  MAX_ENTRIES: 30,
+  MAX_BULK_MODS: 500
+};
+
+// ==================== CHUNKED UPLOADS ====================
+exports.UPLOAD_SESSION = {
+  CHUNK_DIR: 'uploads/chunks',
+  MAX_FILE_SIZE: 1024 * 1024 * 1024,       // 1GB
+  DEFAULT_CHUNK_SIZE: 5 * 1024 * 1024,     // 5MB
+  MIN_CHUNK_SIZE: 1024 * 1024,             // 1MB
+  MAX_CHUNK_SIZE: 20 * 1024 * 1024,        // 20MB
+  SESSION_TTL_MS: 24 * 60 * 60 * 1000,     // 24 hours since last activity
+  CLEANUP_INTERVAL_MS: 60 * 60 * 1000,     // 1 hour
+
+  // Per user: unfinished or unused uploads and the disk space they may reserve
+  MAX_ACTIVE_SESSIONS: 3,
+  MAX_ACTIVE_BYTES: 2 * 1024 * 1024 * 1024 // 2GB
+};
+
+// ==================== MODERATION ====================
+exports.MODERATION = {
+  // Roles allowed to review mods
+  STAFF_ROLES: ['admin', 'moderator'],
+
+  // Checklist a reviewer completes before a mod can be approved
+  CHECKLIST: [
+    { key: 'installs_cleanly', label: 'Installs and loads in-game without errors' },
+    { key: 'screenshots_present', label: 'Screenshots are present and show the mod' },
+    { key: 'no_stolen_assets', label: 'No stolen or unlicensed assets' },
+    { key: 'description_accurate', label: 'Description, version and requirements are accurate' }
+  ],
+
+  // Allowed mod status transitions
+  TRANSITIONS: {
+    draft: ['pending_review'],
+    pending_review: ['approved', 'scheduled', 'rejected', 'changes_requested'],
+    changes_requested: ['pending_review', 'rejected'],
+    scheduled: ['approved', 'changes_requested', 'rejected', 'archived'],
+    rejected: ['pending_review'],
+    // pending_review: a new file flagged by the safety scan needs another look
+    approved: ['unpublished', 'archived', 'suspended', 'pending_review'],
+    published: ['unpublished', 'archived'],
+    unpublished: ['approved', 'archived'],
+    archived: ['approved'],
+    // Hidden by a moderator while a report is investigated
+    suspended: ['approved', 'rejected', 'archived']
+  },
+
+  // Statuses an author can move their own mod out of (by resubmitting)
+  RESUBMITTABLE: ['draft', 'changes_requested', 'rejected'],
+
+  // Transitions that must explain the decision to the author
+  NOTE_REQUIRED: ['rejected', 'changes_requested', 'suspended'],
+
+  // How often the scheduler looks for embargoed mods that are due
+  PUBLISH_CHECK_INTERVAL_MS: 60 * 1000     // 1 minute
+};
+
+// ==================== RECOMMENDATIONS ====================
+exports.RECOMMENDATIONS = {
+  WINDOW_DAYS: 180,                        // downloads older than this are ignored
+  MAX_BASKET_SIZE: 200,                    // most recent mods per user taken into account
+  MIN_CO_OCCURRENCE: 2,                    // users that must share two mods before they count as similar
+  MAX_ITEMS: 20,                           // stored recommendations per mod/user
+  REFRESH_INTERVAL_MS: 6 * 60 * 60 * 1000  // 6 hours
+};
+
+// ==================== TRENDING ====================
+exports.TRENDING = {
+  HALF_LIFE_DAYS: 3,                       // a signal counts half as much after this many days
+  WINDOW_DAYS: 30,                         // older signals are ignored
+  WEIGHTS: {
+    DOWNLOAD: 1,                           // per completed download
+    PURCHASE: 5,                           // per completed purchase
+    RATING: 2                              // per review, scaled by stars / 5
+  },
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  REFRESH_INTERVAL_MS: 30 * 60 * 1000      // 30 minutes
+};
+
+// ==================== MOD COLLABORATION ====================
+exports.COLLABORATION = {
+  // The owner is Mod.author; everyone else is listed in Mod.collaborators
+  ROLES: ['owner', 'maintainer', 'contributor'],
+  COLLABORATOR_ROLES: ['maintainer', 'contributor'],
+  // Roles allowed to perform each kind of action on a mod
+  PERMISSIONS: {
+    view: ['owner', 'maintainer', 'contributor'],    // see unpublished mod, talk to reviewers
+    content: ['owner', 'maintainer', 'contributor'], // screenshots and translations
+    edit: ['owner', 'maintainer'],                   // details, releases, dependencies, publishing, review replies
+    manage: ['owner']                                // delete, collaborators, revenue shares, ownership transfer
+  },
+  MAX_COLLABORATORS: 20,
+  TRANSFER_EXPIRY_DAYS: 14
+};
+
+// ==================== SCREENSHOTS ====================
+exports.SCREENSHOTS = {
+  // Every upload is converted to WebP in each of these sizes (fit inside, never enlarged)
+  SIZES: {
+    thumbnail: { width: 320, height: 180 },
+    gallery: { width: 1024, height: 576 },
+    full: { width: 1920, height: 1080 }
+  },
+  WEBP_QUALITY: 82,
+  MAX_PER_MOD: 20
+};
+
+// ==================== ABUSE REPORTS ====================
+exports.REPORTS = {
+  CATEGORIES: ['stolen', 'broken', 'malicious', 'inappropriate', 'spam', 'other'],
+  STATUSES: ['open', 'investigating', 'resolved', 'dismissed'],
+  PRIORITIES: ['low', 'normal', 'high', 'critical'],
+  // Starting priority per category; moderators can change it while triaging
+  DEFAULT_PRIORITY: {
+    malicious: 'critical',
+    stolen: 'high',
+    broken: 'normal',
+    inappropriate: 'normal',
+    spam: 'low',
+    other: 'low'
+  },
+  // Outcome recorded when a report is closed
+  OUTCOMES: {
+    no_action: 'Nothing wrong found; a hidden mod is restored',
+    mod_restored: 'Problem fixed by the author; a hidden mod is restored',
+    mod_removed: 'Mod rejected and taken off the site'
+  },
+  MAX_EVIDENCE: 10
+};
+
+// ==================== DMCA ====================
+exports.DMCA = {
+  STATUSES: ['open', 'counter_noticed', 'upheld', 'rejected', 'withdrawn', 'restored'],
+  // Downloads of the mod are suspended while a claim is in one of these statuses
+  BLOCKING_STATUSES: ['open', 'counter_noticed', 'upheld'],
+  // Decisions a moderator can record on a claim
+  TRANSITIONS: {
+    open: ['upheld', 'rejected', 'withdrawn'],
+    counter_noticed: ['upheld', 'rejected', 'withdrawn', 'restored'],
+    upheld: ['withdrawn', 'restored']
+  },
+  // Downloads come back this long after a counter-notice unless the claimant
+  // tells us they have gone to court (17 U.S.C. § 512(g): 10-14 business days)
+  COUNTER_NOTICE_RESTORE_DAYS: 14,
+  RESTORE_CHECK_INTERVAL_MS: 60 * 60 * 1000, // 1 hour
+  // Notices a single account or address may file per day (each one suspends a mod)
+  MAX_CLAIMS_PER_DAY: 5
+};
+
+// ==================== UPDATE CHECKER ====================
+exports.UPDATE_CHECK = {
+  // Most installed mods a single check may contain
+  MAX_MANIFEST_ENTRIES: 1000,
+  MAX_BODY_SIZE: '256kb',
+  // Result per installed mod
+  STATUSES: ['up_to_date', 'update_available', 'unknown', 'withdrawn']
+};
+
+// ==================== FEEDS ====================
+exports.FEEDS = {
+  // Output format (file extension in the URL) -> content type
+  FORMATS: {
+    atom: 'application/atom+xml',
+    rss: 'application/rss+xml',
+    json: 'application/feed+json'
+  },
+  // Entry kinds: a mod going public, a new release of a public mod
+  TYPES: ['published', 'updated'],
+  DEFAULT_LIMIT: 30,
+  MAX_LIMIT: 100,
+  // Characters of description / changelog shown per entry
+  EXCERPT_LENGTH: 500,
+  // Readers may reuse a feed this long before revalidating with ETag / If-Modified-Since
+  MAX_AGE: 5 * 60 // 5 minutes
+};
+
+// ==================== SEO ====================
+exports.SEO = {
+  SITE_NAME: 'AgriMods',
+  // Sections of the sitemap, in index order
+  SITEMAP_SECTIONS: ['mods', 'bundles', 'categories', 'brands'],
+  // URLs per sitemap file (the protocol allows 50,000)
+  SITEMAP_PAGE_SIZE: 10000,
+  // Fallback description length for link previews
+  DESCRIPTION_LENGTH: 160,
+  MAX_KEYWORDS: 20
+};
+
+// ==================== PRICING ====================
+exports.PRICING = {
+  SALE_STATUSES: ['scheduled', 'active', 'ended', 'cancelled'],
+  // Why a price history entry was written
+  HISTORY_REASONS: ['initial', 'manual', 'sale_start', 'sale_end'],
+  // Reference period for the prior price shown during promotions (EU Omnibus Directive)
+  LOWEST_PRICE_DAYS: 30,
+  MAX_SALE_DAYS: 90,
+  SALE_CHECK_INTERVAL_MS: 60 * 1000 // 1 minute
+};
+
+// ==================== DOWNLOAD TOKENS ====================
+// Signed links for download managers (lifetime: JWT.DOWNLOAD_TOKEN_EXPIRY)
+exports.DOWNLOAD_TOKENS = {
+  DEFAULT_USES: 1,
+  // Download managers may resume or split a file over a few requests
+  MAX_USES: 5
+};
+
+// ==================== MOD ARCHIVE SCANNING ====================
+exports.MOD_SCAN = {
+  // Zip bomb limits
+  MAX_ENTRIES: 10000,
+  MAX_UNCOMPRESSED_SIZE: 2 * 1024 * 1024 * 1024,  // 2GB
+  MAX_COMPRESSION_RATIO: 100,                      // whole archive
+  MAX_ENTRY_COMPRESSION_RATIO: 1000,               // single entry
+  MIN_RATIO_CHECK_SIZE: 10 * 1024 * 1024,          // ignore ratios of entries below 10MB
+
+  // Lua files larger than this are not content-scanned
+  MAX_LUA_SCAN_SIZE: 2 * 1024 * 1024,             // 2MB
+
+  FORBIDDEN_EXTENSIONS: ['.exe', '.dll', '.bat', '.cmd', '.com', '.scr', '.ps1', '.vbs', '.msi', '.sh', '.so', '.dylib']
+};
+
 // ==================== RATE LIMITING ====================
 exports.RATE_LIMIT = {
   // Requests per window
@@ -271,6 +511,12 @@ exports.RATE_LIMIT = {
     MAX: 20,
     WINDOW_MS: 60 * 60 * 1000  // 1 hour
   },
+
+  // Per user; a 1GB mod is about 200 chunks of the default size
+  UPLOAD_CHUNK: {
+    MAX: 300,
+    WINDOW_MS: 15 * 60 * 1000  // 15 minutes
+  },
   
   SUPPORT_TICKET: {
     MAX: 5,
@@ -416,6 +662,8 @@ exports.LANGUAGES = {
   ES: 'es',
   FR: 'fr',
   DE: 'de',
+  SR: 'sr',
+  HR: 'hr',
   IT: 'it',
   PT: 'pt',
   RU: 'ru',
@@ -424,6 +672,17 @@ exports.LANGUAGES = {
   ZH: 'zh'
 };
 
+// ==================== LISTING TRANSLATIONS ====================
+exports.I18N = {
+  DEFAULT_LANGUAGE: 'en',                  // base (untranslated) fields are in this language
+  // Fields that may be translated, per model
+  TRANSLATABLE_FIELDS: {
+    Mod: ['name', 'description', 'installationInstructions', 'changelog', 'metaTitle', 'metaDescription'],
+    Bundle: ['name', 'shortDescription', 'description', 'metaTitle', 'metaDescription'],
+    Category: ['name', 'description']
+  }
+};
+
 // ==================== NOTIFICATION TYPES ====================
 exports.NOTIFICATION_TYPES = {
   EMAIL: 'email',
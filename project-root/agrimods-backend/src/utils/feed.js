@@ -0,0 +1,130 @@
+// src/utils/feed.js
+// Serializers for syndication feeds. A feed is
+// { title, description, homeUrl, selfUrl, language, updated, entries }, every entry
+// { id, title, url, published, updated, summary, image, author, categories }.
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+// Escape text and attribute values; characters XML 1.0 doesn't allow are dropped
+const escapeXml = (value) => `${value ?? ''}`
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+  .replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+// Element with escaped text, omitted when there is no value
+const element = (name, value, attributes = '') => (
+  value === undefined || value === null || value === ''
+    ? ''
+    : `<${name}${attributes}>${escapeXml(value)}</${name}>`
+);
+
+// Guess the content type of an image from its extension (covers are WebP renditions)
+const imageType = (url) => {
+  const extension = `${url}`.split('?')[0].split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif' }[extension] || 'image/webp';
+};
+
+// Atom 1.0 (RFC 4287)
+const renderAtom = (feed) => {
+  const entries = feed.entries.map(entry => [
+    '<entry>',
+    element('id', entry.id),
+    element('title', entry.title),
+    `<link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+    element('published', entry.published.toISOString()),
+    element('updated', entry.updated.toISOString()),
+    entry.author ? `<author>${element('name', entry.author)}</author>` : '',
+    ...entry.categories.map(category => `<category term="${escapeXml(category)}"/>`),
+    element('summary', entry.summary, ' type="text"'),
+    entry.image ? `<media:thumbnail url="${escapeXml(entry.image)}"/>` : '',
+    entry.image
+      ? `<link rel="enclosure" type="${imageType(entry.image)}" href="${escapeXml(entry.image)}"/>`
+      : '',
+    '</entry>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" ' +
+      `xml:lang="${escapeXml(feed.language)}">`,
+    element('id', feed.selfUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', feed.updated.toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    element('generator', 'AgriMods'),
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+// RSS 2.0
+const renderRss = (feed) => {
+  const items = feed.entries.map(entry => [
+    '<item>',
+    element('title', entry.title),
+    element('link', entry.url),
+    element('guid', entry.id, ' isPermaLink="false"'),
+    element('pubDate', entry.published.toUTCString()),
+    element('dc:creator', entry.author),
+    ...entry.categories.map(category => element('category', category)),
+    element('description', entry.summary),
+    entry.image ? `<media:thumbnail url="${escapeXml(entry.image)}"/>` : '',
+    entry.image ? `<enclosure url="${escapeXml(entry.image)}" length="0" type="${imageType(entry.image)}"/>` : '',
+    '</item>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.homeUrl),
+    element('description', feed.description),
+    element('language', feed.language),
+    element('lastBuildDate', feed.updated.toUTCString()),
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    element('generator', 'AgriMods'),
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.selfUrl,
+  language: feed.language,
+  items: feed.entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    title: entry.title,
+    content_text: entry.summary,
+    summary: entry.summary,
+    image: entry.image,
+    date_published: entry.published.toISOString(),
+    date_modified: entry.updated.toISOString(),
+    authors: entry.author ? [{ name: entry.author }] : undefined,
+    tags: entry.categories.length ? entry.categories : undefined,
+    _agrimods: { type: entry.type, version: entry.version, mod: entry.mod }
+  }))
+});
+
+const RENDERERS = {
+  atom: renderAtom,
+  rss: renderRss,
+  json: renderJsonFeed
+};
+
+// Render a feed in one of the formats of FEEDS.FORMATS
+const renderFeed = (feed, format) => RENDERERS[format](feed);
+
+module.exports = {
+  escapeXml,
+  renderFeed
+};
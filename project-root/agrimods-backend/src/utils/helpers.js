@@ -0,0 +1,131 @@
+// src/utils/helpers.js
+const mongoose = require('mongoose');
+
+/**
+ * Check if a value is a valid MongoDB ObjectId
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+exports.isValidObjectId = (value) => {
+  return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value) && mongoose.Types.ObjectId.isValid(value);
+};
+
+/**
+ * Compare two dotted mod versions (e.g. 1.0.0.0 vs 1.2.0.0)
+ * Missing parts count as 0, non-numeric parts compare as text
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+exports.compareVersions = (a, b) => {
+  const partsA = `${a}`.trim().split('.');
+  const partsB = `${b}`.trim().split('.');
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const partA = partsA[i] || '0';
+    const partB = partsB[i] || '0';
+    const numA = parseInt(partA, 10);
+    const numB = parseInt(partB, 10);
+
+    if (!Number.isNaN(numA) && !Number.isNaN(numB) && numA !== numB) {
+      return numA > numB ? 1 : -1;
+    }
+    if (partA !== partB && (Number.isNaN(numA) || Number.isNaN(numB))) {
+      return partA > partB ? 1 : -1;
+    }
+  }
+
+  return 0;
+};
+
+const VERSION_COMPARATOR = /^(>=|<=|>|<|=)?\s*([0-9][0-9a-zA-Z.]*)$/;
+
+/**
+ * Check that a version range is syntactically valid
+ * Supported: "*", "1.2.0.0", ">=1.2", ">=1.0 <2.0", ">=1.0 <2.0 || >=3.0"
+ * @param {string} range - Version range
+ * @returns {boolean}
+ */
+exports.isValidVersionRange = (range) => {
+  if (!range || `${range}`.trim() === '*') return true;
+  return `${range}`.split('||').every(alternative => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    return comparators.length > 0 && comparators.every(comparator => VERSION_COMPARATOR.test(comparator));
+  });
+};
+
+/**
+ * Check if a version satisfies a version range (see isValidVersionRange)
+ * @param {string} version - Version to check
+ * @param {string} range - Version range
+ * @returns {boolean}
+ */
+exports.satisfiesVersionRange = (version, range) => {
+  if (!range || `${range}`.trim() === '*') return true;
+  if (!version) return false;
+
+  return `${range}`.split('||').some(alternative => {
+    const comparators = alternative.trim().split(/\s+/).filter(Boolean);
+    return comparators.length > 0 && comparators.every(comparator => {
+      const match = comparator.match(VERSION_COMPARATOR);
+      if (!match) return false;
+
+      const result = exports.compareVersions(version, match[2]);
+      switch (match[1]) {
+        case '>=': return result >= 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        case '<': return result < 0;
+        default: return result === 0;
+      }
+    });
+  });
+};
+
+/**
+ * Plain text excerpt of a description or changelog
+ * Tags, markdown marks and extra whitespace are removed; long text is cut at a word boundary
+ * @param {string} text - Source text
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+exports.excerpt = (text, length) => {
+  const plain = `${text || ''}`
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[#*_`>~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (plain.length <= length) return plain;
+  const cut = plain.substring(0, length - 1);
+  const boundary = cut.lastIndexOf(' ');
+  return `${boundary > 0 ? cut.substring(0, boundary) : cut}…`;
+};
+
+/**
+ * Absolute URL of an uploaded file ("uploads/screenshots/x.webp")
+ * @param {string} filePath - Stored path (or an absolute URL, returned as is)
+ * @param {string} baseUrl - Origin the uploads are served from
+ * @returns {string|undefined}
+ */
+exports.fileUrl = (filePath, baseUrl) => {
+  if (!filePath) return undefined;
+  if (/^https?:\/\//.test(filePath)) return filePath;
+  return `${baseUrl}/${filePath.replace(/\\/g, '/').replace(/^\.?\//, '')}`;
+};
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Convert a duration setting ("15m", "1h", "30d") to milliseconds
+ * @param {string|number} duration - Duration with a unit (ms, s, m, h, d), or milliseconds
+ * @returns {number}
+ */
+exports.durationToMs = (duration) => {
+  if (typeof duration === 'number') return duration;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(`${duration}`.trim());
+  if (!match) throw new Error(`Invalid duration: ${duration}`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+};
@@ -0,0 +1,123 @@
+// src/utils/i18n.js
+const AppError = require('./appError');
+const { LANGUAGES, I18N } = require('./constants');
+
+const SUPPORTED_LANGUAGES = Object.values(LANGUAGES);
+
+// Reduce a language tag to a supported primary language ('sr-Latn-RS' -> 'sr')
+const normalizeLanguage = (tag) => {
+  const primary = `${tag || ''}`.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(primary) ? primary : undefined;
+};
+
+// Parse an Accept-Language header into supported languages, best first
+const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  const languages = `${header}`
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().substring(2)) : 1;
+      return { language: normalizeLanguage(tag), quality: Number.isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(entry => entry.language && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index)
+    .map(entry => entry.language);
+
+  return [...new Set(languages)];
+};
+
+// Pick the response language: ?lang= wins over Accept-Language, then the default
+const resolveLanguage = (req) =>
+  normalizeLanguage(req.query.lang) ||
+  parseAcceptLanguage(req.headers['accept-language'])[0] ||
+  I18N.DEFAULT_LANGUAGE;
+
+// Plain object of a translations map (Map on documents, object on lean/aggregate results)
+const translationsOf = (doc) => {
+  const translations = doc.translations;
+  if (!translations) return {};
+  if (translations instanceof Map) return Object.fromEntries(translations);
+  return translations;
+};
+
+// Return a plain copy of a document with translatable fields in the given language.
+// Missing translations fall back field by field to the base (default language) text.
+// Populated categories are localized too.
+const localize = (doc, language, modelName = 'Mod') => {
+  if (!doc) return doc;
+
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const translations = translationsOf(source);
+  const data = { ...source };
+  delete data.translations;
+
+  const translation = language !== I18N.DEFAULT_LANGUAGE ? translations[language] : undefined;
+  if (translation) {
+    I18N.TRANSLATABLE_FIELDS[modelName].forEach(field => {
+      if (translation[field]) data[field] = translation[field];
+    });
+  }
+
+  if (data.category && typeof data.category === 'object' && data.category.name) {
+    data.category = localize(data.category, language, 'Category');
+  }
+
+  data.language = translation ? language : I18N.DEFAULT_LANGUAGE;
+  data.availableLanguages = [I18N.DEFAULT_LANGUAGE, ...Object.keys(translations)];
+
+  return data;
+};
+
+// Localize a list of documents
+const localizeAll = (docs, language, modelName = 'Mod') =>
+  docs.map(doc => localize(doc, language, modelName));
+
+// Validate translations from a request body (object or JSON string from multipart forms),
+// keeping only translatable fields of the model
+const normalizeTranslations = (value, modelName = 'Mod') => {
+  if (value === undefined) return undefined;
+
+  let translations = value;
+  if (typeof value === 'string') {
+    try {
+      translations = JSON.parse(value);
+    } catch (error) {
+      throw new AppError('Translations must be a JSON object', 400, 'INVALID_TRANSLATIONS');
+    }
+  }
+
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    throw new AppError('Translations must be an object keyed by language', 400, 'INVALID_TRANSLATIONS');
+  }
+
+  return Object.entries(translations).reduce((result, [language, fields]) => {
+    if (!SUPPORTED_LANGUAGES.includes(language) || language === I18N.DEFAULT_LANGUAGE) {
+      throw new AppError(`Unsupported translation language: ${language}`, 400, 'INVALID_LANGUAGE');
+    }
+    result[language] = pickTranslationFields(fields, modelName);
+    return result;
+  }, {});
+};
+
+// Keep only the translatable fields of a single translation
+const pickTranslationFields = (fields, modelName = 'Mod') =>
+  I18N.TRANSLATABLE_FIELDS[modelName].reduce((result, field) => {
+    if (fields && typeof fields[field] === 'string' && fields[field].trim()) {
+      result[field] = fields[field];
+    }
+    return result;
+  }, {});
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLanguage,
+  localize,
+  localizeAll,
+  normalizeTranslations,
+  pickTranslationFields
+};
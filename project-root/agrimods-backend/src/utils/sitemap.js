@@ -0,0 +1,34 @@
+// src/utils/sitemap.js
+// Serializers for the sitemap protocol (https://www.sitemaps.org/protocol.html)
+const { escapeXml } = require('./feed');
+
+const lastmod = (date) => (date ? `<lastmod>${new Date(date).toISOString()}</lastmod>` : '');
+
+// Sitemap index: [{ loc, lastmod }]
+const renderSitemapIndex = (sitemaps) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...sitemaps.map(sitemap =>
+    `<sitemap><loc>${escapeXml(sitemap.loc)}</loc>${lastmod(sitemap.lastmod)}</sitemap>`),
+  '</sitemapindex>'
+].join('\n');
+
+// URL set: [{ loc, lastmod, image }]
+const renderUrlSet = (urls) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+    'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  ...urls.map(url => [
+    '<url>',
+    `<loc>${escapeXml(url.loc)}</loc>`,
+    lastmod(url.lastmod),
+    url.image ? `<image:image><image:loc>${escapeXml(url.image)}</image:loc></image:image>` : '',
+    '</url>'
+  ].join('')),
+  '</urlset>'
+].join('\n');
+
+module.exports = {
+  renderSitemapIndex,
+  renderUrlSet
+};
@@ -0,0 +1,66 @@
+// src/utils/slug.js
+
+// Latin letters that don't decompose into an ASCII letter plus diacritic
+const TRANSLITERATIONS = { đ: 'dj', ß: 'ss', æ: 'ae', ø: 'o', ł: 'l' };
+
+// URL slug of a name ("Zmaj 504 – Đurđevac" -> "zmaj-504-djurdjevac")
+const slugify = (text) => `${text || ''}`
+  .toLowerCase()
+  .replace(/[đßæøł]/g, char => TRANSLITERATIONS[char])
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+// Slug is used by another document, either as its current slug or as an alias
+const isSlugTaken = (Model, slug, excludeId) => Model.exists({
+  _id: { $ne: excludeId },
+  $or: [{ slug }, { slugHistory: slug }]
+});
+
+// First free slug for a name: base, base-2, base-3, ...
+const uniqueSlug = async (Model, name, excludeId) => {
+  const base = slugify(name) || Model.modelName.toLowerCase();
+
+  for (let suffix = 1; ; suffix += 1) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    if (!(await isSlugTaken(Model, candidate, excludeId))) return candidate;
+  }
+};
+
+// Slug fields for a document named (or renamed) from previousName to name.
+// The previous slug is kept in slugHistory so shared links keep resolving.
+const buildSlugFields = async (Model, doc, name, previousName) => {
+  const history = [...(doc.slugHistory || [])];
+
+  // The new name slugifies like the old one (e.g. only letter case changed)
+  if (doc.slug && previousName !== undefined && slugify(previousName) === slugify(name)) {
+    return { slug: doc.slug, slugHistory: history };
+  }
+
+  const slug = await uniqueSlug(Model, name, doc._id);
+  if (doc.slug && !history.includes(doc.slug)) history.push(doc.slug);
+
+  return { slug, slugHistory: history.filter(alias => alias !== slug) };
+};
+
+// Find a document id by current slug or alias.
+// Returns { id, slug, redirected } where redirected means an old alias was used.
+const resolveSlug = async (Model, slug, filter = {}) => {
+  const value = `${slug || ''}`.toLowerCase();
+
+  const current = await Model.findOne({ ...filter, slug: value }).select('slug').lean();
+  if (current) return { id: current._id, slug: current.slug, redirected: false };
+
+  const aliased = await Model.findOne({ ...filter, slugHistory: value }).select('slug').lean();
+  if (aliased) return { id: aliased._id, slug: aliased.slug, redirected: true };
+
+  return null;
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  buildSlugFields,
+  resolveSlug
+};